@@ -0,0 +1,361 @@
+/**
+ * =====================================================
+ * JOBTRACK API CLIENT
+ * =====================================================
+ *
+ * Thin wrapper around Playwright's APIRequestContext for the
+ * /api/v1 auth, jobs and activities endpoints. Specs use it to
+ * arrange and clean up data over HTTP, keeping the UI for the
+ * behaviour actually under test.
+ */
+
+const { environment } = require('../support/environment');
+
+const DEFAULT_API_URL = environment.apiURL;
+
+class JobTrackApiError extends Error {
+  constructor(method, url, status, body) {
+    const detail = body && body.msg ? body.msg : JSON.stringify(body);
+    super(`${method} ${url} failed with ${status}: ${detail}`);
+    this.name = 'JobTrackApiError';
+    this.method = method;
+    this.url = url;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+class JobTrackApiClient {
+  /**
+   * @param {import('@playwright/test').APIRequestContext} request - Request context (carries the auth cookie)
+   * @param {Object} options - Client options
+   * @param {string} options.apiURL - Backend origin, e.g. http://localhost:5000
+   * @param {import('../support/resource-tracker').ResourceTracker} options.tracker - Records created ids for cleanup (optional)
+   * @param {import('../support/namespace').TestNamespace} options.namespace - Stamps created jobs' company/position (optional)
+   */
+  constructor(request, { apiURL = DEFAULT_API_URL, tracker = null, namespace = null } = {}) {
+    this.request = request;
+    this.apiURL = apiURL;
+    this.baseUrl = `${apiURL.replace(/\/$/, '')}/api/v1`;
+    this.tracker = tracker;
+    this.namespace = namespace;
+  }
+
+  /**
+   * Create a client with its own request context
+   * @param {import('@playwright/test').APIRequest} playwrightRequest - `playwright.request` or `request` from @playwright/test
+   * @param {Object} options - Client options
+   * @param {string} options.apiURL - Backend origin
+   * @param {string|Object} options.storageState - Stored session to send (optional)
+   * @param {Object} options.tracker - ResourceTracker to report created records to (optional)
+   * @param {Object} options.namespace - TestNamespace for created jobs (optional)
+   * @returns {Promise<JobTrackApiClient>} Client; call dispose() when done
+   */
+  static async create(playwrightRequest, { apiURL = DEFAULT_API_URL, storageState, tracker, namespace } = {}) {
+    const context = await playwrightRequest.newContext({ storageState });
+    return new JobTrackApiClient(context, { apiURL, tracker, namespace });
+  }
+
+  /**
+   * Report a created or deleted record to the tracker, if any
+   * @param {string} action - 'track', 'untrack' or 'updateCredentials'
+   * @param {string} type - 'job', 'activity' or 'user'
+   * @param {string} id - Record id
+   * @param {Object} extra - Extra data for the tracker (e.g. credentials)
+   */
+  notifyTracker(action, type, id, extra = {}) {
+    if (this.tracker) {
+      this.tracker[action](type, id, { client: this, ...extra });
+    }
+  }
+
+  /**
+   * Dispose the underlying request context
+   */
+  async dispose() {
+    await this.request.dispose();
+  }
+
+  /**
+   * Send a request and return the parsed JSON body
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /api/v1
+   * @param {Object} options - `data` body and `params` query
+   * @returns {Promise<Object>} Response body
+   */
+  async send(method, path, { data, params } = {}) {
+    const url = `${this.baseUrl}${path}`;
+    const response = await this.request.fetch(url, {
+      method,
+      data,
+      params: params ? this.cleanParams(params) : undefined
+    });
+
+    const text = await response.text();
+    let body;
+    try {
+      body = text ? JSON.parse(text) : {};
+    } catch (error) {
+      body = { msg: text };
+    }
+
+    if (!response.ok()) {
+      throw new JobTrackApiError(method, url, response.status(), body);
+    }
+    return body;
+  }
+
+  /**
+   * Drop empty query params so the backend applies its defaults
+   */
+  cleanParams(params) {
+    return Object.fromEntries(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+  }
+
+  // ---------------------------------------------------
+  // Auth
+  // ---------------------------------------------------
+
+  /**
+   * Register a new user (the session cookie is kept on this client)
+   * @param {Object} userData - `{ name, email, password }`
+   * @returns {Promise<Object>} `{ user, location }`
+   */
+  async register(userData) {
+    const result = await this.send('POST', '/auth/register', { data: userData });
+    this.notifyTracker('track', 'user', result.user._id, {
+      credentials: { email: userData.email, password: userData.password }
+    });
+    return result;
+  }
+
+  /**
+   * Log in (the session cookie is kept on this client)
+   * @param {Object} credentials - `{ email, password }`
+   * @returns {Promise<Object>} `{ user, location }`
+   */
+  async login(credentials) {
+    return await this.send('POST', '/auth/login', { data: credentials });
+  }
+
+  /**
+   * Log out the current session
+   */
+  async logout() {
+    return await this.send('GET', '/auth/logout');
+  }
+
+  /**
+   * Get the logged-in user
+   * @returns {Promise<Object>} `{ user, location }`
+   */
+  async getCurrentUser() {
+    return await this.send('GET', '/auth/getCurrentUser');
+  }
+
+  /**
+   * Update the logged-in user's profile
+   * @param {Object} updates - `{ name, lastName, email, location }`
+   * @returns {Promise<Object>} `{ user, location }`
+   */
+  async updateUser(updates) {
+    const result = await this.send('PATCH', '/auth/updateUser', { data: updates });
+    this.notifyTracker('updateCredentials', 'user', result.user._id, { credentials: { email: result.user.email } });
+    return result;
+  }
+
+  /**
+   * Delete the logged-in user (and, on the backend, their jobs and activities)
+   */
+  async deleteCurrentUser() {
+    return await this.send('DELETE', '/auth/deleteUser');
+  }
+
+  // ---------------------------------------------------
+  // Jobs
+  // ---------------------------------------------------
+
+  /**
+   * Create a job. Accepts the flat API shape or the nested
+   * `{ enhanced, phase2 }` shape used by AddJobPage. With a namespace,
+   * company and position are stamped so JobsPage lookups find it.
+   * @param {Object} jobData - Job fields
+   * @returns {Promise<Object>} Created job
+   */
+  async createJob(jobData) {
+    const payload = this.toJobPayload(jobData);
+    const data = this.namespace ? this.namespace.job(payload) : payload;
+    const { job } = await this.send('POST', '/jobs', { data });
+    this.notifyTracker('track', 'job', job._id);
+    return job;
+  }
+
+  /**
+   * Get one job
+   * @param {string} jobId - Job id
+   * @returns {Promise<Object>} Job
+   */
+  async getJob(jobId) {
+    const { job } = await this.send('GET', `/jobs/${jobId}`);
+    return job;
+  }
+
+  /**
+   * Update a job
+   * @param {string} jobId - Job id
+   * @param {Object} updates - Fields to change (flat or nested shape)
+   * @returns {Promise<Object>} Updated job
+   */
+  async updateJob(jobId, updates) {
+    const { updatedJob } = await this.send('PATCH', `/jobs/${jobId}`, { data: this.toJobPayload(updates) });
+    return updatedJob;
+  }
+
+  /**
+   * Delete a job
+   * @param {string} jobId - Job id
+   */
+  async deleteJob(jobId) {
+    const result = await this.send('DELETE', `/jobs/${jobId}`);
+    this.notifyTracker('untrack', 'job', jobId);
+    return result;
+  }
+
+  /**
+   * List one page of jobs
+   * @param {Object} query - `{ search, status, jobType, category, priority, sort, page, limit }`
+   * @returns {Promise<Object>} `{ jobs, totalJobs, numOfPages }`
+   */
+  async listJobs(query = {}) {
+    return await this.send('GET', '/jobs', { params: query });
+  }
+
+  /**
+   * List every job matching a query, following pagination
+   * @param {Object} query - Same filters as listJobs
+   * @returns {Promise<Array>} All matching jobs
+   */
+  async listAllJobs(query = {}) {
+    const jobs = [];
+    let page = 1;
+    let numOfPages = 1;
+
+    do {
+      const result = await this.listJobs({ ...query, page });
+      jobs.push(...result.jobs);
+      numOfPages = result.numOfPages;
+      page += 1;
+    } while (page <= numOfPages);
+
+    return jobs;
+  }
+
+  /**
+   * Get dashboard stats
+   * @returns {Promise<Object>} `{ defaultStats, monthlyApplications }`
+   */
+  async getJobStats() {
+    return await this.send('GET', '/jobs/stats');
+  }
+
+  /**
+   * Flatten AddJobPage's nested form shape into the API payload
+   * @param {Object} jobData - Flat or nested job data
+   * @returns {Object} Flat payload
+   */
+  toJobPayload(jobData) {
+    const { enhanced = {}, phase2 = {}, ...basic } = jobData;
+    return { ...basic, ...enhanced, ...phase2 };
+  }
+
+  // ---------------------------------------------------
+  // Activities
+  // ---------------------------------------------------
+
+  /**
+   * Create an activity
+   * @param {Object} activityData - `{ title, activityType, jobId, ... }`
+   * @returns {Promise<Object>} Created activity
+   */
+  async createActivity(activityData) {
+    const { activity } = await this.send('POST', '/activities', { data: activityData });
+    this.notifyTracker('track', 'activity', activity._id);
+    return activity;
+  }
+
+  /**
+   * Update an activity
+   * @param {string} activityId - Activity id
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<Object>} Updated activity
+   */
+  async updateActivity(activityId, updates) {
+    const { activity } = await this.send('PATCH', `/activities/${activityId}`, { data: updates });
+    return activity;
+  }
+
+  /**
+   * Mark an activity as completed
+   * @param {string} activityId - Activity id
+   * @returns {Promise<Object>} Updated activity
+   */
+  async completeActivity(activityId) {
+    const { activity } = await this.send('PATCH', `/activities/${activityId}/complete`);
+    return activity;
+  }
+
+  /**
+   * Delete an activity
+   * @param {string} activityId - Activity id
+   */
+  async deleteActivity(activityId) {
+    const result = await this.send('DELETE', `/activities/${activityId}`);
+    this.notifyTracker('untrack', 'activity', activityId);
+    return result;
+  }
+
+  /**
+   * List activities
+   * @param {Object} query - `{ activityType, status, jobId, page, limit }`
+   * @returns {Promise<Object>} `{ activities, totalActivities, numOfPages }`
+   */
+  async listActivities(query = {}) {
+    return await this.send('GET', '/activities', { params: query });
+  }
+
+  /**
+   * List every activity matching a query, following pagination
+   * @param {Object} query - Same filters as listActivities
+   * @returns {Promise<Array>} All matching activities
+   */
+  async listAllActivities(query = {}) {
+    const activities = [];
+    let page = 1;
+    let numOfPages = 1;
+
+    do {
+      const result = await this.listActivities({ ...query, page });
+      activities.push(...result.activities);
+      numOfPages = result.numOfPages;
+      page += 1;
+    } while (page <= numOfPages);
+
+    return activities;
+  }
+
+  /**
+   * Get activity stats
+   * @returns {Promise<Object>} `{ total, pending, completed, byType }`
+   */
+  async getActivityStats() {
+    return await this.send('GET', '/activities/stats');
+  }
+}
+
+module.exports = {
+  JobTrackApiClient,
+  JobTrackApiError,
+  DEFAULT_API_URL
+};
@@ -0,0 +1,15 @@
+/**
+ * =====================================================
+ * API CLIENT INDEX
+ * =====================================================
+ *
+ * Central export file for the HTTP-level helpers
+ */
+
+const { JobTrackApiClient, JobTrackApiError, DEFAULT_API_URL } = require('./JobTrackApiClient');
+
+module.exports = {
+  JobTrackApiClient,
+  JobTrackApiError,
+  DEFAULT_API_URL
+};
@@ -0,0 +1,60 @@
+/**
+ * =====================================================
+ * ACTIVITY FACTORY
+ * =====================================================
+ *
+ * Builds activity records with valid activityType/status/priority
+ * values. Pass `{ jobId }` to link an activity to a seeded job.
+ */
+
+const Factory = require('./Factory');
+const { now } = require('./random');
+const { ACTIVITY_ENUMS } = require('../fake-api/schema');
+const { runTag } = require('../support/test-run');
+
+const TITLES = {
+  'application-sent': 'Submitted application',
+  'email-sent': 'Emailed the recruiter',
+  'email-received': 'Recruiter replied',
+  'phone-call': 'Phone screen',
+  'interview-scheduled': 'Interview scheduled',
+  'interview-completed': 'Interview completed',
+  'follow-up-sent': 'Sent follow-up',
+  'offer-received': 'Offer received',
+  'rejection-received': 'Rejection received',
+  note: 'Note'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ActivityFactory extends Factory {
+  static traits = {
+    pending: activity => {
+      const { completedDate, ...rest } = activity;
+      return { ...rest, status: 'pending' };
+    },
+    completed: activity => ({ ...activity, status: 'completed', completedDate: now().toISOString() }),
+    highPriority: activity => ({ ...activity, priority: 'high' }),
+    lowPriority: activity => ({ ...activity, priority: 'low' }),
+    interviewScheduled: (activity, random) => ({
+      ...activity,
+      activityType: 'interview-scheduled',
+      title: TITLES['interview-scheduled'],
+      scheduledDate: new Date(now().getTime() + random.int(1, 14) * DAY_MS).toISOString()
+    })
+  };
+
+  defaults(sequence) {
+    const activityType = this.random.pick(ACTIVITY_ENUMS.activityType);
+
+    return {
+      title: `${TITLES[activityType]} #${sequence}`,
+      description: `Generated by ActivityFactory (seed ${this.seed}, #${sequence}) [${runTag()}]`,
+      activityType,
+      status: 'pending',
+      priority: this.random.pick(ACTIVITY_ENUMS.priority)
+    };
+  }
+}
+
+module.exports = ActivityFactory;
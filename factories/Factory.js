@@ -0,0 +1,102 @@
+/**
+ * =====================================================
+ * BASE FACTORY
+ * =====================================================
+ *
+ * Base class for the test data factories. `build()` takes any mix of
+ * trait names and override objects, applied left to right:
+ *
+ *   jobs.build('interviewing', 'highPriority', { company: 'Acme' });
+ *
+ * Subclasses implement `defaults()` and declare `static traits`.
+ */
+
+const { SeededRandom, defaultSeed } = require('./random');
+
+class Factory {
+  /**
+   * @param {Object} options - Factory options
+   * @param {number} options.seed - Seed for the PRNG (defaults to TEST_SEED / time)
+   */
+  constructor({ seed = defaultSeed() } = {}) {
+    this.seed = seed;
+    this.random = new SeededRandom(seed);
+    this.sequence = 0;
+  }
+
+  /**
+   * Restart the sequence from a new seed, e.g. per test so a test
+   * builds the same records whichever worker runs it
+   * @param {number} seed - New seed
+   * @returns {Factory} This factory
+   */
+  reseed(seed) {
+    this.seed = seed >>> 0;
+    this.random = new SeededRandom(this.seed);
+    this.sequence = 0;
+    return this;
+  }
+
+  /**
+   * Default attributes for one record (override in subclasses)
+   * @param {number} sequence - 1-based build counter
+   * @returns {Object} Attributes
+   */
+  defaults(sequence) {
+    throw new Error(`${this.constructor.name} must implement defaults()`);
+  }
+
+  /**
+   * Hook to keep related fields consistent after traits/overrides
+   * @param {Object} record - Built record
+   * @param {Object} overridden - Keys set explicitly by the caller
+   * @returns {Object} Final record
+   */
+  finalize(record, overridden) {
+    return record;
+  }
+
+  /**
+   * Build one record
+   * @param {...(string|Object)} args - Trait names and override objects
+   * @returns {Object} Record
+   */
+  build(...args) {
+    this.sequence += 1;
+    const traits = this.constructor.traits || {};
+    let record = this.defaults(this.sequence);
+    const overridden = {};
+
+    for (const arg of args) {
+      if (typeof arg === 'string') {
+        const trait = traits[arg];
+        if (!trait) {
+          throw new Error(`Unknown ${this.constructor.name} trait "${arg}". Known traits: ${Object.keys(traits).join(', ')}`);
+        }
+        record = trait(record, this.random);
+      } else if (arg) {
+        Object.assign(record, arg);
+        Object.keys(arg).forEach(key => { overridden[key] = true; });
+      }
+    }
+
+    // Fields explicitly set to undefined are removed
+    for (const [key, value] of Object.entries(record)) {
+      if (value === undefined) delete record[key];
+    }
+
+    return this.finalize(record, overridden);
+  }
+
+  /**
+   * Build several records with the same traits/overrides
+   * @param {number} count - Number of records
+   * @param {...(string|Object)} args - Trait names and override objects
+   * @returns {Array<Object>} Records
+   */
+  buildList(count, ...args) {
+    return Array.from({ length: count }, () => this.build(...args));
+  }
+}
+
+module.exports = Factory;
@@ -0,0 +1,128 @@
+/**
+ * =====================================================
+ * JOB FACTORY
+ * =====================================================
+ *
+ * Builds job records with valid enum values and a consistent salary
+ * range. Output is the flat API shape, which AddJobPage's form fillers
+ * and JobTrackApiClient.createJob both accept.
+ */
+
+const Factory = require('./Factory');
+const { JOB_ENUMS } = require('../fake-api/schema');
+const { runTag } = require('../support/test-run');
+
+const POSITIONS = [
+  'Software Engineer', 'Frontend Developer', 'Backend Developer', 'Full Stack Developer',
+  'Data Scientist', 'QA Engineer', 'DevOps Engineer', 'Product Manager', 'UX Designer'
+];
+const SENIORITY = ['Junior', 'Mid-level', 'Senior', 'Staff', 'Lead'];
+const COMPANY_PREFIXES = ['Tech', 'Data', 'Cloud', 'Bright', 'Blue', 'Quantum', 'Nimbus', 'Vertex'];
+const COMPANY_SUFFIXES = ['Corp', 'Labs', 'Systems', 'Works', 'Inc', 'LLC'];
+const LOCATIONS = [
+  'Remote', 'San Francisco, CA', 'New York, NY', 'Austin, TX',
+  'Seattle, WA', 'Boston, MA', 'Denver, CO', 'Chicago, IL'
+];
+const TAGS = ['javascript', 'react', 'node.js', 'python', 'aws', 'mongodb', 'typescript', 'remote-friendly'];
+
+// Fields that only exist on jobs created with the "enhanced" (Phase 1) form section
+const ENHANCED_FIELDS = [
+  'salaryMin', 'salaryMax', 'salaryCurrency', 'jobDescription',
+  'companyWebsite', 'jobPostingUrl', 'applicationMethod', 'notes'
+];
+
+class JobFactory extends Factory {
+  static traits = {
+    pending: job => ({ ...job, status: 'pending' }),
+    applied: job => ({ ...job, status: 'applied' }),
+    interviewing: job => ({ ...job, status: 'interview' }),
+    offered: job => ({ ...job, status: 'offer' }),
+    declined: job => ({ ...job, status: 'declined' }),
+    remote: job => ({ ...job, jobType: 'remote', jobLocation: 'Remote' }),
+    highPriority: job => ({ ...job, priority: 'high' }),
+    lowPriority: job => ({ ...job, priority: 'low' }),
+    noSalary: job => {
+      const { salaryMin, salaryMax, ...rest } = job;
+      return rest;
+    },
+    noEnhancedFields: job => {
+      const rest = { ...job };
+      ENHANCED_FIELDS.forEach(field => delete rest[field]);
+      return rest;
+    }
+  };
+
+  /**
+   * Accepts the nested `{ enhanced, phase2 }` shape as overrides too
+   */
+  build(...args) {
+    return super.build(...args.map(arg => (arg && typeof arg === 'object' ? JobFactory.flatten(arg) : arg)));
+  }
+
+  defaults(sequence) {
+    const random = this.random;
+    const company = `${random.pick(COMPANY_PREFIXES)}${random.pick(COMPANY_SUFFIXES)} ${random.token(4).toUpperCase()}`;
+    const domain = company.toLowerCase().replace(/[^a-z0-9]+/g, '');
+    const position = `${random.pick(SENIORITY)} ${random.pick(POSITIONS)}`;
+    const salaryMin = random.int(6, 20) * 10000;
+
+    return {
+      position,
+      company,
+      jobLocation: random.pick(LOCATIONS),
+      jobType: random.pick(JOB_ENUMS.jobType),
+      status: random.pick(JOB_ENUMS.status),
+      salaryMin,
+      salaryMax: salaryMin + random.int(1, 8) * 10000,
+      salaryCurrency: random.pick(JOB_ENUMS.salaryCurrency),
+      jobDescription: `${position} role #${sequence} at ${company}.`,
+      companyWebsite: `https://${domain}.example.com`,
+      jobPostingUrl: `https://${domain}.example.com/careers/${sequence}`,
+      applicationMethod: random.pick(JOB_ENUMS.applicationMethod),
+      notes: `Generated by JobFactory (seed ${this.seed}, #${sequence})`,
+      category: random.pick(JOB_ENUMS.category),
+      tags: random.sample(TAGS, random.int(1, 3)),
+      priority: random.pick(JOB_ENUMS.priority)
+    };
+  }
+
+  /**
+   * Stamp the run tag (for the leftover sweep) and keep
+   * salaryMin <= salaryMax, adjusting whichever side the caller did not set
+   */
+  finalize(job, overridden) {
+    if (job.tags === undefined || Array.isArray(job.tags)) {
+      const tags = job.tags || [];
+      job.tags = tags.includes(runTag()) ? tags : [...tags, runTag()];
+    }
+
+    if (job.salaryMin === undefined || job.salaryMax === undefined) {
+      return job;
+    }
+
+    const min = Number(job.salaryMin);
+    const max = Number(job.salaryMax);
+    if (min <= max || (overridden.salaryMin && overridden.salaryMax)) {
+      return job;
+    }
+
+    if (overridden.salaryMax) {
+      job.salaryMin = Math.max(0, max - 10000);
+    } else {
+      job.salaryMax = min + 10000;
+    }
+    return job;
+  }
+
+  /**
+   * Flatten AddJobPage's nested `{ enhanced, phase2 }` shape
+   * @param {Object} jobData - Flat or nested job data
+   * @returns {Object} Flat job data
+   */
+  static flatten(jobData) {
+    const { enhanced, phase2, ...basic } = jobData;
+    return { ...basic, ...(enhanced || {}), ...(phase2 || {}) };
+  }
+}
+
+module.exports = JobFactory;
@@ -0,0 +1,39 @@
+/**
+ * =====================================================
+ * USER FACTORY
+ * =====================================================
+ *
+ * Builds unique users for registration tests. Emails combine the run
+ * ID, the seed, a build counter and a random token, so they never
+ * collide within a run, across parallel workers, or when a seed is
+ * replayed against a backend that kept the earlier run's accounts.
+ */
+
+const Factory = require('./Factory');
+const { runId } = require('../support/test-run');
+
+const FIRST_NAMES = ['Alex', 'Jordan', 'Taylor', 'Morgan', 'Casey', 'Riley', 'Jamie', 'Avery'];
+const LAST_NAMES = ['Nguyen', 'Smith', 'Garcia', 'Patel', 'Kim', 'Johnson', 'Lopez', 'Brown'];
+const LOCATIONS = ['Austin', 'Boston', 'Denver', 'Seattle', 'Chicago', 'Remote'];
+
+class UserFactory extends Factory {
+  static traits = {
+    // Password shorter than the backend's 6-character minimum
+    shortPassword: (user, random) => ({ ...user, password: random.token(3) }),
+    invalidEmail: user => ({ ...user, email: user.email.replace('@', '-at-') })
+  };
+
+  defaults(sequence) {
+    const name = this.random.pick(FIRST_NAMES);
+
+    return {
+      name,
+      lastName: this.random.pick(LAST_NAMES),
+      email: `test.${runId()}.${this.seed.toString(36)}.${sequence}.${this.random.token(4)}@jobtrack.com`,
+      password: `Pw-${this.random.token(10)}`,
+      location: this.random.pick(LOCATIONS)
+    };
+  }
+}
+
+module.exports = UserFactory;
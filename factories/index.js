@@ -0,0 +1,28 @@
+/**
+ * =====================================================
+ * TEST DATA FACTORIES INDEX
+ * =====================================================
+ *
+ * Central export file for the data factories, plus shared per-process
+ * instances (`jobs`, `activities`, `users`) seeded from TEST_SEED.
+ */
+
+const { SeededRandom, defaultSeed } = require('./random');
+const Factory = require('./Factory');
+const JobFactory = require('./JobFactory');
+const ActivityFactory = require('./ActivityFactory');
+const UserFactory = require('./UserFactory');
+
+const seed = defaultSeed();
+
+module.exports = {
+  SeededRandom,
+  Factory,
+  JobFactory,
+  ActivityFactory,
+  UserFactory,
+  seed,
+  jobs: new JobFactory({ seed }),
+  activities: new ActivityFactory({ seed }),
+  users: new UserFactory({ seed })
+};
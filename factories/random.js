@@ -0,0 +1,111 @@
+/**
+ * =====================================================
+ * SEEDED RANDOM
+ * =====================================================
+ *
+ * Small deterministic PRNG (mulberry32) for the data factories. The
+ * same seed always produces the same data, so a failing run can be
+ * replayed with `TEST_SEED=<seed>`.
+ */
+
+class SeededRandom {
+  /**
+   * @param {number} seed - 32-bit integer seed
+   */
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Next float in [0, 1)
+   * @returns {number} Random float
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Random integer in [min, max]
+   * @param {number} min - Lower bound (inclusive)
+   * @param {number} max - Upper bound (inclusive)
+   * @returns {number} Random integer
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Pick one element of an array
+   * @param {Array} items - Candidates
+   * @returns {*} Picked element
+   */
+  pick(items) {
+    return items[this.int(0, items.length - 1)];
+  }
+
+  /**
+   * Pick `count` distinct elements of an array
+   * @param {Array} items - Candidates
+   * @param {number} count - How many to pick
+   * @returns {Array} Picked elements
+   */
+  sample(items, count) {
+    const pool = [...items];
+    const picked = [];
+    while (picked.length < count && pool.length > 0) {
+      picked.push(pool.splice(this.int(0, pool.length - 1), 1)[0]);
+    }
+    return picked;
+  }
+
+  /**
+   * Random boolean
+   * @param {number} probability - Chance of true
+   * @returns {boolean} Random boolean
+   */
+  bool(probability = 0.5) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Random lowercase alphanumeric token
+   * @param {number} length - Token length
+   * @returns {string} Token
+   */
+  token(length = 6) {
+    const alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+      result += alphabet[this.int(0, alphabet.length - 1)];
+    }
+    return result;
+  }
+}
+
+/**
+ * Seed for this process: TEST_SEED if given, otherwise time-based.
+ * The worker index is mixed in so parallel workers never generate
+ * the same sequence from one shared seed.
+ * @returns {number} Seed
+ */
+function defaultSeed() {
+  const base = process.env.TEST_SEED ? Number(process.env.TEST_SEED) : Date.now() % 2147483647;
+  const workerIndex = Number(process.env.TEST_WORKER_INDEX || 0);
+  return (base + workerIndex * 7919) >>> 0;
+}
+
+/**
+ * Current time for generated dates: TEST_CLOCK if given (HAR record
+ * and replay pin it, see support/har.js), otherwise the real clock.
+ * @returns {Date} Now
+ */
+function now() {
+  return process.env.TEST_CLOCK ? new Date(process.env.TEST_CLOCK) : new Date();
+}
+
+module.exports = { SeededRandom, defaultSeed, now };
@@ -0,0 +1,41 @@
+/**
+ * =====================================================
+ * FAKE API ERRORS
+ * =====================================================
+ *
+ * Error classes mirroring the JobTrack4U backend. The server turns
+ * them into `{ msg }` JSON bodies with the matching status code.
+ */
+
+class FakeApiError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+  }
+}
+
+class BadRequestError extends FakeApiError {
+  constructor(message) {
+    super(message, 400);
+  }
+}
+
+class UnauthenticatedError extends FakeApiError {
+  constructor(message) {
+    super(message, 401);
+  }
+}
+
+class NotFoundError extends FakeApiError {
+  constructor(message) {
+    super(message, 404);
+  }
+}
+
+module.exports = {
+  FakeApiError,
+  BadRequestError,
+  UnauthenticatedError,
+  NotFoundError
+};
@@ -0,0 +1,64 @@
+/**
+ * =====================================================
+ * FAKE API TOKENS
+ * =====================================================
+ *
+ * Minimal HS256 JWT signing/verification so the fake API can issue
+ * the same kind of `token` cookie the real backend does, without
+ * pulling in a JWT dependency.
+ */
+
+const crypto = require('crypto');
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+/**
+ * Sign a payload as an HS256 JWT
+ * @param {Object} payload - Claims to sign
+ * @param {string} secret - HMAC secret
+ * @param {number} expiresInSeconds - Token lifetime
+ * @returns {string} Signed token
+ */
+function sign(payload, secret, expiresInSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify({ ...payload, iat: now, exp: now + expiresInSeconds }));
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+
+  return `${header}.${body}.${signature}`;
+}
+
+/**
+ * Verify an HS256 JWT
+ * @param {string} token - Token to verify
+ * @param {string} secret - HMAC secret
+ * @returns {Object|null} Decoded payload, or null if invalid/expired
+ */
+function verify(token, secret) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [header, body, signature] = token.split('.');
+  if (!header || !body || !signature) {
+    return null;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { sign, verify };
@@ -0,0 +1,76 @@
+/**
+ * =====================================================
+ * FAKE API SCHEMA
+ * =====================================================
+ *
+ * Enum values and required fields mirrored from the JobTrack4U
+ * backend models. The fake API validates against these so tests
+ * get the same 400 responses the real backend would send.
+ */
+
+const JOB_ENUMS = {
+  jobType: ['full-time', 'part-time', 'remote', 'internship', 'contract'],
+  status: ['pending', 'applied', 'interview', 'offer', 'declined'],
+  category: [
+    'software-engineering',
+    'data-science',
+    'product-management',
+    'design',
+    'marketing',
+    'sales',
+    'finance',
+    'operations',
+    'other'
+  ],
+  priority: ['low', 'medium', 'high'],
+  applicationMethod: ['website', 'email', 'linkedin', 'referral', 'job-board', 'recruiter', 'other'],
+  salaryCurrency: ['USD', 'EUR', 'GBP', 'CAD', 'AUD']
+};
+
+const JOB_DEFAULTS = {
+  jobLocation: 'my city',
+  jobType: 'full-time',
+  status: 'pending',
+  category: 'other',
+  priority: 'medium',
+  salaryCurrency: 'USD',
+  tags: []
+};
+
+const ACTIVITY_ENUMS = {
+  activityType: [
+    'application-sent',
+    'email-sent',
+    'email-received',
+    'phone-call',
+    'interview-scheduled',
+    'interview-completed',
+    'follow-up-sent',
+    'offer-received',
+    'rejection-received',
+    'note'
+  ],
+  status: ['pending', 'completed'],
+  priority: ['low', 'medium', 'high']
+};
+
+const ACTIVITY_DEFAULTS = {
+  status: 'pending',
+  priority: 'medium'
+};
+
+const REQUIRED_FIELDS = {
+  register: ['name', 'email', 'password'],
+  login: ['email', 'password'],
+  updateUser: ['email', 'name', 'lastName', 'location'],
+  job: ['position', 'company'],
+  activity: ['title', 'activityType']
+};
+
+module.exports = {
+  JOB_ENUMS,
+  JOB_DEFAULTS,
+  ACTIVITY_ENUMS,
+  ACTIVITY_DEFAULTS,
+  REQUIRED_FIELDS
+};
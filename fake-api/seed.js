@@ -0,0 +1,49 @@
+/**
+ * =====================================================
+ * FAKE API SEED DATA
+ * =====================================================
+ *
+ * Accounts that exist every time the fake API starts (or is reset).
+ * `role` ties each one to a credentials role (support/credentials.js),
+ * which falls back to these on profiles with seeded databases.
+ * `readOnly` accounts get "Demo User. Read Only!" on every write, like
+ * the backend's demo user.
+ */
+
+const SEED_USERS = [
+  {
+    role: 'primary',
+    name: 'anh',
+    lastName: 'hoang',
+    email: 'aaaa@gmail.com',
+    password: 'aaaaaa',
+    location: 'my city'
+  },
+  {
+    role: 'secondary',
+    name: 'Test User',
+    lastName: 'lastName',
+    email: 'test@jobtrack.com',
+    password: 'testpassword123',
+    location: 'my city'
+  },
+  {
+    role: 'empty-account',
+    name: 'Empty',
+    lastName: 'Account',
+    email: 'empty@jobtrack.com',
+    password: 'emptypassword123',
+    location: 'my city'
+  },
+  {
+    role: 'demo',
+    name: 'Demo',
+    lastName: 'User',
+    email: 'demo@jobtrack.com',
+    password: 'demopassword123',
+    location: 'my city',
+    readOnly: true
+  }
+];
+
+module.exports = { SEED_USERS };
@@ -0,0 +1,297 @@
+/**
+ * =====================================================
+ * FAKE JOBTRACK API SERVER
+ * =====================================================
+ *
+ * In-memory stand-in for the JobTrack4U backend so the suite can run
+ * without ../JobTrack4UApp. It serves the same /api/v1 routes:
+ * - auth: register, login, logout, getCurrentUser, updateUser
+ * - jobs: CRUD, filters, sort, pagination and stats
+ * - activities: CRUD, filters, complete and stats
+ *
+ * Start it directly (`npm run api:fake`) or let playwright.config.js
+ * start it as a webServer. Data resets on every start, and on
+ * `POST /api/v1/__fake__/reset`.
+ */
+
+const http = require('http');
+const { URL } = require('url');
+const jwt = require('./jwt');
+const { InMemoryStore } = require('./store');
+const { FakeApiError, BadRequestError, UnauthenticatedError, NotFoundError } = require('./errors');
+
+const DEFAULT_PORT = 5000;
+const TOKEN_COOKIE = 'token';
+const TOKEN_LIFETIME_SECONDS = 24 * 60 * 60;
+
+/**
+ * Decode a percent-encoded URL or cookie component
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded value
+ * @throws {BadRequestError} If the encoding is malformed (e.g. `%E0%A4%A`)
+ */
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw new BadRequestError(`Malformed encoding in "${value}"`);
+  }
+}
+
+/**
+ * Parse the Cookie header into a plain object
+ * @param {string} header - Raw Cookie header
+ * @returns {Object} Cookie name/value pairs
+ */
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decode(part.slice(index + 1).trim());
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Read and JSON-parse the request body
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<Object>} Parsed body (empty object if none)
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw) {
+        resolve({});
+        return;
+      }
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch (error) {
+        reject(new FakeApiError('Request body must be valid JSON', 400));
+        return;
+      }
+      if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        reject(new FakeApiError('Request body must be a JSON object', 400));
+        return;
+      }
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create the fake API server (not yet listening)
+ * @param {Object} options - Server options
+ * @param {InMemoryStore} options.store - Store to serve (a fresh one by default)
+ * @param {string} options.jwtSecret - Secret used to sign the token cookie
+ * @returns {http.Server} Node HTTP server with `.store` attached
+ */
+function createFakeApiServer({
+  store = new InMemoryStore(),
+  jwtSecret = process.env.FAKE_API_JWT_SECRET || 'jobtrack-fake-api-secret'
+} = {}) {
+  const routes = [];
+  const route = (method, pattern, handler, { auth = true } = {}) => {
+    const keys = [];
+    const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    })}/?$`);
+    routes.push({ method, regex, keys, handler, auth });
+  };
+
+  const issueToken = (res, user) => {
+    const token = jwt.sign({ userId: user._id }, jwtSecret, TOKEN_LIFETIME_SECONDS);
+    const expires = new Date(Date.now() + TOKEN_LIFETIME_SECONDS * 1000).toUTCString();
+    res.setHeader('Set-Cookie', `${TOKEN_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Expires=${expires}`);
+    return token;
+  };
+
+  const authenticate = (req) => {
+    const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const token = parseCookies(req.headers.cookie)[TOKEN_COOKIE] || bearer;
+    const payload = jwt.verify(token, jwtSecret);
+    if (!payload) {
+      throw new UnauthenticatedError('Authentication Invalid');
+    }
+    const user = store.getUser(payload.userId);
+
+    // Demo accounts can browse but not change anything
+    if (user.readOnly && req.method !== 'GET') {
+      throw new BadRequestError('Demo User. Read Only!');
+    }
+    return user._id;
+  };
+
+  const userResponse = (user, token) => ({
+    user: store.toPublicUser(user),
+    location: user.location,
+    ...(token ? { token } : {})
+  });
+
+  // ---------------------------------------------------
+  // Auth routes
+  // ---------------------------------------------------
+
+  route('POST', '/api/v1/auth/register', ({ body, res }) => {
+    const user = store.createUser(body);
+    return [201, userResponse(user, issueToken(res, user))];
+  }, { auth: false });
+
+  route('POST', '/api/v1/auth/login', ({ body, res }) => {
+    const user = store.authenticate(body);
+    return [200, userResponse(user, issueToken(res, user))];
+  }, { auth: false });
+
+  route('GET', '/api/v1/auth/logout', ({ res }) => {
+    res.setHeader('Set-Cookie', `${TOKEN_COOKIE}=logout; Path=/; HttpOnly; Expires=${new Date(0).toUTCString()}`);
+    return [200, { msg: 'user logged out!' }];
+  }, { auth: false });
+
+  route('GET', '/api/v1/auth/getCurrentUser', ({ userId }) => {
+    return [200, userResponse(store.getUser(userId))];
+  });
+
+  route('PATCH', '/api/v1/auth/updateUser', ({ userId, body, res }) => {
+    const user = store.updateUser(userId, body);
+    return [200, userResponse(user, issueToken(res, user))];
+  });
+
+  route('DELETE', '/api/v1/auth/deleteUser', ({ userId, res }) => {
+    store.deleteUser(userId);
+    res.setHeader('Set-Cookie', `${TOKEN_COOKIE}=logout; Path=/; HttpOnly; Expires=${new Date(0).toUTCString()}`);
+    return [200, { msg: 'Success! User removed' }];
+  });
+
+  // ---------------------------------------------------
+  // Job routes
+  // ---------------------------------------------------
+
+  route('GET', '/api/v1/jobs/stats', ({ userId }) => [200, store.jobStats(userId)]);
+
+  route('GET', '/api/v1/jobs', ({ userId, query }) => [200, store.queryJobs(userId, query)]);
+
+  route('POST', '/api/v1/jobs', ({ userId, body }) => [201, { job: store.createJob(userId, body) }]);
+
+  route('GET', '/api/v1/jobs/:id', ({ userId, params }) => [200, { job: store.getJob(userId, params.id) }]);
+
+  route('PATCH', '/api/v1/jobs/:id', ({ userId, params, body }) => {
+    return [200, { updatedJob: store.updateJob(userId, params.id, body) }];
+  });
+
+  route('DELETE', '/api/v1/jobs/:id', ({ userId, params }) => {
+    store.deleteJob(userId, params.id);
+    return [200, { msg: 'Success! Job removed' }];
+  });
+
+  // ---------------------------------------------------
+  // Activity routes
+  // ---------------------------------------------------
+
+  route('GET', '/api/v1/activities/stats', ({ userId }) => [200, store.activityStats(userId)]);
+
+  route('GET', '/api/v1/activities', ({ userId, query }) => [200, store.queryActivities(userId, query)]);
+
+  route('POST', '/api/v1/activities', ({ userId, body }) => {
+    return [201, { activity: store.createActivity(userId, body) }];
+  });
+
+  route('PATCH', '/api/v1/activities/:id/complete', ({ userId, params }) => {
+    return [200, { activity: store.completeActivity(userId, params.id) }];
+  });
+
+  route('PATCH', '/api/v1/activities/:id', ({ userId, params, body }) => {
+    return [200, { activity: store.updateActivity(userId, params.id, body) }];
+  });
+
+  route('DELETE', '/api/v1/activities/:id', ({ userId, params }) => {
+    store.deleteActivity(userId, params.id);
+    return [200, { msg: 'Success! Activity removed' }];
+  });
+
+  // ---------------------------------------------------
+  // Test control routes
+  // ---------------------------------------------------
+
+  route('POST', '/api/v1/__fake__/reset', () => {
+    store.reset();
+    return [200, { msg: 'Fake API reset' }];
+  }, { auth: false });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    // Allow the frontend dev server to call us directly with credentials
+    if (req.headers.origin) {
+      res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+      res.setHeader('Access-Control-Allow-Credentials', 'true');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+    }
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    let status;
+    let payload;
+    try {
+      const match = routes
+        .filter(candidate => candidate.method === req.method)
+        .map(candidate => ({ candidate, result: candidate.regex.exec(url.pathname) }))
+        .find(({ result }) => result);
+
+      if (!match) {
+        throw new NotFoundError('Route does not exist');
+      }
+
+      const { candidate, result } = match;
+      const params = Object.fromEntries(candidate.keys.map((key, i) => [key, decode(result[i + 1])]));
+      const context = {
+        req,
+        res,
+        params,
+        query: Object.fromEntries(url.searchParams),
+        body: ['POST', 'PATCH', 'PUT'].includes(req.method) ? await readJsonBody(req) : {},
+        userId: candidate.auth ? authenticate(req) : null
+      };
+
+      [status, payload] = await candidate.handler(context);
+    } catch (error) {
+      status = error.statusCode || 500;
+      payload = { msg: error.statusCode ? error.message : 'Something went wrong, try again later' };
+      if (!error.statusCode) {
+        console.error('[fake-api]', error);
+      }
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  });
+
+  server.store = store;
+  return server;
+}
+
+module.exports = { createFakeApiServer, DEFAULT_PORT };
+
+if (require.main === module) {
+  const port = Number(process.env.FAKE_API_PORT || process.env.PORT || DEFAULT_PORT);
+  const server = createFakeApiServer();
+
+  server.listen(port, () => {
+    console.log(`🧪 Fake JobTrack API listening on http://localhost:${port}/api/v1`);
+  });
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,552 @@
+/**
+ * =====================================================
+ * FAKE API IN-MEMORY STORE
+ * =====================================================
+ *
+ * Holds users, jobs and activities for the fake JobTrack API and
+ * implements the same filtering, sorting and pagination rules as
+ * the real backend. Everything lives in memory, so a restart or
+ * reset() brings the store back to the seed state.
+ */
+
+const crypto = require('crypto');
+const { BadRequestError, UnauthenticatedError, NotFoundError } = require('./errors');
+const {
+  JOB_ENUMS,
+  JOB_DEFAULTS,
+  ACTIVITY_ENUMS,
+  ACTIVITY_DEFAULTS,
+  REQUIRED_FIELDS
+} = require('./schema');
+const { SEED_USERS } = require('./seed');
+
+// Query parameter names the frontend may use for each job filter
+const JOB_FILTER_PARAMS = {
+  status: ['status', 'searchStatus'],
+  jobType: ['jobType', 'searchType'],
+  category: ['category', 'searchCategory'],
+  priority: ['priority', 'searchPriority']
+};
+
+// Job fields stored as plain strings (enums included)
+const JOB_TEXT_FIELDS = [
+  'position', 'company', 'jobLocation', 'jobType', 'status', 'salaryCurrency',
+  'jobDescription', 'companyWebsite', 'jobPostingUrl', 'applicationMethod',
+  'notes', 'category', 'priority'
+];
+
+const JOB_SORTS = {
+  latest: (a, b) => b.createdAt.localeCompare(a.createdAt),
+  oldest: (a, b) => a.createdAt.localeCompare(b.createdAt),
+  'a-z': (a, b) => compareBinary(a.position, b.position),
+  'z-a': (a, b) => compareBinary(b.position, a.position)
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Compare strings by code point, like MongoDB's default collation
+ */
+function compareBinary(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+function hashPassword(password, salt) {
+  return crypto.scryptSync(password, salt, 32).toString('hex');
+}
+
+function pickFirst(query, names) {
+  for (const name of names) {
+    if (query[name] !== undefined && query[name] !== '') {
+      return query[name];
+    }
+  }
+  return undefined;
+}
+
+function toPositiveInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+class InMemoryStore {
+  constructor({ seedUsers = SEED_USERS } = {}) {
+    this.seedUsers = seedUsers;
+    this.reset();
+  }
+
+  /**
+   * Drop all data and re-create the seed users
+   */
+  reset() {
+    this.users = new Map();
+    this.jobs = new Map();
+    this.activities = new Map();
+    this.idCounter = 0;
+    this.lastTimestamp = 0;
+
+    for (const seed of this.seedUsers) {
+      const user = this.createUser(seed);
+      if (seed.readOnly) {
+        user.readOnly = true;
+      }
+    }
+  }
+
+  /**
+   * Generate a 24-character hex id (same shape as a Mongo ObjectId)
+   * @returns {string} New id
+   */
+  nextId() {
+    this.idCounter += 1;
+    return this.idCounter.toString(16).padStart(24, '0');
+  }
+
+  /**
+   * Strictly increasing ISO timestamp, so sort order is always deterministic
+   * @returns {string} ISO date string
+   */
+  nextTimestamp() {
+    this.lastTimestamp = Math.max(Date.now(), this.lastTimestamp + 1);
+    return new Date(this.lastTimestamp).toISOString();
+  }
+
+  // ---------------------------------------------------
+  // Users
+  // ---------------------------------------------------
+
+  createUser({ name, email, password, lastName = 'lastName', location = 'my city' }) {
+    this.assertRequired({ name, email, password }, REQUIRED_FIELDS.register);
+    this.assertStrings({ name, email, password, lastName, location });
+
+    if (this.findUserByEmail(email)) {
+      throw new BadRequestError('Email already in use');
+    }
+    if (password.length < 6) {
+      throw new BadRequestError('Password must be at least 6 characters');
+    }
+
+    const salt = crypto.randomBytes(8).toString('hex');
+    const user = {
+      _id: this.nextId(),
+      name,
+      lastName,
+      email: email.toLowerCase(),
+      location,
+      salt,
+      passwordHash: hashPassword(password, salt)
+    };
+    this.users.set(user._id, user);
+    return user;
+  }
+
+  findUserByEmail(email) {
+    const normalized = String(email).toLowerCase();
+    return [...this.users.values()].find(user => user.email === normalized) || null;
+  }
+
+  getUser(userId) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new UnauthenticatedError('Authentication Invalid');
+    }
+    return user;
+  }
+
+  authenticate({ email, password }) {
+    this.assertRequired({ email, password }, REQUIRED_FIELDS.login);
+    this.assertStrings({ email, password });
+
+    const user = this.findUserByEmail(email);
+    if (!user || hashPassword(password, user.salt) !== user.passwordHash) {
+      throw new UnauthenticatedError('Invalid Credentials');
+    }
+    return user;
+  }
+
+  updateUser(userId, updates) {
+    this.assertRequired(updates, REQUIRED_FIELDS.updateUser);
+    this.assertStrings(updates, REQUIRED_FIELDS.updateUser);
+
+    const user = this.getUser(userId);
+    const owner = this.findUserByEmail(updates.email);
+    if (owner && owner._id !== userId) {
+      throw new BadRequestError('Email already in use');
+    }
+
+    user.name = updates.name;
+    user.lastName = updates.lastName;
+    user.email = updates.email.toLowerCase();
+    user.location = updates.location;
+    return user;
+  }
+
+  deleteUser(userId) {
+    this.getUser(userId);
+    for (const [id, job] of this.jobs) {
+      if (job.createdBy === userId) this.jobs.delete(id);
+    }
+    for (const [id, activity] of this.activities) {
+      if (activity.createdBy === userId) this.activities.delete(id);
+    }
+    this.users.delete(userId);
+  }
+
+  /**
+   * Public representation of a user (no password fields)
+   */
+  toPublicUser(user) {
+    const { salt, passwordHash, ...publicUser } = user;
+    return publicUser;
+  }
+
+  // ---------------------------------------------------
+  // Jobs
+  // ---------------------------------------------------
+
+  createJob(userId, data) {
+    this.assertRequired(data, REQUIRED_FIELDS.job);
+
+    const timestamp = this.nextTimestamp();
+    const job = this.validateJob({
+      ...JOB_DEFAULTS,
+      ...this.pickJobFields(data),
+      _id: this.nextId(),
+      createdBy: userId,
+      // Like the real backend, an explicit createdAt is kept (used to seed history)
+      createdAt: data.createdAt || timestamp,
+      updatedAt: timestamp
+    });
+    this.jobs.set(job._id, job);
+    return job;
+  }
+
+  getJob(userId, jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new NotFoundError(`No job with id :${jobId}`);
+    }
+    if (job.createdBy !== userId) {
+      throw new UnauthenticatedError('Not authorized to access this route');
+    }
+    return job;
+  }
+
+  updateJob(userId, jobId, data) {
+    const job = this.getJob(userId, jobId);
+    const updated = this.validateJob({
+      ...job,
+      ...this.pickJobFields(data),
+      updatedAt: this.nextTimestamp()
+    });
+    this.assertRequired(updated, REQUIRED_FIELDS.job);
+    this.jobs.set(jobId, updated);
+    return updated;
+  }
+
+  deleteJob(userId, jobId) {
+    this.getJob(userId, jobId);
+    this.jobs.delete(jobId);
+    for (const [id, activity] of this.activities) {
+      if (activity.jobId === jobId) this.activities.delete(id);
+    }
+  }
+
+  /**
+   * List jobs with the backend's filter/sort/pagination semantics
+   * @param {string} userId - Owner of the jobs
+   * @param {Object} query - Parsed query string
+   * @returns {Object} `{ jobs, totalJobs, numOfPages }`
+   */
+  queryJobs(userId, query = {}) {
+    let jobs = [...this.jobs.values()].filter(job => job.createdBy === userId);
+
+    for (const [field, names] of Object.entries(JOB_FILTER_PARAMS)) {
+      const value = pickFirst(query, names);
+      if (value && value !== 'all') {
+        jobs = jobs.filter(job => job[field] === value);
+      }
+    }
+
+    if (query.search) {
+      const needle = String(query.search).toLowerCase();
+      jobs = jobs.filter(job =>
+        job.position.toLowerCase().includes(needle) ||
+        job.company.toLowerCase().includes(needle)
+      );
+    }
+
+    const sortFn = JOB_SORTS[query.sort] || JOB_SORTS.latest;
+    jobs.sort((a, b) => sortFn(a, b) || compareBinary(a._id, b._id));
+
+    const page = toPositiveInt(query.page, 1);
+    const limit = toPositiveInt(query.limit, 10);
+    const totalJobs = jobs.length;
+
+    return {
+      jobs: jobs.slice((page - 1) * limit, page * limit),
+      totalJobs,
+      numOfPages: Math.ceil(totalJobs / limit)
+    };
+  }
+
+  /**
+   * Dashboard stats: counts per status plus monthly applications
+   * @param {string} userId - Owner of the jobs
+   * @returns {Object} `{ defaultStats, monthlyApplications }`
+   */
+  jobStats(userId) {
+    const jobs = [...this.jobs.values()].filter(job => job.createdBy === userId);
+
+    const defaultStats = Object.fromEntries(JOB_ENUMS.status.map(status => [status, 0]));
+    const months = new Map();
+
+    for (const job of jobs) {
+      defaultStats[job.status] += 1;
+
+      const created = new Date(job.createdAt);
+      const key = `${created.getUTCFullYear()}-${String(created.getUTCMonth()).padStart(2, '0')}`;
+      const entry = months.get(key) || {
+        date: `${MONTHS[created.getUTCMonth()]} ${created.getUTCFullYear()}`,
+        count: 0
+      };
+      entry.count += 1;
+      months.set(key, entry);
+    }
+
+    const monthlyApplications = [...months.entries()]
+      .sort(([a], [b]) => compareBinary(b, a))
+      .slice(0, 6)
+      .reverse()
+      .map(([, entry]) => entry);
+
+    return { defaultStats, monthlyApplications };
+  }
+
+  pickJobFields(data) {
+    const fields = [
+      'position', 'company', 'jobLocation', 'jobType', 'status',
+      'salaryMin', 'salaryMax', 'salaryCurrency', 'jobDescription',
+      'companyWebsite', 'jobPostingUrl', 'applicationMethod', 'notes',
+      'category', 'tags', 'priority'
+    ];
+    const picked = {};
+    for (const field of fields) {
+      if (data[field] !== undefined) picked[field] = data[field];
+    }
+    return picked;
+  }
+
+  validateJob(job) {
+    this.assertStrings(job, JOB_TEXT_FIELDS);
+
+    for (const [field, allowed] of Object.entries(JOB_ENUMS)) {
+      // An empty select means "not chosen": use the model default, or leave the field unset
+      if (job[field] === '') {
+        if (JOB_DEFAULTS[field] !== undefined) {
+          job[field] = JOB_DEFAULTS[field];
+        } else {
+          delete job[field];
+        }
+      }
+      if (job[field] !== undefined && !allowed.includes(job[field])) {
+        throw new BadRequestError(`${job[field]} is not a valid ${field}`);
+      }
+    }
+
+    for (const field of ['salaryMin', 'salaryMax']) {
+      if (job[field] === '' || job[field] === null) {
+        delete job[field];
+      } else if (job[field] !== undefined) {
+        const amount = Number(job[field]);
+        if (!Number.isFinite(amount) || amount < 0) {
+          throw new BadRequestError(`${field} must be a positive number`);
+        }
+        job[field] = amount;
+      }
+    }
+
+    if (job.salaryMin !== undefined && job.salaryMax !== undefined && job.salaryMin > job.salaryMax) {
+      throw new BadRequestError('Minimum salary cannot exceed maximum salary');
+    }
+
+    if (typeof job.tags === 'string') {
+      job.tags = job.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+    if (!Array.isArray(job.tags) || job.tags.some(tag => typeof tag !== 'string')) {
+      throw new BadRequestError('tags must be a list of strings');
+    }
+
+    if (Number.isNaN(Date.parse(job.createdAt))) {
+      throw new BadRequestError('createdAt must be a valid date');
+    }
+    job.createdAt = new Date(job.createdAt).toISOString();
+
+    return job;
+  }
+
+  // ---------------------------------------------------
+  // Activities
+  // ---------------------------------------------------
+
+  createActivity(userId, data) {
+    this.assertRequired(data, REQUIRED_FIELDS.activity);
+
+    if (data.jobId) {
+      this.getJob(userId, data.jobId);
+    }
+
+    const timestamp = this.nextTimestamp();
+    const activity = this.validateActivity({
+      ...ACTIVITY_DEFAULTS,
+      ...this.pickActivityFields(data),
+      _id: this.nextId(),
+      createdBy: userId,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    });
+    this.activities.set(activity._id, activity);
+    return activity;
+  }
+
+  getActivity(userId, activityId) {
+    const activity = this.activities.get(activityId);
+    if (!activity) {
+      throw new NotFoundError(`No activity with id :${activityId}`);
+    }
+    if (activity.createdBy !== userId) {
+      throw new UnauthenticatedError('Not authorized to access this route');
+    }
+    return activity;
+  }
+
+  updateActivity(userId, activityId, data) {
+    const activity = this.getActivity(userId, activityId);
+    const updated = this.validateActivity({
+      ...activity,
+      ...this.pickActivityFields(data),
+      updatedAt: this.nextTimestamp()
+    });
+    this.activities.set(activityId, updated);
+    return updated;
+  }
+
+  completeActivity(userId, activityId) {
+    return this.updateActivity(userId, activityId, {
+      status: 'completed',
+      completedDate: new Date().toISOString()
+    });
+  }
+
+  deleteActivity(userId, activityId) {
+    this.getActivity(userId, activityId);
+    this.activities.delete(activityId);
+  }
+
+  /**
+   * List activities, newest first, with the job reference attached
+   * @param {string} userId - Owner of the activities
+   * @param {Object} query - Parsed query string
+   * @returns {Object} `{ activities, totalActivities, numOfPages }`
+   */
+  queryActivities(userId, query = {}) {
+    let activities = [...this.activities.values()].filter(activity => activity.createdBy === userId);
+
+    const type = pickFirst(query, ['activityType']);
+    if (type && type !== 'all') {
+      activities = activities.filter(activity => activity.activityType === type);
+    }
+
+    const status = pickFirst(query, ['status', 'activityStatus']);
+    if (status && status !== 'all') {
+      activities = activities.filter(activity => activity.status === status);
+    }
+
+    if (query.jobId) {
+      activities = activities.filter(activity => activity.jobId === query.jobId);
+    }
+
+    activities.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || compareBinary(b._id, a._id));
+
+    const page = toPositiveInt(query.page, 1);
+    const limit = toPositiveInt(query.limit, 50);
+    const totalActivities = activities.length;
+
+    return {
+      activities: activities
+        .slice((page - 1) * limit, page * limit)
+        .map(activity => this.withJobReference(activity)),
+      totalActivities,
+      numOfPages: Math.ceil(totalActivities / limit)
+    };
+  }
+
+  /**
+   * Activity counts for the timeline statistics
+   * @param {string} userId - Owner of the activities
+   * @returns {Object} `{ total, pending, completed, byType }`
+   */
+  activityStats(userId) {
+    const activities = [...this.activities.values()].filter(activity => activity.createdBy === userId);
+    const byType = {};
+    for (const activity of activities) {
+      byType[activity.activityType] = (byType[activity.activityType] || 0) + 1;
+    }
+
+    return {
+      total: activities.length,
+      pending: activities.filter(activity => activity.status === 'pending').length,
+      completed: activities.filter(activity => activity.status === 'completed').length,
+      byType
+    };
+  }
+
+  withJobReference(activity) {
+    const job = activity.jobId ? this.jobs.get(activity.jobId) : null;
+    return {
+      ...activity,
+      job: job ? { _id: job._id, company: job.company, position: job.position } : null
+    };
+  }
+
+  pickActivityFields(data) {
+    const fields = [
+      'title', 'description', 'activityType', 'status', 'priority',
+      'jobId', 'scheduledDate', 'completedDate'
+    ];
+    const picked = {};
+    for (const field of fields) {
+      if (data[field] !== undefined) picked[field] = data[field];
+    }
+    return picked;
+  }
+
+  validateActivity(activity) {
+    for (const [field, allowed] of Object.entries(ACTIVITY_ENUMS)) {
+      if (activity[field] !== undefined && !allowed.includes(activity[field])) {
+        throw new BadRequestError(`${activity[field]} is not a valid ${field}`);
+      }
+    }
+    return activity;
+  }
+
+  // ---------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------
+
+  assertRequired(data, fields) {
+    if (fields.some(field => data[field] === undefined || data[field] === null || data[field] === '')) {
+      throw new BadRequestError('Please provide all values');
+    }
+  }
+
+  assertStrings(data, fields = Object.keys(data)) {
+    const invalid = fields.filter(field => data[field] !== undefined && typeof data[field] !== 'string');
+    if (invalid.length > 0) {
+      throw new BadRequestError(`Invalid value for ${invalid.join(', ')}`);
+    }
+  }
+}
+
+module.exports = { InMemoryStore, JOB_FILTER_PARAMS, JOB_SORTS };
@@ -11,15 +11,41 @@
  * - Initial data creation for tests
  */
 
-const { chromium } = require('@playwright/test');
+const { request } = require('@playwright/test');
+const { environment } = require('./support/environment');
+const { validateCredentials, REQUIRED_ROLES } = require('./support/credentials');
+const { assertHealthy, formatDiagnosis } = require('./support/health-check');
+const { AUTH_ROLES, setVerifiedRoles } = require('./support/auth-state');
+const { JobTrackApiClient } = require('./api');
+const { SEED_USERS } = require('./fake-api/seed');
+const { harMode, clearReplayReports, HAR_DIR } = require('./support/har');
 
 async function globalSetup(config) {
   console.log('🚀 Starting global setup for JobTrack4U E2E tests...');
+  console.log(`🌍 Environment: ${environment.name} (frontend ${environment.baseURL}, API ${environment.apiURL})`);
+  console.log(`🎲 Test data seed: ${process.env.TEST_SEED} (rerun with TEST_SEED=${process.env.TEST_SEED} to reproduce)`);
 
   try {
-    // Wait for the application to be ready
+    // Fail fast on missing/malformed logins, before waiting on servers
+    validateCredentials();
+
+    // Replays serve the API from recorded HARs; only the frontend has to be up
+    if (harMode() === 'replay') {
+      console.log(`📼 HAR replay: serving /api/v1 from ${HAR_DIR}`);
+      clearReplayReports();
+      const health = await assertHealthy({ probes: ['frontend'] });
+      console.log(formatDiagnosis(health));
+      console.log('✅ Global setup completed successfully!');
+      return;
+    }
+    if (harMode() === 'record') {
+      console.log(`📼 HAR record: writing /api/v1 traffic to ${HAR_DIR}`);
+    }
+
+    // Wait for frontend, API and database (backoff up to a shared deadline)
     console.log('⏳ Waiting for application to be ready...');
-    await waitForApplication();
+    const health = await assertHealthy();
+    console.log(formatDiagnosis(health));
 
     // Create test user and initial data
     console.log('👤 Setting up test user and initial data...');
@@ -33,100 +59,57 @@ async function globalSetup(config) {
 }
 
 /**
- * Wait for the application to be available
+ * Make sure every role's account can log in, registering seeded roles
+ * over the API if login fails. Read-only demo accounts must be seeded
+ * by the backend itself, and shared environments provide their own
+ * accounts, so those are only checked. The roles that end up able to
+ * log in are recorded for the setup project (support/auth-state.js).
  */
-async function waitForApplication() {
-  const browser = await chromium.launch();
-  const page = await browser.newPage();
-
-  let retries = 30;
-  while (retries > 0) {
-    try {
-      await page.goto('http://localhost:3000', { timeout: 5000 });
-      console.log('✅ Frontend is ready');
-      break;
-    } catch (error) {
-      console.log(`⏳ Waiting for frontend... (${retries} retries left)`);
-      retries--;
-      await page.waitForTimeout(2000);
-    }
-  }
-
-  if (retries === 0) {
-    throw new Error('Frontend failed to start');
+async function setupTestData() {
+  const canRegister = environment.credentials === 'seed';
+  if (!canRegister) {
+    console.log(`ℹ️  Using existing accounts for ${environment.name}; skipping test user registration`);
   }
 
-  // Check backend health
-  retries = 30;
-  while (retries > 0) {
+  const verified = [];
+  for (const [role, credentials] of Object.entries(AUTH_ROLES)) {
+    const client = await JobTrackApiClient.create(request);
     try {
-      const response = await page.request.get('http://localhost:5000/api/v1/auth/getCurrentUser');
-      if (response.status() === 401 || response.status() === 200) {
-        console.log('✅ Backend is ready');
-        break;
-      }
+      await client.login(credentials);
+      console.log(`✅ ${role} account exists (${credentials.email})`);
+      verified.push(role);
     } catch (error) {
-      console.log(`⏳ Waiting for backend... (${retries} retries left)`);
-      retries--;
-      await page.waitForTimeout(2000);
+      if (canRegister && role !== 'demo' && await registerSeedAccount(client, role, credentials)) {
+        verified.push(role);
+      } else {
+        const outcome = REQUIRED_ROLES.includes(role) ? 'the setup project will fail' : 'its stored session and specs will be skipped';
+        console.warn(`⚠️  ${role} account ${credentials.email} cannot log in; ${outcome}`);
+      }
+    } finally {
+      await client.dispose();
     }
   }
 
-  if (retries === 0) {
-    throw new Error('Backend failed to start');
-  }
-
-  await browser.close();
+  setVerifiedRoles(verified);
 }
 
 /**
- * Create test user and initial data
+ * Register a seeded role's account. Failing to register a required
+ * role stops the run; an optional role is only reported.
+ * @returns {Promise<boolean>} True if the account was registered
  */
-async function setupTestData() {
-  const browser = await chromium.launch();
-  const page = await browser.newPage();
-
+async function registerSeedAccount(client, role, credentials) {
+  const seed = SEED_USERS.find(user => user.role === role) || {};
   try {
-    // Navigate to the application
-    await page.goto('http://localhost:3000');
-
-    // Try to register a test user (ignore if already exists)
-    try {
-      await page.goto('http://localhost:3000/register');
-
-      // Check if we're already logged in
-      const isLoggedIn = await page.locator('[data-testid="dashboard"]').isVisible({ timeout: 2000 });
-
-      if (!isLoggedIn) {
-        // Switch to register mode if needed
-        const registerButton = page.locator('button:has-text("Sign Up")');
-        if (await registerButton.isVisible()) {
-          await registerButton.click();
-        }
-
-        // Fill registration form
-        await page.fill('input[name="name"]', 'Test User');
-        await page.fill('input[name="email"]', 'test@jobtrack.com');
-        await page.fill('input[name="password"]', 'testpassword123');
-
-        // Submit registration
-        await page.click('button[type="submit"]');
-
-        // Wait for success or error
-        await page.waitForTimeout(3000);
-
-        console.log('✅ Test user created or already exists');
-      } else {
-        console.log('✅ Already logged in - test user exists');
-      }
-    } catch (error) {
-      console.log('ℹ️  Test user may already exist or login failed, continuing...');
-    }
-
+    await client.register({ name: seed.name || role, lastName: seed.lastName, ...credentials });
+    console.log(`✅ Registered ${role} account (${credentials.email})`);
+    return true;
   } catch (error) {
-    console.warn('⚠️  Could not create test data:', error.message);
-  } finally {
-    await browser.close();
+    if (REQUIRED_ROLES.includes(role)) {
+      throw error;
+    }
+    console.warn(`⚠️  Could not register ${role} account (${credentials.email}): ${error.message}`);
+    return false;
   }
 }
 
@@ -11,10 +11,22 @@
  * - Final reporting
  */
 
+const { request } = require('@playwright/test');
+const { sweepRunData } = require('./support/sweep');
+const { keepTestData, runTag } = require('./support/test-run');
+const { harMode, writeReplayReport, REPORT_FILE } = require('./support/har');
+
 async function globalTeardown(config) {
   console.log('🧹 Starting global teardown for JobTrack4U E2E tests...');
 
   try {
+    // Replays never touched a backend; report on the recordings instead
+    if (harMode() === 'replay') {
+      reportHarReplay();
+      console.log('✅ Global teardown completed successfully!');
+      return;
+    }
+
     // Clean up test data if needed
     console.log('🗑️  Cleaning up test data...');
     await cleanupTestData();
@@ -27,12 +39,37 @@ async function globalTeardown(config) {
 }
 
 /**
- * Clean up test data and temporary files
+ * Sweep jobs and activities tagged with this run's ID.
+ * Tests clean up after themselves (trackedResources fixture); this
+ * catches whatever a crashed or timed-out test left behind.
  */
 async function cleanupTestData() {
-  // For now, we'll keep test data for debugging
-  // In production, you might want to clean up the test database
-  console.log('ℹ️  Keeping test data for debugging purposes');
+  if (keepTestData()) {
+    console.log(`ℹ️  KEEP_TEST_DATA=1: keeping data tagged ${runTag()} for debugging`);
+    return;
+  }
+
+  const { jobs, activities, errors } = await sweepRunData(request);
+  console.log(`🗑️  Swept ${jobs} leftover jobs and ${activities} activities tagged ${runTag()}`);
+  errors.forEach(error => console.warn(`⚠️  Sweep skipped ${error}`));
+}
+
+/**
+ * Summarise the per-test HAR replay reports (unmatched requests,
+ * stale entries, outdated recordings) into one file
+ */
+function reportHarReplay() {
+  const totals = writeReplayReport();
+  if (!totals) {
+    console.log('ℹ️  No HAR replay reports were written');
+    return;
+  }
+
+  const icon = totals.unmatched + totals.stale + totals.outdated === 0 ? '✅' : '⚠️ ';
+  console.log(`${icon} HAR replay: ${totals.tests} tests, ${totals.unmatched} unmatched requests, ${totals.stale} stale entries, ${totals.outdated} outdated recordings`);
+  if (totals.unmatched + totals.stale + totals.outdated > 0) {
+    console.log(`   Details in ${REPORT_FILE}; re-record with npm run test:record`);
+  }
 }
 
 module.exports = globalTeardown;
@@ -8,63 +8,19 @@
 
 const BasePage = require('./BasePage');
 
+const ACTIVITIES_API = '/api/v1/activities';
+const ACTIVITY_API = /\/api\/v1\/activities\/[^/?]+(?:\?|$)/;
+const COMPLETE_ACTIVITY_API = /\/api\/v1\/activities\/[^/?]+\/complete(?:\?|$)/;
+
+// Filter params the backend also accepts under another name (see BasePage.queryIncludes)
+const ACTIVITIES_QUERY = { aliases: [['activityStatus', 'status']] };
+
 class ActivitiesPage extends BasePage {
   constructor(page) {
     super(page);
 
     // Locators
-    this.locators = {
-      // Page elements
-      pageTitle: 'h3',
-
-      // Activities container
-      activitiesContainer: '.activities-container',
-      activityCards: '.activity-card',
-
-      // Filters
-      activityTypeFilter: 'select[name="activityType"]',
-      activityStatusFilter: 'select[name="activityStatus"]',
-      clearFiltersButton: 'button:has-text("Clear Filters")',
-
-      // Activity card elements
-      activityTitle: '.activity-title',
-      activityType: '.activity-type',
-      statusBadge: '.status-badge',
-      priorityBadge: '.priority-badge',
-      createdDate: '.created-date',
-      scheduledDate: '.scheduled-date',
-      completedDate: '.completed-date',
-      jobReference: '.job-reference',
-
-      // Activity actions
-      activityActions: '.activity-actions',
-      markCompleteButton: 'button:has-text("Mark Complete")',
-      deleteButton: 'button:has-text("Delete")',
-
-      // Activity states
-      pendingActivity: '.activity-card.pending',
-      completedActivity: '.activity-card.completed',
-
-      // Priority classes
-      highPriorityCard: '.activity-card.priority-high',
-      mediumPriorityCard: '.activity-card.priority-medium',
-      lowPriorityCard: '.activity-card.priority-low',
-
-      // Priority badges
-      highPriorityBadge: '.priority-badge.priority-high',
-      mediumPriorityBadge: '.priority-badge.priority-medium',
-      lowPriorityBadge: '.priority-badge.priority-low',
-
-      // Empty state
-      noActivities: '.no-activities',
-      noActivitiesTitle: '.no-activities h4',
-
-      // Activity count
-      activitiesCount: '.activities-count',
-
-      // Success/error messages
-      alertMessage: '[class*="alert"], .success'
-    };
+    this.locators = this.resolveLocators('activities');
   }
 
   /**
@@ -116,13 +72,42 @@ class ActivitiesPage extends BasePage {
            await this.isVisible(this.locators.activityStatusFilter);
   }
 
+  /**
+   * Set a filter and wait for the activities to be refetched and
+   * re-rendered (no request is sent if the value is unchanged)
+   * @param {string} selector - Filter selector
+   * @param {string} value - Option value
+   */
+  async updateActivitiesQuery(selector, value) {
+    const filter = this.page.locator(selector);
+    if ((await filter.inputValue()) === value) {
+      return;
+    }
+    const param = await filter.getAttribute('name');
+    await this.waitForActivitiesRefresh(() => this.selectOption(selector, value), { [param]: value });
+  }
+
+  /**
+   * Run an action and wait for the GET /api/v1/activities it triggers
+   * and the list re-render that follows
+   * @param {Function} action - Async action that refetches the activities
+   * @param {Object} query - Query params the request must carry, e.g.
+   *   `{ activityStatus: 'completed' }` (see BasePage.queryIncludes)
+   * @returns {Promise<import('@playwright/test').Response>} Activities response
+   */
+  async waitForActivitiesRefresh(action, query = {}) {
+    const isRefresh = url => url.pathname === ACTIVITIES_API && BasePage.queryIncludes(url, query, ACTIVITIES_QUERY);
+    const response = await this.waitForResponseAfter(action, isRefresh);
+    await this.waitForListToSettle(this.locators.activityCards);
+    return response;
+  }
+
   /**
    * Filter activities by type
    * @param {string} activityType - Activity type to filter by
    */
   async filterByType(activityType) {
-    await this.selectOption(this.locators.activityTypeFilter, activityType);
-    await this.waitForTimeout(1000);
+    await this.updateActivitiesQuery(this.locators.activityTypeFilter, activityType);
   }
 
   /**
@@ -130,8 +115,7 @@ class ActivitiesPage extends BasePage {
    * @param {string} status - Activity status to filter by
    */
   async filterByStatus(status) {
-    await this.selectOption(this.locators.activityStatusFilter, status);
-    await this.waitForTimeout(1000);
+    await this.updateActivitiesQuery(this.locators.activityStatusFilter, status);
   }
 
   /**
@@ -174,8 +158,12 @@ class ActivitiesPage extends BasePage {
     const pendingActivity = this.page.locator(this.locators.pendingActivity).first();
 
     if (await pendingActivity.isVisible()) {
-      await pendingActivity.locator(this.locators.markCompleteButton).click();
-      await this.waitForTimeout(1000);
+      await this.waitForResponseAfter(
+        () => pendingActivity.locator(this.locators.markCompleteButton).click(),
+        COMPLETE_ACTIVITY_API,
+        { method: 'PATCH' }
+      );
+      await this.waitForListToSettle(this.locators.activityCards);
       return true;
     }
     return false;
@@ -193,8 +181,12 @@ class ActivitiesPage extends BasePage {
       // Set up dialog handler for confirmation
       this.setupDialogHandler(true);
 
-      await firstActivity.locator(this.locators.deleteButton).click();
-      await this.waitForTimeout(2000);
+      await this.waitForResponseAfter(
+        () => firstActivity.locator(this.locators.deleteButton).click(),
+        ACTIVITY_API,
+        { method: 'DELETE' }
+      );
+      await this.waitForListToSettle(this.locators.activityCards);
 
       return activityTitle;
     }
@@ -355,14 +347,6 @@ class ActivitiesPage extends BasePage {
     return false;
   }
 
-  /**
-   * Apply filters that might result in empty state
-   */
-  async applyFiltersForEmptyState() {
-    await this.filterByType('offer-received');
-    await this.filterByStatus('completed');
-  }
-
   /**
    * Wait for activities page to load
    */
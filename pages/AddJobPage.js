@@ -6,45 +6,73 @@
  * Page object for add/edit job functionality
  */
 
+const { expect } = require('@playwright/test');
 const BasePage = require('./BasePage');
+const { jobs } = require('../factories');
+
+const JOBS_API = '/api/v1/jobs';
+const JOB_API = /\/api\/v1\/jobs\/[^/?]+(?:\?|$)/;
+
+// Form fields by job key
+const FIELDS = {
+  position: 'positionInput',
+  company: 'companyInput',
+  jobLocation: 'jobLocationInput',
+  jobType: 'jobTypeSelect',
+  status: 'statusSelect',
+  salaryMin: 'salaryMinInput',
+  salaryMax: 'salaryMaxInput',
+  salaryCurrency: 'salaryCurrencySelect',
+  jobDescription: 'jobDescriptionTextarea',
+  companyWebsite: 'companyWebsiteInput',
+  jobPostingUrl: 'jobPostingUrlInput',
+  applicationMethod: 'applicationMethodSelect',
+  notes: 'notesTextarea',
+  category: 'categorySelect',
+  tags: 'tagsInput',
+  priority: 'prioritySelect'
+};
+
+// Title/button wording that only appears while editing an existing job
+const EDIT_MODE_TEXT = /\b(edit|update|save)\b/i;
+
+/**
+ * Split the comma-separated tags input into a list
+ * @param {string} value - Tags input value
+ * @returns {string[]} Trimmed, non-empty tags
+ */
+function parseTags(value) {
+  return value.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Convert a job (API record or factory data) to what the form shows:
+ * strings for every field, a list for tags, '' for anything unset
+ * @param {Object} job - Flat job data
+ * @returns {Object} Form values keyed like FIELDS
+ */
+function toFormValues(job) {
+  const values = {};
+  for (const field of Object.keys(FIELDS)) {
+    const value = job[field];
+    if (field === 'tags') {
+      values.tags = Array.isArray(value) ? value : parseTags(value || '');
+    } else {
+      values[field] = value === undefined || value === null ? '' : String(value);
+    }
+  }
+  return values;
+}
 
 class AddJobPage extends BasePage {
-  constructor(page) {
-    super(page);
+  constructor(page, options) {
+    super(page, options);
+
+    // `{ request, response }` of the last job create (POST) or edit (PATCH)
+    this.lastJobExchange = null;
 
     // Locators
-    this.locators = {
-      // Page elements
-      pageTitle: 'h3',
-
-      // Basic job form fields
-      positionInput: 'input[name="position"]',
-      companyInput: 'input[name="company"]',
-      jobLocationInput: 'input[name="jobLocation"]',
-      jobTypeSelect: 'select[name="jobType"]',
-      statusSelect: 'select[name="status"]',
-
-      // Enhanced fields (Phase 1)
-      salaryMinInput: '.form-input[name="salaryMin"]',
-      salaryMaxInput: '.form-input[name="salaryMax"]',
-      salaryCurrencySelect: 'select[name="salaryCurrency"]',
-      jobDescriptionTextarea: '.form-textarea[name="jobDescription"]',
-      companyWebsiteInput: '.form-input[name="companyWebsite"]',
-      jobPostingUrlInput: '.form-input[name="jobPostingUrl"]',
-      applicationMethodSelect: 'select[name="applicationMethod"]',
-      notesTextarea: '.form-textarea[name="notes"]',
-
-      // Phase 2 fields
-      categorySelect: 'select[name="category"]',
-      tagsInput: '.form-input[name="tags"]',
-      prioritySelect: 'select[name="priority"]',
-
-      // Form actions
-      submitButton: '.submit-btn, button[type="submit"]',
-
-      // Messages
-      alertMessage: '[class*="alert"], .success, .error'
-    };
+    this.locators = this.resolveLocators('addJob');
   }
 
   /**
@@ -103,11 +131,11 @@ class AddJobPage extends BasePage {
    */
   async fillEnhancedJobInfo(enhancedData) {
     if (enhancedData.salaryMin) {
-      await this.fillInput(this.locators.salaryMinInput, enhancedData.salaryMin);
+      await this.fillInput(this.locators.salaryMinInput, String(enhancedData.salaryMin));
     }
 
     if (enhancedData.salaryMax) {
-      await this.fillInput(this.locators.salaryMaxInput, enhancedData.salaryMax);
+      await this.fillInput(this.locators.salaryMaxInput, String(enhancedData.salaryMax));
     }
 
     if (enhancedData.salaryCurrency) {
@@ -145,7 +173,8 @@ class AddJobPage extends BasePage {
     }
 
     if (phase2Data.tags) {
-      await this.fillInput(this.locators.tagsInput, phase2Data.tags);
+      const tags = Array.isArray(phase2Data.tags) ? phase2Data.tags.join(', ') : phase2Data.tags;
+      await this.fillInput(this.locators.tagsInput, tags);
     }
 
     if (phase2Data.priority) {
@@ -155,21 +184,17 @@ class AddJobPage extends BasePage {
 
   /**
    * Fill complete job form
-   * @param {Object} jobData - Complete job data object
+   * @param {Object} jobData - Nested `{ enhanced, phase2 }` data, or a flat JobFactory record
    */
   async fillCompleteJobForm(jobData) {
     // Fill basic information
     await this.fillBasicJobInfo(jobData);
 
-    // Fill enhanced information if provided
-    if (jobData.enhanced) {
-      await this.fillEnhancedJobInfo(jobData.enhanced);
-    }
+    // Fill enhanced information (nested section, or the flat record itself)
+    await this.fillEnhancedJobInfo(jobData.enhanced || jobData);
 
-    // Fill Phase 2 information if provided
-    if (jobData.phase2) {
-      await this.fillPhase2JobInfo(jobData.phase2);
-    }
+    // Fill Phase 2 information (nested section, or the flat record itself)
+    await this.fillPhase2JobInfo(jobData.phase2 || jobData);
   }
 
   /**
@@ -180,12 +205,35 @@ class AddJobPage extends BasePage {
   }
 
   /**
-   * Create a new job with all fields
+   * Create a new job with all fields. Company and position are stamped
+   * with the test namespace, if any.
    * @param {Object} jobData - Job data object
+   * @returns {Object} The job data that was submitted
    */
   async createJob(jobData) {
-    await this.fillCompleteJobForm(jobData);
-    await this.submitForm();
+    const scopedJobData = this.namespace ? this.namespace.job(jobData) : jobData;
+
+    await this.fillCompleteJobForm(scopedJobData);
+    this.lastJobExchange = await this.performAndCapture(() => this.submitForm(), JOBS_API, { method: 'POST' });
+    return scopedJobData;
+  }
+
+  /**
+   * Assert the last create POSTed these fields, e.g. `{ salaryMin: 120000 }`
+   * @param {Object} expected - Expected body fields
+   */
+  expectJobPosted(expected) {
+    expect(this.lastJobExchange && this.lastJobExchange.request.method(), 'last job request').toBe('POST');
+    this.expectRequestToInclude(this.lastJobExchange, expected);
+  }
+
+  /**
+   * Assert the last edit PATCHed these fields, e.g. `{ status: 'interview' }`
+   * @param {Object} expected - Expected body fields
+   */
+  expectJobPatched(expected) {
+    expect(this.lastJobExchange && this.lastJobExchange.request.method(), 'last job request').toBe('PATCH');
+    this.expectRequestToInclude(this.lastJobExchange, expected);
   }
 
   /**
@@ -215,86 +263,142 @@ class AddJobPage extends BasePage {
 
   /**
    * Get current form values
-   * @returns {Object} Current form values
+   * @returns {Object} Every job field as shown in the form; tags as a list
    */
   async getFormValues() {
-    return {
-      position: await this.page.locator(this.locators.positionInput).inputValue(),
-      company: await this.page.locator(this.locators.companyInput).inputValue(),
-      jobLocation: await this.page.locator(this.locators.jobLocationInput).inputValue(),
-      jobType: await this.page.locator(this.locators.jobTypeSelect).inputValue(),
-      status: await this.page.locator(this.locators.statusSelect).inputValue(),
-      salaryMin: await this.page.locator(this.locators.salaryMinInput).inputValue(),
-      salaryMax: await this.page.locator(this.locators.salaryMaxInput).inputValue(),
-      category: await this.page.locator(this.locators.categorySelect).inputValue(),
-      priority: await this.page.locator(this.locators.prioritySelect).inputValue()
-    };
+    const values = {};
+    for (const [field, locator] of Object.entries(FIELDS)) {
+      values[field] = await this.page.locator(this.locators[locator]).inputValue();
+    }
+    values.tags = parseTags(values.tags);
+    return values;
   }
 
   /**
-   * Check if form is pre-filled (edit mode)
-   * @param {Object} expectedData - Expected form data
-   * @returns {boolean} True if form is pre-filled with expected data
+   * Check if the form is pre-filled with a complete job (edit mode).
+   * Fields the job leaves unset must be empty in the form.
+   * @param {Object} job - The job being edited, e.g. from JobTrackApiClient.createJob
+   * @returns {boolean} True if every field matches
    */
-  async isFormPreFilled(expectedData) {
+  async isFormPreFilled(job) {
+    const expected = toFormValues(this.namespace ? this.namespace.job(job) : job);
     const currentValues = await this.getFormValues();
 
-    return currentValues.position === expectedData.position &&
-           currentValues.company === expectedData.company;
+    return Object.keys(FIELDS).every(field =>
+      JSON.stringify(currentValues[field]) === JSON.stringify(expected[field]));
   }
 
   /**
-   * Update existing job (edit mode)
-   * @param {Object} updates - Updated job data
+   * Assert the form shows these values
+   * @param {Object} expected - Any job fields; company and position are scoped
    */
-  async updateJob(updates) {
-    // Clear and fill updated fields
-    if (updates.position) {
-      await this.page.locator(this.locators.positionInput).fill('');
-      await this.fillInput(this.locators.positionInput, updates.position);
+  async expectFormValues(expected) {
+    const values = toFormValues(this.namespace ? this.namespace.job(expected) : expected);
+    for (const field of Object.keys(expected)) {
+      const input = this.page.locator(this.locators[FIELDS[field]]);
+      if (field === 'tags') {
+        await expect.poll(async () => parseTags(await input.inputValue()), 'job form tags').toEqual(values.tags);
+      } else {
+        await expect(input, `job form ${field}`).toHaveValue(values[field]);
+      }
     }
+  }
 
-    if (updates.status) {
-      await this.selectOption(this.locators.statusSelect, updates.status);
-    }
+  /**
+   * Check if the form is editing an existing job rather than creating one
+   * @returns {boolean} True if the title or submit button reads as an edit
+   */
+  async isEditMode() {
+    const title = await this.getPageTitle();
+    const buttonText = await this.getTextContent(this.locators.submitButton);
+    return EDIT_MODE_TEXT.test(title) || EDIT_MODE_TEXT.test(buttonText);
+  }
+
+  /**
+   * Wait for the edit form to be filled with the job being edited
+   */
+  async waitForEditFormLoad() {
+    await this.waitForFormLoad();
+    await expect.poll(() => this.isEditMode(), 'job form in edit mode').toBe(true);
+    await expect(this.page.locator(this.locators.positionInput)).not.toHaveValue('');
+  }
+
+  /**
+   * Replace the given fields; an empty string clears a field. Unlike
+   * fillCompleteJobForm, every field is written, including ones that
+   * already have a value.
+   * @param {Object} values - Any job fields; tags may be a list
+   */
+  async setFormFields(values) {
+    for (const [field, value] of Object.entries(values)) {
+      const locator = FIELDS[field];
+      if (!locator) {
+        throw new Error(`Unknown job form field "${field}"`);
+      }
 
-    if (updates.priority) {
-      await this.selectOption(this.locators.prioritySelect, updates.priority);
+      if (locator.endsWith('Select')) {
+        await this.selectOption(this.locators[locator], value);
+      } else {
+        const text = Array.isArray(value) ? value.join(', ') : String(value);
+        await this.fillInput(this.locators[locator], text);
+      }
     }
+  }
 
-    await this.submitForm();
+  /**
+   * Clear form fields
+   * @param {...string} fields - Job keys, e.g. 'notes', 'salaryMin'
+   */
+  async clearFields(...fields) {
+    await this.setFormFields(Object.fromEntries(fields.map(field => [field, ''])));
   }
 
   /**
-   * Create test job with default values
-   * @param {Object} overrides - Override default values
+   * Update existing job (edit mode). Company and position are stamped
+   * with the test namespace, if any.
+   * @param {Object} updates - Fields to replace; an empty string clears a field
+   * @returns {Object} The updates that were submitted
    */
-  async createTestJob(overrides = {}) {
-    const defaultJobData = {
-      position: 'Test Software Engineer',
-      company: 'Test Company Inc',
-      jobLocation: 'Remote',
-      jobType: 'full-time',
-      status: 'pending',
-      enhanced: {
-        salaryMin: '80000',
-        salaryMax: '120000',
-        salaryCurrency: 'USD',
-        jobDescription: 'Test job description',
-        companyWebsite: 'https://testcompany.com',
-        jobPostingUrl: 'https://testcompany.com/careers/engineer',
-        applicationMethod: 'website',
-        notes: 'Test notes'
-      },
-      phase2: {
-        category: 'software-engineering',
-        tags: 'javascript, react, node.js',
-        priority: 'medium'
-      },
-      ...overrides
+  async updateJob(updates) {
+    const scopedUpdates = this.namespace ? this.namespace.job(updates) : updates;
+
+    await this.setFormFields(scopedUpdates);
+    this.lastJobExchange = await this.performAndCapture(() => this.submitForm(), JOB_API, { method: 'PATCH' });
+    return scopedUpdates;
+  }
+
+  /**
+   * Abandon an edit without saving and wait for the form to leave edit
+   * mode. Job PATCHes sent meanwhile are recorded, so callers can check
+   * that cancelling saved nothing.
+   * @returns {Promise<import('@playwright/test').Request[]>} PATCH /api/v1/jobs/:id requests sent
+   */
+  async cancelEdit() {
+    const patches = [];
+    const recordPatch = request => {
+      if (request.method() === 'PATCH' && BasePage.matchesUrl(request.url(), JOB_API)) {
+        patches.push(request);
+      }
     };
 
-    await this.createJob(defaultJobData);
+    this.page.on('request', recordPatch);
+    try {
+      await this.clickElement(this.locators.cancelButton);
+      await expect.poll(async () => !(await this.isOnAddJobPage()) || !(await this.isEditMode()), 'edit cancelled').toBe(true);
+    } finally {
+      this.page.off('request', recordPatch);
+    }
+    return patches;
+  }
+
+  /**
+   * Create test job from the JobFactory
+   * @param {Object} overrides - Override generated values (flat or nested)
+   * @param {...string} traits - JobFactory traits, e.g. 'interviewing'
+   * @returns {Object} The job data that was submitted
+   */
+  async createTestJob(overrides = {}, ...traits) {
+    return await this.createJob(jobs.build(...traits, overrides));
   }
 
   /**
@@ -354,4 +458,6 @@ class AddJobPage extends BasePage {
   }
 }
 
+AddJobPage.FIELDS = Object.keys(FIELDS);
+
 module.exports = AddJobPage;
@@ -7,36 +7,15 @@
  */
 
 const BasePage = require('./BasePage');
+const { users } = require('../factories');
+const { getCredentials } = require('../support/credentials');
 
 class AuthPage extends BasePage {
-  constructor(page) {
-    super(page);
+  constructor(page, options) {
+    super(page, options);
 
     // Locators
-    this.locators = {
-      // Form elements
-      nameInput: 'input[name="name"]',
-      emailInput: 'input[name="email"]',
-      passwordInput: 'input[name="password"]',
-      submitButton: 'button[type="submit"]',
-
-      // Mode toggle buttons
-      signUpButton: 'button:has-text("Register Now"), button.member-btn:has-text("Register")',
-      signInButton: 'button:has-text("Login Here"), button.member-btn:has-text("Login")',
-
-      // Page elements
-      pageTitle: 'h3',
-      alertMessage: '[class*="alert"], .error, [role="alert"]',
-
-      // Navigation after auth - user info appears in different places
-      userInfo: '.btn-container .btn, .nav-center .btn, button:has-text("anh"), .nav-links, .sidebar .nav-links, .big-sidebar .nav-links',
-      dashboardContent: 'h1, h2, h3, .logo-text',
-
-      // Logout elements
-      logoutButton: 'button:has-text("logout"), button:has-text("Logout"), button:has-text("Sign Out"), [data-testid="logout-button"]',
-      userMenu: '[data-testid="user-menu"], .user-dropdown, .nav-user, .btn-container .btn',
-      dropdownToggle: '.btn-container .btn, button:has-text("anh"), .dropdown-btn'
-    };
+    this.locators = this.resolveLocators('auth');
   }
 
   /**
@@ -78,7 +57,7 @@ class AuthPage extends BasePage {
     await this.switchToRegister();
 
     // Wait for the form to update and show name field
-    await this.waitForTimeout(1000);
+    await this.page.locator(this.locators.nameInput).waitFor({ state: 'visible' });
 
     // Fill all registration fields (name, email, password)
     await this.fillInput(this.locators.nameInput, userData.name);
@@ -125,9 +104,9 @@ class AuthPage extends BasePage {
 
   /**
    * Perform full login flow (navigate + login)
-   * @param {Object} credentials - Login credentials
+   * @param {Object} credentials - Login credentials (the environment's primary account by default)
    */
-  async performLogin(credentials = { email: 'aaaa@gmail.com', password: 'aaaaaa' }) {
+  async performLogin(credentials = getCredentials('primary')) {
     await this.navigateToAuth();
     await this.login(credentials);
     await this.waitForUrl('/');
@@ -137,40 +116,26 @@ class AuthPage extends BasePage {
    * Logout user
    */
   async logout() {
-    // First try to click the user button (with "anh" text) to open dropdown
-    const userButton = this.page.locator('button:has-text("anh")').first();
+    // The navbar's user button opens the dropdown that holds logout
+    const userButton = this.page.locator(this.locators.dropdownToggle).first();
+    const logoutButton = this.page.locator(this.locators.logoutButton).first();
 
-    if (await userButton.isVisible()) {
+    if (!(await logoutButton.isVisible()) && await userButton.isVisible()) {
       await userButton.click();
       // Wait for dropdown to open
-      await this.waitForTimeout(1000);
+      await logoutButton.waitFor({ state: 'visible', timeout: 3000 }).catch(() => {});
     }
 
-    // Now try to find and click the logout button
-    const logoutButton = this.page.locator('button:has-text("logout")').first();
-
     if (await logoutButton.isVisible()) {
       await logoutButton.click();
-    } else {
-      // If still not visible, try alternative selectors
-      const altLogoutButton = this.page.locator(this.locators.logoutButton).first();
-      if (await altLogoutButton.isVisible()) {
-        await altLogoutButton.click();
-      }
     }
 
-    // Wait for navigation to complete with more flexible approach
+    // Wait for navigation to the landing page or any other auth page
     try {
-      await this.waitForUrl('/landing');
+      await this.waitForUrl(url => url.pathname.startsWith('/landing') || url.pathname.startsWith('/register'));
     } catch (error) {
-      // If landing page doesn't load, wait for any navigation away from current page
-      await this.waitForTimeout(3000);
-
-      // Check if we're on landing page or any other auth page
-      if (!this.page.url().includes('/landing') && !this.page.url().includes('/register')) {
-        // If logout didn't work as expected, try to navigate to landing directly
-        await this.navigate('/landing');
-      }
+      // If logout didn't work as expected, try to navigate to landing directly
+      await this.navigate('/landing');
     }
   }
 
@@ -206,6 +171,14 @@ class AuthPage extends BasePage {
     return await this.getTextContent(this.locators.alertMessage);
   }
 
+  /**
+   * Wait for an alert message after a submit
+   * @returns {string} Alert message text
+   */
+  async waitForAlertMessage() {
+    return await this.waitForAlert(this.locators.alertMessage);
+  }
+
   /**
    * Check if name field is visible (register mode indicator)
    * @returns {boolean} True if name field is visible
@@ -256,8 +229,17 @@ class AuthPage extends BasePage {
    * @returns {string} Unique email address
    */
   generateTestEmail() {
-    const timestamp = Date.now();
-    return `test${timestamp}@jobtrack.com`;
+    return this.generateTestUser().email;
+  }
+
+  /**
+   * Generate a unique registration payload
+   * @param {Object} overrides - Override generated values
+   * @returns {Object} User data with name, email and password
+   */
+  generateTestUser(overrides = {}) {
+    const user = users.build(overrides);
+    return this.namespace ? this.namespace.user(user) : user;
   }
 }
 
@@ -7,9 +7,44 @@
  * and utility methods used across all pages.
  */
 
+const { expect } = require('@playwright/test');
+const { applyScenario } = require('../support/mock-scenarios');
+const { locatorsFor, fallbackMonitor } = require('./locators');
+
 class BasePage {
-  constructor(page) {
+  /**
+   * @param {import('@playwright/test').Page} page - Playwright page
+   * @param {Object} options - Page object options
+   * @param {import('../support/namespace').TestNamespace} options.namespace - Scopes created/looked-up records to one test (optional)
+   */
+  constructor(page, { namespace = null } = {}) {
     this.page = page;
+    this.namespace = namespace;
+  }
+
+  /**
+   * Selectors for one group of the locator registry (see locators.js).
+   * With LOCATOR_FALLBACK_WARNINGS=1, the first read of each one checks
+   * in the background whether only a fallback matched, and warns.
+   * @param {string} group - Registry group, e.g. 'jobs'
+   * @returns {Object} Selector strings by name
+   */
+  resolveLocators(group) {
+    if (!fallbackMonitor.enabled) {
+      return locatorsFor(group);
+    }
+    return locatorsFor(group, {
+      onUse: (name, entry) => fallbackMonitor.observe(this.page, `${group}.${name}`, entry)
+    });
+  }
+
+  /**
+   * Stamp a value with the test namespace, if any
+   * @param {string} value - Company, position, etc.
+   * @returns {string} Stamped (or unchanged) value
+   */
+  scoped(value) {
+    return this.namespace ? this.namespace.stamp(value) : value;
   }
 
   /**
@@ -31,7 +66,7 @@ class BasePage {
 
   /**
    * Wait for page to load by checking URL
-   * @param {string} expectedUrl - Expected URL pattern
+   * @param {string|RegExp|Function} expectedUrl - Expected URL pattern
    * @param {number} timeout - Timeout in milliseconds
    */
   async waitForUrl(expectedUrl, timeout = 10000) {
@@ -96,11 +131,167 @@ class BasePage {
   }
 
   /**
-   * Wait for loading to complete
-   * @param {number} timeout - Wait timeout in milliseconds
+   * Whether a URL matches a pattern: a string is an exact pathname
+   * ('/api/v1/jobs'), a RegExp is tested against the full URL, and a
+   * function receives the parsed URL
+   * @param {string} url - Request URL
+   * @param {string|RegExp|Function} urlPattern - Pattern to match
+   * @returns {boolean} True if matched
+   */
+  static matchesUrl(url, urlPattern) {
+    if (typeof urlPattern === 'string') {
+      return new URL(url).pathname === urlPattern;
+    }
+    if (urlPattern instanceof RegExp) {
+      return urlPattern.test(url);
+    }
+    return Boolean(urlPattern(new URL(url)));
+  }
+
+  /**
+   * Whether a request URL carries the expected query params. A param
+   * may arrive under any name in its alias group (the backend accepts
+   * searchStatus or status). A default value ('', 'all' or the one in
+   * `defaults`) matches when the param is left out or sent at a
+   * default, never when another value is sent, so a stale filtered
+   * request is not taken for the cleared one.
+   * @param {URL} url - Parsed request URL
+   * @param {Object} query - Expected values, e.g. `{ searchStatus: 'interview' }`
+   * @param {Object} options - `aliases`: groups of interchangeable param
+   *   names, e.g. `[['searchStatus', 'status']]`; `defaults`: default
+   *   value per param name, e.g. `{ sort: 'latest' }`
+   * @returns {boolean} True if every param matches
+   */
+  static queryIncludes(url, query, { aliases = [], defaults = {} } = {}) {
+    return Object.entries(query).every(([name, value]) => {
+      const names = aliases.find(group => group.includes(name)) || [name];
+      const sent = names.filter(candidate => url.searchParams.has(candidate)).map(candidate => url.searchParams.get(candidate));
+      const isDefault = candidate => candidate === '' || candidate === 'all' || candidate === defaults[name];
+
+      if (isDefault(String(value))) {
+        return sent.every(isDefault);
+      }
+      return sent.includes(String(value));
+    });
+  }
+
+  /**
+   * Run an action and capture the API call it triggers. The listener
+   * is registered before the action, so fast responses are never
+   * missed.
+   * @param {Function} action - Async action that triggers the request
+   * @param {string|RegExp|Function} urlPattern - See BasePage.matchesUrl
+   * @param {Object} options - `method` (default GET), `timeout`
+   * @returns {Promise<{request: import('@playwright/test').Request, response: import('@playwright/test').Response}>} The exchange
+   */
+  async performAndCapture(action, urlPattern, { method = 'GET', timeout = 10000 } = {}) {
+    const [response] = await Promise.all([
+      this.page.waitForResponse(
+        response => response.request().method() === method && BasePage.matchesUrl(response.url(), urlPattern),
+        { timeout }
+      ),
+      action()
+    ]);
+    return { request: response.request(), response };
+  }
+
+  /**
+   * Run an action and wait for the API response it triggers
+   * @param {Function} action - Async action that triggers the request
+   * @param {string|RegExp|Function} urlPattern - See BasePage.matchesUrl
+   * @param {Object} options - `method` (default GET), `timeout`
+   * @returns {Promise<import('@playwright/test').Response>} Matching response
    */
-  async waitForTimeout(timeout = 1000) {
-    await this.page.waitForTimeout(timeout);
+  async waitForResponseAfter(action, urlPattern, options) {
+    const { response } = await this.performAndCapture(action, urlPattern, options);
+    return response;
+  }
+
+  /**
+   * What a request sent: query params for GET/DELETE, the JSON body otherwise
+   * @param {import('@playwright/test').Request} request - Captured request
+   * @returns {Object} Sent values
+   */
+  static requestPayload(request) {
+    if (['GET', 'DELETE'].includes(request.method())) {
+      return Object.fromEntries(new URL(request.url()).searchParams);
+    }
+    return request.postDataJSON() || {};
+  }
+
+  /**
+   * Assert a captured request sent the expected values. Values are
+   * compared as strings (the UI may send 120000 or "120000"); arrays
+   * element by element.
+   * @param {Object} exchange - `{ request, response }` from performAndCapture
+   * @param {Object} expected - Expected values, e.g. `{ salaryMin: 120000 }`
+   */
+  expectRequestToInclude(exchange, expected) {
+    expect(exchange, 'no matching request was captured').toBeTruthy();
+
+    const { request } = exchange;
+    const sent = BasePage.requestPayload(request);
+    const comparable = value => {
+      if (value === undefined || value === null) {
+        return value;
+      }
+      return Array.isArray(value) ? value.map(String) : String(value);
+    };
+    const actual = Object.fromEntries(Object.keys(expected).map(key => [key, comparable(sent[key])]));
+    const wanted = Object.fromEntries(Object.entries(expected).map(([key, value]) => [key, comparable(value)]));
+
+    expect(actual, `${request.method()} ${new URL(request.url()).pathname} sent`).toEqual(wanted);
+  }
+
+  /**
+   * Wait until no loading spinner is shown
+   * @param {number} timeout - Timeout in milliseconds
+   */
+  async waitForLoadingToFinish(timeout = 10000) {
+    await this.page.locator(BasePage.LOADING_SELECTOR).first().waitFor({ state: 'hidden', timeout });
+  }
+
+  /**
+   * Wait until a list has re-rendered: no spinner, and its text
+   * unchanged across two consecutive animation frames
+   * @param {string} selector - Selector of the list items
+   * @param {number} timeout - Timeout in milliseconds
+   */
+  async waitForListToSettle(selector, timeout = 10000) {
+    await this.waitForLoadingToFinish(timeout);
+    await this.page.waitForFunction(
+      itemSelector => {
+        const snapshot = () => Array.from(document.querySelectorAll(itemSelector), el => el.textContent).join('\u0000');
+        const before = snapshot();
+        return new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(() => resolve(snapshot() === before))));
+      },
+      selector,
+      { timeout, polling: 100 }
+    );
+  }
+
+  /**
+   * Wait for an alert to be shown
+   * @param {string} selector - Alert selector (defaults to BasePage.ALERT_SELECTOR)
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {Promise<string>} Alert text
+   */
+  async waitForAlert(selector = BasePage.ALERT_SELECTOR, timeout = 10000) {
+    const alert = this.page.locator(selector).first();
+    await alert.waitFor({ state: 'visible', timeout });
+    return (await alert.textContent()).trim();
+  }
+
+  /**
+   * Put the page into a mocked API state (see support/mock-scenarios.js).
+   * Apply before navigating for initial loads, or mid-test for changes
+   * like an expiring session.
+   * @param {string} name - 'empty-jobs', 'empty-activities', 'stats-error', 'slow-activities', 'session-expired' or 'many-jobs'
+   * @param {Object} options - Scenario options, e.g. `{ delayMs: 5000 }`
+   * @returns {Promise<Object>} Handle: `{ name, calls, remove() }`
+   */
+  async mockScenario(name, options) {
+    return await applyScenario(this.page, name, options);
   }
 
   /**
@@ -155,4 +346,10 @@ class BasePage {
   }
 }
 
+// Spinners the app shows while a request is in flight
+BasePage.LOADING_SELECTOR = '.loading, .spinner, [class*="loading"], [aria-busy="true"]';
+
+// Alerts the app shows after a form submit or an action
+BasePage.ALERT_SELECTOR = '[class*="alert"], [role="alert"]';
+
 module.exports = BasePage;
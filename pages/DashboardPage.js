@@ -3,31 +3,44 @@
  * DASHBOARD PAGE OBJECT
  * =====================================================
  *
- * Page object for dashboard/stats functionality
+ * Page object for dashboard/stats functionality: the per-status stat
+ * cards and the monthly applications chart
  */
 
+const { expect } = require('@playwright/test');
 const BasePage = require('./BasePage');
 
+const STATS_API = '/api/v1/jobs/stats';
+
+// Stat card → title text that identifies it
+const STAT_TITLES = {
+  pending: /pending/i,
+  interview: /interview/i,
+  declined: /declined/i
+};
+
+/**
+ * Read a number from text such as "12" or "1,024"
+ * @param {string} text - Text holding one number
+ * @returns {number} The number
+ */
+function parseCount(text) {
+  const match = String(text).match(/-?\d[\d,]*(\.\d+)?/);
+  if (!match) {
+    throw new Error(`Cannot read a number from "${text}"`);
+  }
+  return Number(match[0].replace(/,/g, ''));
+}
+
 class DashboardPage extends BasePage {
-  constructor(page) {
-    super(page);
+  constructor(page, options) {
+    super(page, options);
 
     // Locators
-    this.locators = {
-      // Page content
-      pageTitle: 'h1, h2, h3',
-      dashboardContent: '[data-testid="dashboard"], .dashboard',
-
-      // Statistics
-      statsContainer: '[class*="stats"], .stat-card, .statistic',
-      statCards: '.stat-card',
-      pendingJobs: 'text=/pending/i',
-      interviewJobs: 'text=/interview/i',
-      declinedJobs: 'text=/declined/i',
-
-      // Welcome message
-      welcomeMessage: 'h3:has-text("dashboard"), h1:has-text("Stats"), h2:has-text("Welcome")'
-    };
+    this.locators = this.resolveLocators('dashboard');
+
+    // Last GET /jobs/stats captured by openDashboard
+    this.lastStatsExchange = null;
   }
 
   /**
@@ -38,6 +51,16 @@ class DashboardPage extends BasePage {
     await this.waitForUrl('/');
   }
 
+  /**
+   * Navigate to the dashboard and wait for the stats it loads
+   * @returns {Object} Stats response body
+   */
+  async openDashboard() {
+    this.lastStatsExchange = await this.performAndCapture(() => this.navigate('/'), STATS_API);
+    await this.waitForStatsLoad();
+    return await this.lastStatsExchange.response.json();
+  }
+
   /**
    * Check if on dashboard page
    * @returns {boolean} True if on dashboard
@@ -85,7 +108,8 @@ class DashboardPage extends BasePage {
 
   /**
    * Get statistics information
-   * @returns {Object} Statistics data
+   * @returns {Object} Statistics data; `counts` holds the number on each
+   *   stat card (see getStatCounts)
    */
   async getStatistics() {
     if (await this.areStatsVisible()) {
@@ -94,7 +118,8 @@ class DashboardPage extends BasePage {
         statCardCount: await this.getElementCount(this.locators.statCards),
         hasPendingJobs: await this.isVisible(this.locators.pendingJobs),
         hasInterviewJobs: await this.isVisible(this.locators.interviewJobs),
-        hasDeclinedJobs: await this.isVisible(this.locators.declinedJobs)
+        hasDeclinedJobs: await this.isVisible(this.locators.declinedJobs),
+        counts: await this.getStatCounts().catch(() => null)
       };
     }
 
@@ -103,10 +128,171 @@ class DashboardPage extends BasePage {
       statCardCount: 0,
       hasPendingJobs: false,
       hasInterviewJobs: false,
-      hasDeclinedJobs: false
+      hasDeclinedJobs: false,
+      counts: null
     };
   }
 
+  /**
+   * Locate the stat card for a status
+   * @param {string} status - pending, interview or declined
+   * @returns {import('@playwright/test').Locator} The card
+   */
+  statCard(status) {
+    if (!STAT_TITLES[status]) {
+      throw new Error(`No stat card for "${status}". Known cards: ${Object.keys(STAT_TITLES).join(', ')}`);
+    }
+    return this.page.locator(this.locators.statCards).filter({ hasText: STAT_TITLES[status] }).first();
+  }
+
+  /**
+   * Get the number shown on one stat card
+   * @param {string} status - pending, interview or declined
+   * @returns {number} Count
+   */
+  async getStatCount(status) {
+    const card = this.statCard(status);
+    const count = card.locator(this.locators.statCount).first();
+    return parseCount(await count.count() > 0 ? await count.textContent() : await card.textContent());
+  }
+
+  /**
+   * Get the number shown on every stat card
+   * @returns {Object} `{ pending, interview, declined }`
+   */
+  async getStatCounts() {
+    const counts = {};
+    for (const status of Object.keys(STAT_TITLES)) {
+      counts[status] = await this.getStatCount(status);
+    }
+    return counts;
+  }
+
+  /**
+   * Assert the stat cards show the expected counts
+   * @param {Object} expected - Status → count; statuses left out are not checked
+   */
+  async expectStatCounts(expected) {
+    await expect.poll(async () => {
+      const counts = await this.getStatCounts();
+      return Object.fromEntries(Object.keys(expected).map(status => [status, counts[status]]));
+    }).toEqual(expected);
+  }
+
+  /**
+   * Check if the monthly applications chart is shown; the dashboard
+   * leaves it out when the account has no jobs
+   * @returns {boolean} True if the chart is visible
+   */
+  async isChartVisible() {
+    return await this.isVisible(this.locators.chartContainer);
+  }
+
+  /**
+   * Get the kind of chart shown
+   * @returns {string|null} 'bar', 'area', or null when no chart is shown
+   */
+  async getChartType() {
+    if (await this.isVisible(this.locators.chartBars)) {
+      return 'bar';
+    }
+    if (await this.isVisible(this.locators.chartArea)) {
+      return 'area';
+    }
+    return null;
+  }
+
+  /**
+   * Switch between the bar and area chart
+   * @returns {string} The chart type now shown
+   */
+  async toggleChart() {
+    const before = await this.getChartType();
+    await this.clickElement(this.locators.chartToggleButton);
+    await expect.poll(() => this.getChartType()).not.toBe(before);
+    return await this.getChartType();
+  }
+
+  /**
+   * Show a chart type, toggling only if needed
+   * @param {string} type - 'bar' or 'area'
+   */
+  async setChartType(type) {
+    if (!['bar', 'area'].includes(type)) {
+      throw new Error(`Unknown chart type "${type}". Use "bar" or "area"`);
+    }
+    if (await this.getChartType() !== type) {
+      await this.toggleChart();
+    }
+  }
+
+  /**
+   * Get the month labels along the chart's x-axis
+   * @returns {string[]} Labels in order, e.g. ['Jan 2025', 'Feb 2025']
+   */
+  async getChartMonths() {
+    if (!await this.isChartVisible()) {
+      return [];
+    }
+    const labels = await this.page.locator(this.locators.chartMonthLabels).allTextContents();
+    return labels.map(label => label.trim());
+  }
+
+  /**
+   * Read the chart's data points. The chart only draws values as bar
+   * heights or an area outline, so each point is read from the tooltip
+   * shown while hovering over its month.
+   * @returns {Object[]} `[{ date, count }]` in chart order, the shape of
+   *   the stats API's monthlyApplications; empty when no chart is shown
+   */
+  async getChartData() {
+    if (!await this.isChartVisible()) {
+      return [];
+    }
+
+    const chart = await this.page.locator(this.locators.chartContainer).first().boundingBox();
+    const labels = this.page.locator(this.locators.chartMonthLabels);
+    const tooltip = this.page.locator(this.locators.chartTooltip).first();
+    const points = [];
+
+    for (const date of await this.getChartMonths()) {
+      const label = await labels.filter({ hasText: date }).first().boundingBox();
+      await this.page.mouse.move(label.x + label.width / 2, chart.y + chart.height / 2);
+      await expect(tooltip).toContainText(date);
+
+      const value = await tooltip.locator(this.locators.chartTooltipValue).first().textContent();
+      points.push({ date, count: parseCount(value) });
+    }
+
+    // Move off the chart so the tooltip does not cover anything
+    await this.page.mouse.move(0, 0);
+    return points;
+  }
+
+  /**
+   * Get the chart's values in month order
+   * @returns {number[]} Count per month
+   */
+  async getChartValues() {
+    return (await this.getChartData()).map(point => point.count);
+  }
+
+  /**
+   * Wait for the stat cards to show numbers
+   */
+  async waitForStatsLoad() {
+    await this.waitForLoadingToFinish();
+    await this.waitForElement(this.locators.statCards, 10000);
+    await expect.poll(async () => {
+      try {
+        await this.getStatCounts();
+        return true;
+      } catch {
+        return false;
+      }
+    }).toBe(true);
+  }
+
   /**
    * Wait for dashboard to load completely
    */
@@ -136,4 +322,6 @@ class DashboardPage extends BasePage {
   }
 }
 
+DashboardPage.parseCount = parseCount;
+
 module.exports = DashboardPage;
@@ -0,0 +1,319 @@
+/**
+ * =====================================================
+ * JOB CARD COMPONENT
+ * =====================================================
+ *
+ * Component object for one card in the all-jobs list. Reads every
+ * field as a typed value and runs the card's own actions. Get cards
+ * from JobsPage (`cards()`, `cardFor({ company, position })`) rather
+ * than constructing them directly.
+ */
+
+const { JOB_ENUMS } = require('../fake-api/schema');
+
+const JOB_API = /\/api\/v1\/jobs\/[^/?]+(?:\?|$)/;
+
+// Currency symbols, longest first so "C$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ['C$', 'CAD'],
+  ['A$', 'AUD'],
+  ['$', 'USD'],
+  ['€', 'EUR'],
+  ['£', 'GBP']
+];
+
+/**
+ * Parse one amount like "100,000", "€100.000", "1.234,50" or "80k". A
+ * "," or "." followed by a group of three digits separates thousands;
+ * any other one is the decimal point.
+ * @param {string} amount - Amount text, without the currency
+ * @returns {number} The amount
+ */
+function parseAmount(amount) {
+  const digits = amount.replace(/\s|k$/gi, '');
+  const value = Number(digits.replace(/[.,](?=\d{3}(?:[.,]|$))/g, '').replace(',', '.'));
+  return /k$/i.test(amount.trim()) ? value * 1000 : value;
+}
+
+/**
+ * Parse a salary label like "$100,000 - $150,000", "EUR 80k – 95k",
+ * "€100.000" or "Up to £60,000"
+ * @param {string} text - Salary text from the card
+ * @returns {{ min: ?number, max: ?number, currency: ?string }|null} Null without any amount
+ */
+function parseSalary(text) {
+  const amounts = (text.match(/\d[\d,.]*\s*k?\b/gi) || []).map(parseAmount);
+  if (amounts.length === 0) {
+    return null;
+  }
+
+  const code = text.match(new RegExp(`\\b(${JOB_ENUMS.salaryCurrency.join('|')})\\b`));
+  const symbol = CURRENCY_SYMBOLS.find(([sign]) => text.includes(sign));
+  const currency = code ? code[1] : symbol ? symbol[1] : null;
+
+  if (amounts.length === 1) {
+    return /up to/i.test(text)
+      ? { min: null, max: amounts[0], currency }
+      : { min: amounts[0], max: null, currency };
+  }
+  return { min: amounts[0], max: amounts[1], currency };
+}
+
+/**
+ * Parse a displayed date like "Jan 1st, 2025", "January 1, 2025" or "2025-01-01"
+ * @param {string} text - Date text from the card
+ * @returns {?Date} The date, or null if it does not parse
+ */
+function parseDate(text) {
+  const cleaned = text.replace(/^\W*(applied( on)?|date)?:?\s*/i, '').replace(/(\d+)(st|nd|rd|th)\b/g, '$1').trim();
+  const time = Date.parse(cleaned);
+  return Number.isNaN(time) ? null : new Date(time);
+}
+
+/**
+ * Map a displayed enum label ("HIGH", "Full Time", "High Priority",
+ * "Status: Interview") back to its API value. The value may appear
+ * anywhere in the label as whole words; the longest match wins.
+ * @param {string} field - Enum name in JOB_ENUMS, e.g. 'priority'
+ * @param {string} text - Label text from the card
+ * @returns {?string} API value, or null for a label that names none
+ */
+function parseEnum(field, text) {
+  const label = `-${text.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-')}-`;
+  const matches = JOB_ENUMS[field].filter(allowed => label.includes(`-${allowed}-`));
+  return matches.sort((a, b) => b.length - a.length)[0] || null;
+}
+
+/**
+ * Split tag chips (or one comma-separated label) into a list
+ * @param {string[]} texts - Text of each tag element
+ * @returns {string[]} Trimmed, non-empty tags
+ */
+function parseTags(texts) {
+  return texts.flatMap(text => text.split(',')).map(tag => tag.trim().replace(/^#/, '')).filter(Boolean);
+}
+
+class JobCard {
+  /**
+   * @param {import('./JobsPage')} jobsPage - Page the card belongs to
+   * @param {import('@playwright/test').Locator} root - The card element
+   */
+  constructor(jobsPage, root) {
+    this.jobsPage = jobsPage;
+    this.page = jobsPage.page;
+    this.root = root;
+    this.locators = jobsPage.locators.jobDetails;
+  }
+
+  /**
+   * Text of one card field
+   * @param {string} field - Key in the jobs.jobDetails locator group
+   * @returns {Promise<?string>} Trimmed text, or null if the card has no such element
+   */
+  async text(field) {
+    const element = this.root.locator(this.locators[field]).first();
+    if (!(await element.isVisible())) {
+      return null;
+    }
+    return (await element.textContent()).trim();
+  }
+
+  /**
+   * Check if the card is shown
+   * @returns {boolean} True if visible
+   */
+  async isVisible() {
+    return await this.root.isVisible();
+  }
+
+  /**
+   * @returns {Promise<?string>} Position title
+   */
+  async getPosition() {
+    return await this.text('position');
+  }
+
+  /**
+   * @returns {Promise<?string>} Company name
+   */
+  async getCompany() {
+    return await this.text('company');
+  }
+
+  /**
+   * @returns {Promise<?string>} Job location
+   */
+  async getLocation() {
+    return await this.text('location');
+  }
+
+  /**
+   * @returns {Promise<?string>} Status enum value, e.g. 'interview'
+   */
+  async getStatus() {
+    const text = await this.text('status');
+    return text === null ? null : parseEnum('status', text);
+  }
+
+  /**
+   * @returns {Promise<?string>} Job type enum value, e.g. 'full-time'
+   */
+  async getJobType() {
+    const text = await this.text('type');
+    return text === null ? null : parseEnum('jobType', text);
+  }
+
+  /**
+   * @returns {Promise<?string>} Category enum value, e.g. 'data-science'
+   */
+  async getCategory() {
+    const text = await this.text('category');
+    return text === null ? null : parseEnum('category', text);
+  }
+
+  /**
+   * @returns {Promise<?string>} Priority enum value: 'low', 'medium' or 'high'
+   */
+  async getPriority() {
+    const text = await this.text('priority');
+    return text === null ? null : parseEnum('priority', text);
+  }
+
+  /**
+   * @returns {Promise<?Object>} `{ min, max, currency }` with numeric amounts
+   */
+  async getSalary() {
+    const text = await this.text('salary');
+    return text === null ? null : parseSalary(text);
+  }
+
+  /**
+   * @returns {Promise<?Date>} Date applied
+   */
+  async getDateApplied() {
+    const text = await this.text('date');
+    return text === null ? null : parseDate(text);
+  }
+
+  /**
+   * @returns {Promise<string[]>} Tags, in card order
+   */
+  async getTags() {
+    return parseTags(await this.root.locator(this.locators.tags).allTextContents());
+  }
+
+  /**
+   * @returns {Promise<?string>} Href of the job posting link
+   */
+  async getPostingUrl() {
+    const link = this.root.locator(this.locators.postingUrl).first();
+    if (!(await link.isVisible())) {
+      return null;
+    }
+    return await link.getAttribute('href');
+  }
+
+  /**
+   * Read every field
+   * @returns {Promise<Object>} `{ position, company, location, status, jobType, category,
+   *   priority, salary, dateApplied, tags, postingUrl }`
+   */
+  async details() {
+    return {
+      position: await this.getPosition(),
+      company: await this.getCompany(),
+      location: await this.getLocation(),
+      status: await this.getStatus(),
+      jobType: await this.getJobType(),
+      category: await this.getCategory(),
+      priority: await this.getPriority(),
+      salary: await this.getSalary(),
+      dateApplied: await this.getDateApplied(),
+      tags: await this.getTags(),
+      postingUrl: await this.getPostingUrl()
+    };
+  }
+
+  /**
+   * Check the card shows the expected values. Text fields match when the
+   * card text contains the expected text, so unstamped names still match
+   * namespaced records; enum fields match exactly; tags must all be shown.
+   * @param {Object} expected - Any of the details() fields; `jobLocation`
+   *   is accepted for `location`
+   * @returns {Promise<boolean>} True if every given value matches
+   */
+  async matches(expected) {
+    if (!(await this.isVisible())) {
+      return false;
+    }
+
+    const details = await this.details();
+    return Object.entries(expected).every(([key, value]) => {
+      const actual = details[key === 'jobLocation' ? 'location' : key];
+      if (value === undefined || value === null || value === '') {
+        return true;
+      }
+      if (Array.isArray(value)) {
+        return value.every(item => actual.includes(item));
+      }
+      if (JOB_ENUMS[key]) {
+        return actual === value;
+      }
+      return typeof actual === 'string' && actual.includes(value);
+    });
+  }
+
+  /**
+   * Open this job in the edit form
+   */
+  async edit() {
+    await this.root.locator(this.jobsPage.locators.editButton).first().click();
+    await this.jobsPage.waitForUrl('/add-job');
+  }
+
+  /**
+   * Delete this job, accepting the confirmation, and wait for the list
+   * to re-render without it
+   */
+  async delete() {
+    this.jobsPage.setupDialogHandler(true);
+
+    await this.jobsPage.waitForResponseAfter(
+      () => this.root.locator(this.jobsPage.locators.deleteButton).first().click(),
+      JOB_API,
+      { method: 'DELETE' }
+    );
+    await this.jobsPage.waitForListToSettle(this.jobsPage.locators.jobCards);
+  }
+
+  /**
+   * Follow the job posting link. Links that open a new tab resolve to
+   * that tab; others navigate this page.
+   * @returns {Promise<import('@playwright/test').Page>} Page showing the posting
+   */
+  async openPosting() {
+    const link = this.root.locator(this.locators.postingUrl).first();
+    const href = await link.getAttribute('href');
+
+    if ((await link.getAttribute('target')) === '_blank') {
+      const [posting] = await Promise.all([
+        this.page.context().waitForEvent('page'),
+        link.click()
+      ]);
+      await posting.waitForLoadState('domcontentloaded');
+      return posting;
+    }
+
+    await Promise.all([
+      this.page.waitForURL(href),
+      link.click()
+    ]);
+    return this.page;
+  }
+}
+
+JobCard.parseSalary = parseSalary;
+JobCard.parseDate = parseDate;
+JobCard.parseEnum = parseEnum;
+
+module.exports = JobCard;
@@ -6,55 +6,71 @@
  * Page object for all jobs listing and job management functionality
  */
 
+const { expect } = require('@playwright/test');
 const BasePage = require('./BasePage');
+const JobCard = require('./JobCard');
+const { sortJobs, sortKey } = require('../support/job-sorting');
+
+const JOBS_API = '/api/v1/jobs';
+
+// What getCurrentFilters reports with nothing filtered
+const DEFAULT_FILTERS = {
+  search: '',
+  status: 'all',
+  type: 'all',
+  category: 'all',
+  priority: 'all',
+  sort: 'latest'
+};
+
+// URL query params per filter; the first is what the app writes, the
+// rest are the backend's aliases, accepted when reading a shared link
+const FILTER_PARAMS = {
+  search: ['search'],
+  status: ['searchStatus', 'status'],
+  type: ['searchType', 'jobType'],
+  category: ['searchCategory', 'category'],
+  priority: ['searchPriority', 'priority'],
+  sort: ['sort']
+};
+
+// How GET /api/v1/jobs requests are matched (see BasePage.queryIncludes)
+const JOBS_QUERY = {
+  aliases: Object.values(FILTER_PARAMS),
+  defaults: {
+    page: '1',
+    ...Object.fromEntries(Object.entries(FILTER_PARAMS).flatMap(([name, params]) =>
+      params.map(param => [param, DEFAULT_FILTERS[name]])))
+  }
+};
+
+/**
+ * Query params the app sends for a filter state, defaults included
+ * @param {Object} filters - Any of `{ search, status, type, category, priority, sort }`
+ * @returns {Object} Values keyed by param name, e.g. `{ searchStatus: 'all' }`
+ */
+function filterQuery(filters) {
+  return Object.fromEntries(Object.entries({ ...DEFAULT_FILTERS, ...filters })
+    .filter(([name, value]) => FILTER_PARAMS[name] && value !== undefined)
+    .map(([name, value]) => [FILTER_PARAMS[name][0], value]));
+}
+
+/**
+ * Compare two filter states on every control
+ */
+function sameFilters(a, b) {
+  return Object.keys(DEFAULT_FILTERS).every(name => a[name] === b[name]);
+}
 
 class JobsPage extends BasePage {
-  constructor(page) {
-    super(page);
+  constructor(page, options) {
+    super(page, options);
+
+    // `{ request, response }` of the last GET /api/v1/jobs a filter triggered
+    this.lastJobsExchange = null;
 
     // Locators
-    this.locators = {
-      // Page elements
-      pageTitle: 'h2, h3',
-
-      // Search and filters
-      searchInput: 'input[name="search"]',
-      statusFilter: 'select[name="searchStatus"]',
-      typeFilter: 'select[name="searchType"]',
-      categoryFilter: 'select[name="searchCategory"]',
-      priorityFilter: 'select[name="searchPriority"]',
-      sortSelect: 'select[name="sort"]',
-      clearFiltersButton: 'button:has-text("Clear Filters"), button:has-text("Clear")',
-
-      // Job cards/items
-      jobCards: '[class*="job"], .job-card, article',
-      jobCard: (companyName) => `[class*="job"], .job-card`.filter({ hasText: companyName }),
-
-      // Job card elements
-      jobPosition: '.position, [class*="position"]',
-      jobCompany: '.company, [class*="company"]',
-      jobLocation: '.location, [class*="location"]',
-      jobStatus: '[class*="status"]',
-      jobSalary: '[class*="salary"]',
-      jobPriority: '[class*="priority"], .priority-high, .priority-medium, .priority-low',
-      jobPostingLink: 'a[href*="http"]',
-
-      // Job actions
-      editButton: 'button:has-text("Edit"), a:has-text("Edit")',
-      deleteButton: 'button:has-text("Delete")',
-
-      // Job details in cards
-      jobDetails: {
-        position: '[class*="position"], .job-title',
-        company: '[class*="company"], .company-name',
-        location: '[class*="location"], .job-location',
-        status: '[class*="status"], .job-status',
-        type: '[class*="type"], .job-type',
-        salary: '[class*="salary"], .salary-range',
-        priority: '[class*="priority"], .priority-badge',
-        postingUrl: 'a[href*="http"], .posting-link'
-      }
-    };
+    this.locators = this.resolveLocators('jobs');
   }
 
   /**
@@ -81,13 +97,56 @@ class JobsPage extends BasePage {
     return await this.getTextContent(this.locators.pageTitle);
   }
 
+  /**
+   * Change a search/filter/sort control and wait for the jobs list to
+   * be refetched and re-rendered. Setting a control to its current
+   * value sends no request, so there is nothing to wait for.
+   * @param {string} selector - Control selector
+   * @param {string} value - New value
+   * @param {Function} apply - Action that sets the value
+   */
+  async updateJobsQuery(selector, value, apply) {
+    const control = this.page.locator(selector);
+    if ((await control.inputValue()) === value) {
+      return;
+    }
+    const param = await control.getAttribute('name');
+    await this.waitForJobsRefresh(apply, { [param]: value });
+  }
+
+  /**
+   * Run an action and wait for the GET /api/v1/jobs it triggers and
+   * the list re-render that follows
+   * @param {Function} action - Async action that refetches the jobs
+   * @param {Object} query - Query params the request must carry, e.g.
+   *   `{ searchStatus: 'interview' }`, so an earlier in-flight fetch is
+   *   not mistaken for this one (see BasePage.queryIncludes)
+   * @returns {Promise<import('@playwright/test').Response>} Jobs response
+   */
+  async waitForJobsRefresh(action, query = {}) {
+    const isRefresh = url => url.pathname === JOBS_API && BasePage.queryIncludes(url, query, JOBS_QUERY);
+    const exchange = await this.performAndCapture(action, isRefresh);
+    this.lastJobsExchange = exchange;
+    await this.waitForListToSettle(this.locators.jobCards);
+    return exchange.response;
+  }
+
+  /**
+   * Assert the last jobs refetch sent these query params, e.g.
+   * `{ searchCategory: 'software-engineering' }`. Catches UI changes
+   * that never reach the query string.
+   * @param {Object} expected - Expected query params
+   */
+  expectFilterSent(expected) {
+    this.expectRequestToInclude(this.lastJobsExchange, expected);
+  }
+
   /**
    * Search for jobs
    * @param {string} searchTerm - Search term
    */
   async searchJobs(searchTerm) {
-    await this.fillInput(this.locators.searchInput, searchTerm);
-    await this.waitForTimeout(1000); // Wait for search to trigger
+    await this.updateJobsQuery(this.locators.searchInput, searchTerm, () => this.fillInput(this.locators.searchInput, searchTerm));
   }
 
   /**
@@ -95,8 +154,7 @@ class JobsPage extends BasePage {
    * @param {string} status - Job status to filter by
    */
   async filterByStatus(status) {
-    await this.selectOption(this.locators.statusFilter, status);
-    await this.waitForTimeout(1000);
+    await this.updateJobsQuery(this.locators.statusFilter, status, () => this.selectOption(this.locators.statusFilter, status));
   }
 
   /**
@@ -104,8 +162,7 @@ class JobsPage extends BasePage {
    * @param {string} type - Job type to filter by
    */
   async filterByType(type) {
-    await this.selectOption(this.locators.typeFilter, type);
-    await this.waitForTimeout(1000);
+    await this.updateJobsQuery(this.locators.typeFilter, type, () => this.selectOption(this.locators.typeFilter, type));
   }
 
   /**
@@ -113,8 +170,7 @@ class JobsPage extends BasePage {
    * @param {string} category - Job category to filter by
    */
   async filterByCategory(category) {
-    await this.selectOption(this.locators.categoryFilter, category);
-    await this.waitForTimeout(1000);
+    await this.updateJobsQuery(this.locators.categoryFilter, category, () => this.selectOption(this.locators.categoryFilter, category));
   }
 
   /**
@@ -122,8 +178,7 @@ class JobsPage extends BasePage {
    * @param {string} priority - Job priority to filter by
    */
   async filterByPriority(priority) {
-    await this.selectOption(this.locators.priorityFilter, priority);
-    await this.waitForTimeout(1000);
+    await this.updateJobsQuery(this.locators.priorityFilter, priority, () => this.selectOption(this.locators.priorityFilter, priority));
   }
 
   /**
@@ -131,15 +186,61 @@ class JobsPage extends BasePage {
    * @param {string} sortOption - Sort option (latest, oldest, a-z)
    */
   async sortJobs(sortOption) {
-    await this.selectOption(this.locators.sortSelect, sortOption);
-    await this.waitForTimeout(1000);
+    await this.updateJobsQuery(this.locators.sortSelect, sortOption, () => this.selectOption(this.locators.sortSelect, sortOption));
+  }
+
+  /**
+   * Get the values of the sort select's options
+   * @returns {string[]} Option values, e.g. ['latest', 'oldest', 'a-z', 'z-a']
+   */
+  async getSortOptions() {
+    return await this.page.locator(this.locators.sortSelect).locator('option:not([value=""])')
+      .evaluateAll(options => options.map(option => option.value));
+  }
+
+  /**
+   * Assert the listed cards are in a sort option's order (see
+   * support/job-sorting.js). Every card must be one of `jobs`, matched
+   * by company; jobs with equal sort keys may come in either order.
+   * @param {string} option - Sort select value, e.g. 'a-z'
+   * @param {Object[]} jobs - Every job the list can show (API records)
+   * @param {Object} options - `{ ignoreCase }` for case-insensitive name sorts
+   */
+  async expectSortedBy(option, jobs, options = {}) {
+    const byCompany = new Map(jobs.map(job => [job.company, job]));
+    const listed = [];
+    for (const card of await this.cards()) {
+      const company = await card.getCompany();
+      expect(byCompany.has(company), `listed job "${company}" is one of the expected jobs`).toBe(true);
+      listed.push(byCompany.get(company));
+    }
+    // One entry per card root, so a repeat is a real duplicate in the list
+    const repeated = listed.filter((job, index) => listed.indexOf(job) !== index).map(job => job.company);
+    expect(repeated, 'jobs listed twice').toEqual([]);
+
+    // Compare sort keys rather than jobs, so ties can come in any order
+    const keys = list => list.map(job => sortKey(job, option, options));
+    const expected = sortJobs(jobs, option, options).slice(0, listed.length);
+    expect(keys(listed), `jobs sorted by "${option}"`).toEqual(keys(expected));
   }
 
   /**
-   * Clear all filters
+   * Clear all filters, waiting for the unfiltered list if anything was set
    */
   async clearFilters() {
-    await this.clickElement(this.locators.clearFiltersButton);
+    if (await this.hasDefaultFilters()) {
+      await this.clickElement(this.locators.clearFiltersButton);
+      return;
+    }
+    await this.waitForJobsRefresh(() => this.clickElement(this.locators.clearFiltersButton), filterQuery(DEFAULT_FILTERS));
+  }
+
+  /**
+   * Check if every control is back at its default
+   * @returns {boolean} True if getCurrentFilters matches JobsPage.DEFAULT_FILTERS
+   */
+  async hasDefaultFilters() {
+    return sameFilters(await this.getCurrentFilters(), DEFAULT_FILTERS);
   }
 
   /**
@@ -151,49 +252,219 @@ class JobsPage extends BasePage {
   }
 
   /**
-   * Get job card by company name
-   * @param {string} companyName - Company name to find
+   * Get the total from the "N jobs found" heading. Counts every
+   * matching job, not just the ones on the current page.
+   * @returns {number} Total matching jobs (0 for "No jobs to display")
+   */
+  async getTotalJobsCount() {
+    const heading = (await this.getTextContent(this.locators.totalJobsHeading)).trim();
+    const match = heading.match(/(\d[\d,]*)\s+jobs?/i);
+    if (match) {
+      return Number(match[1].replace(/,/g, ''));
+    }
+    if (/no jobs/i.test(heading)) {
+      return 0;
+    }
+    throw new Error(`Cannot read a job count from "${heading}"`);
+  }
+
+  /**
+   * Check if the list is split across pages
+   * @returns {boolean} True if the page buttons are shown
+   */
+  async hasPagination() {
+    return await this.isVisible(this.locators.pageButtons);
+  }
+
+  /**
+   * Get the number of pages
+   * @returns {number} Highest page button number (1 without pagination)
+   */
+  async getPageCount() {
+    if (!(await this.hasPagination())) {
+      return 1;
+    }
+    const labels = await this.page.locator(this.locators.pageButtons).allTextContents();
+    const pages = labels.map(label => Number(label.trim())).filter(page => Number.isInteger(page) && page > 0);
+    if (pages.length === 0) {
+      throw new Error(`Cannot read a page number from the page buttons ${JSON.stringify(labels)}`);
+    }
+    return Math.max(...pages);
+  }
+
+  /**
+   * Get the page being shown
+   * @returns {number} Current page number (1 without pagination)
+   */
+  async getCurrentPage() {
+    if (!(await this.hasPagination())) {
+      return 1;
+    }
+    return Number((await this.getTextContent(this.locators.activePageButton)).trim());
+  }
+
+  /**
+   * @returns {boolean} True if there is a page after the current one
+   */
+  async hasNextPage() {
+    return (await this.getCurrentPage()) < (await this.getPageCount());
+  }
+
+  /**
+   * @returns {boolean} True if there is a page before the current one
+   */
+  async hasPreviousPage() {
+    return (await this.getCurrentPage()) > 1;
+  }
+
+  /**
+   * Run a pagination action and wait for the requested page to load
+   * @param {number} pageNumber - Page the action leads to
+   * @param {Function} action - Async action that changes the page
+   */
+  async changePage(pageNumber, action) {
+    await this.waitForJobsRefresh(action, { page: String(pageNumber) });
+  }
+
+  /**
+   * Go to a page with its numbered button
+   * @param {number} pageNumber - Page to show
+   */
+  async goToPage(pageNumber) {
+    if ((await this.getCurrentPage()) === pageNumber) {
+      return;
+    }
+    const button = this.page.locator(this.locators.pageButtons).filter({ hasText: new RegExp(`^\\s*${pageNumber}\\s*$`) });
+    await this.changePage(pageNumber, () => button.first().click());
+  }
+
+  /**
+   * Go to the next page
+   */
+  async nextPage() {
+    if (!(await this.hasNextPage())) {
+      throw new Error('Already on the last page of jobs');
+    }
+    await this.changePage((await this.getCurrentPage()) + 1, () => this.clickElement(this.locators.nextPageButton));
+  }
+
+  /**
+   * Go to the previous page
+   */
+  async previousPage() {
+    if (!(await this.hasPreviousPage())) {
+      throw new Error('Already on the first page of jobs');
+    }
+    await this.changePage((await this.getCurrentPage()) - 1, () => this.clickElement(this.locators.prevPageButton));
+  }
+
+  /**
+   * Walk every page from the first, yielding each card. Cards point at
+   * their position on the page being shown, so read them before asking
+   * for the next one.
+   * @yields {JobCard} Every job card, in list order
+   */
+  async *allCards() {
+    await this.goToPage(1);
+
+    while (true) {
+      for (const card of await this.cards()) {
+        yield card;
+      }
+      if (!(await this.hasNextPage())) {
+        return;
+      }
+      await this.nextPage();
+    }
+  }
+
+  /**
+   * Find a job's card on any page: the current page first, then every
+   * page from the first. Leaves the list on the page showing the card.
+   * @param {Object} job - `{ company, position }`, as for cardFor
+   * @returns {Promise<JobCard|null>} The card, or null if no page has it
+   */
+  async findCard(job) {
+    await this.waitForJobsLoad();
+    await this.waitForListToSettle(this.locators.jobCards);
+
+    const card = this.cardFor(job);
+    if (await card.isVisible()) {
+      return card;
+    }
+
+    const pageCount = await this.getPageCount();
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber += 1) {
+      await this.goToPage(pageNumber);
+      if (await card.isVisible()) {
+        return card;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Like findCard, but fails when no page has the job
+   * @param {Object} job - `{ company, position }`
+   * @returns {Promise<JobCard>} The card
+   */
+  async getCard(job) {
+    const card = await this.findCard(job);
+    if (!card) {
+      throw new Error(`No job card for ${JSON.stringify(job)} on any page`);
+    }
+    return card;
+  }
+
+  /**
+   * Get job card by company name. With a namespace, only the current
+   * test's job matches, never another worker's job of the same name.
+   * @param {string} companyName - Company name to find (unstamped)
    * @returns {Locator} Job card locator
    */
   getJobCardByCompany(companyName) {
-    return this.page.locator(this.locators.jobCards).filter({ hasText: companyName });
+    return this.page.locator(this.locators.jobCards).filter({ hasText: this.scoped(companyName) });
   }
 
   /**
-   * Get job details from first job card
-   * @returns {Object} Job details object
+   * Get every job card currently listed. `jobCards` matches card roots
+   * only, so nested elements never count as extra cards.
+   * @returns {Promise<JobCard[]>} Cards in list order
    */
-  async getFirstJobDetails() {
-    const firstCard = this.page.locator(this.locators.jobCards).first();
+  async cards() {
+    const cards = await this.page.locator(this.locators.jobCards).all();
+    return cards.map(card => new JobCard(this, card));
+  }
 
-    if (!(await firstCard.isVisible())) {
-      return null;
+  /**
+   * Get the card for one job. With a namespace, company and position
+   * are stamped so only the current test's job matches.
+   * @param {Object} job - `{ company, position }`; either may be omitted
+   * @returns {JobCard} Card (may not be visible yet)
+   */
+  cardFor({ company, position } = {}) {
+    let cards = this.page.locator(this.locators.jobCards);
+    if (company) {
+      cards = cards.filter({ has: this.page.locator(this.locators.jobDetails.company, { hasText: this.scoped(company) }) });
     }
-
-    return {
-      position: await this.getJobCardDetail(firstCard, 'position'),
-      company: await this.getJobCardDetail(firstCard, 'company'),
-      location: await this.getJobCardDetail(firstCard, 'location'),
-      status: await this.getJobCardDetail(firstCard, 'status'),
-      salary: await this.getJobCardDetail(firstCard, 'salary'),
-      priority: await this.getJobCardDetail(firstCard, 'priority')
-    };
+    if (position) {
+      cards = cards.filter({ has: this.page.locator(this.locators.jobDetails.position, { hasText: this.scoped(position) }) });
+    }
+    return new JobCard(this, cards.first());
   }
 
   /**
-   * Get specific detail from job card
-   * @param {Locator} jobCard - Job card locator
-   * @param {string} detailType - Type of detail to get
-   * @returns {string} Detail text or empty string
+   * Get job details from first job card
+   * @returns {Object|null} JobCard.details() of the first card, or null without cards
    */
-  async getJobCardDetail(jobCard, detailType) {
-    const selector = this.locators.jobDetails[detailType];
-    const element = jobCard.locator(selector);
+  async getFirstJobDetails() {
+    const firstCard = new JobCard(this, this.page.locator(this.locators.jobCards).first());
 
-    if (await element.isVisible()) {
-      return await element.textContent();
+    if (!(await firstCard.isVisible())) {
+      return null;
     }
-    return '';
+
+    return await firstCard.details();
   }
 
   /**
@@ -207,27 +478,19 @@ class JobsPage extends BasePage {
   }
 
   /**
-   * Edit job by company name
+   * Edit job by company name, on whichever page lists it
    * @param {string} companyName - Company name of job to edit
    */
   async editJobByCompany(companyName) {
-    const jobCard = this.getJobCardByCompany(companyName);
-    await jobCard.locator(this.locators.editButton).first().click();
-    await this.waitForUrl('/add-job');
+    await (await this.getCard({ company: companyName })).edit();
   }
 
   /**
-   * Delete job by company name
+   * Delete job by company name, on whichever page lists it
    * @param {string} companyName - Company name of job to delete
    */
   async deleteJobByCompany(companyName) {
-    const jobCard = this.getJobCardByCompany(companyName);
-
-    // Set up dialog handler for confirmation
-    this.setupDialogHandler(true);
-
-    await jobCard.locator(this.locators.deleteButton).click();
-    await this.waitForTimeout(2000); // Wait for deletion to complete
+    await (await this.getCard({ company: companyName })).delete();
   }
 
   /**
@@ -242,24 +505,12 @@ class JobsPage extends BasePage {
   /**
    * Check if job contains specific information
    * @param {string} companyName - Company name to find
-   * @param {Object} expectedInfo - Expected job information
+   * @param {Object} expectedInfo - Expected job information (see JobCard.matches)
    * @returns {boolean} True if job contains expected info
    */
   async jobContainsInfo(companyName, expectedInfo) {
-    const jobCard = this.getJobCardByCompany(companyName);
-
-    if (!(await jobCard.isVisible())) {
-      return false;
-    }
-
-    // Check each expected piece of information
-    for (const [key, value] of Object.entries(expectedInfo)) {
-      if (value && !(await jobCard.getByText(value).isVisible())) {
-        return false;
-      }
-    }
-
-    return true;
+    const card = await this.findCard({ company: companyName });
+    return card !== null && await card.matches(expectedInfo);
   }
 
   /**
@@ -277,18 +528,89 @@ class JobsPage extends BasePage {
     };
   }
 
+  /**
+   * Read the filters from the URL query string, defaulting any that are
+   * missing, so the result compares directly with getCurrentFilters
+   * @returns {Object} `{ search, status, type, category, priority, sort }`
+   */
+  async getFiltersFromUrl() {
+    const params = new URL(this.page.url()).searchParams;
+    const filters = {};
+    for (const [name, value] of Object.entries(DEFAULT_FILTERS)) {
+      const param = FILTER_PARAMS[name].find(candidate => params.has(candidate));
+      filters[name] = param ? params.get(param) : value;
+    }
+    return filters;
+  }
+
+  /**
+   * Build the /all-jobs URL for a filtered view
+   * @param {Object} filters - Any of `{ search, status, type, category, priority, sort }`
+   * @returns {string} Path and query, leaving out filters at their default
+   */
+  static urlForFilters(filters) {
+    const params = new URLSearchParams();
+    for (const [name, value] of Object.entries(filters)) {
+      if (value !== undefined && value !== DEFAULT_FILTERS[name]) {
+        params.set(FILTER_PARAMS[name][0], value);
+      }
+    }
+    const query = params.toString();
+    return query ? `/all-jobs?${query}` : '/all-jobs';
+  }
+
+  /**
+   * Open /all-jobs from a filtered link, as a shared URL would, and wait
+   * for the jobs request carrying those filters
+   * @param {Object} filters - Any of `{ search, status, type, category, priority, sort }`
+   */
+  async openWithFilters(filters) {
+    const url = JobsPage.urlForFilters(filters);
+    const isFiltered = requestUrl => requestUrl.pathname === JOBS_API && BasePage.queryIncludes(requestUrl, filterQuery(filters), JOBS_QUERY);
+
+    this.lastJobsExchange = await this.performAndCapture(() => this.navigate(url), isFiltered);
+    await this.waitForListToSettle(this.locators.jobCards);
+  }
+
+  /**
+   * Check if the controls show these filters, once the list has settled
+   * @param {Object} expected - Any filters; the rest must be at their default
+   * @returns {boolean} True if every control matches
+   */
+  async filtersMatch(expected) {
+    await this.waitForJobsLoad();
+    await this.waitForListToSettle(this.locators.jobCards);
+    return sameFilters(await this.getCurrentFilters(), { ...DEFAULT_FILTERS, ...expected });
+  }
+
+  /**
+   * Assert the controls show these filters
+   * @param {Object} expected - Any filters; the rest must be at their default
+   */
+  async expectFilters(expected) {
+    await expect.poll(() => this.getCurrentFilters(), 'filter controls').toEqual({ ...DEFAULT_FILTERS, ...expected });
+  }
+
+  /**
+   * Assert the URL query string holds the filters the controls show
+   */
+  async expectUrlMatchesFilters() {
+    const current = await this.getCurrentFilters();
+    await expect.poll(() => this.getFiltersFromUrl(), 'filters in the URL').toEqual(current);
+  }
+
   /**
    * Check if enhanced job fields are displayed
    * @param {string} companyName - Company name to check
    * @returns {Object} Object with enhanced fields visibility
    */
   async checkEnhancedFields(companyName) {
-    const jobCard = this.getJobCardByCompany(companyName);
+    const card = this.cardFor({ company: companyName });
 
     return {
-      hasSalary: await jobCard.locator(this.locators.jobSalary).isVisible(),
-      hasPriority: await jobCard.locator(this.locators.jobPriority).isVisible(),
-      hasPostingLink: await jobCard.locator(this.locators.jobPostingLink).isVisible()
+      hasSalary: (await card.getSalary()) !== null,
+      hasPriority: (await card.getPriority()) !== null,
+      hasPostingLink: (await card.getPostingUrl()) !== null
     };
   }
 
@@ -348,4 +670,7 @@ class JobsPage extends BasePage {
   }
 }
 
+JobsPage.DEFAULT_FILTERS = DEFAULT_FILTERS;
+JobsPage.sameFilters = sameFilters;
+
 module.exports = JobsPage;
@@ -0,0 +1,114 @@
+/**
+ * =====================================================
+ * LANDING PAGE OBJECT
+ * =====================================================
+ *
+ * Page object for the public landing page (/landing): its content,
+ * the call to action into /register, and the redirects that lead
+ * logged-out users here
+ */
+
+const BasePage = require('./BasePage');
+
+// Where protected routes send logged-out users
+const PUBLIC_ENTRY_PATHS = ['/landing', '/register'];
+
+class LandingPage extends BasePage {
+  constructor(page, options) {
+    super(page, options);
+
+    // Locators
+    this.locators = this.resolveLocators('landing');
+  }
+
+  /**
+   * Navigate to landing page
+   */
+  async navigateToLanding() {
+    await this.navigate('/landing');
+  }
+
+  /**
+   * Check if on landing page
+   * @returns {boolean} True if on landing page
+   */
+  async isOnLandingPage() {
+    return new URL(this.page.url()).pathname === '/landing';
+  }
+
+  /**
+   * Whether a URL is one of the pages logged-out users are sent to
+   * @param {URL} url - Parsed URL
+   * @returns {boolean} True for /landing or /register
+   */
+  static isPublicEntry(url) {
+    return PUBLIC_ENTRY_PATHS.includes(url.pathname);
+  }
+
+  /**
+   * Wait for the redirect that follows opening a protected route
+   * while logged out
+   */
+  async waitForPublicRedirect() {
+    await this.waitForUrl(url => LandingPage.isPublicEntry(url));
+  }
+
+  /**
+   * Wait for landing content to load
+   */
+  async waitForLandingLoad() {
+    await this.waitForElement(this.locators.headline, 5000);
+    await this.waitForElement(this.locators.ctaButton, 5000);
+  }
+
+  /**
+   * Get the landing headline
+   * @returns {string} Headline text
+   */
+  async getHeadline() {
+    return (await this.page.locator(this.locators.headline).first().textContent()).trim();
+  }
+
+  /**
+   * Get the landing description
+   * @returns {string} Description text
+   */
+  async getDescription() {
+    return (await this.page.locator(this.locators.description).first().textContent()).trim();
+  }
+
+  /**
+   * Where the call to action points
+   * @returns {string} Pathname of the CTA's href
+   */
+  async getCtaPath() {
+    const href = await this.page.locator(this.locators.ctaButton).first().getAttribute('href');
+    return new URL(href, this.page.url()).pathname;
+  }
+
+  /**
+   * Click the call to action and wait for /register
+   */
+  async clickCta() {
+    await this.page.locator(this.locators.ctaButton).first().click();
+    await this.waitForUrl('/register');
+  }
+
+  /**
+   * Verify landing page is properly loaded
+   * @returns {Object} Verification results
+   */
+  async verifyLandingPageLoaded() {
+    return {
+      isOnCorrectUrl: await this.isOnLandingPage(),
+      hasLogo: await this.isVisible(this.locators.logo),
+      hasHeadline: await this.isVisible(this.locators.headline),
+      hasDescription: await this.isVisible(this.locators.description),
+      hasCta: await this.isVisible(this.locators.ctaButton)
+    };
+  }
+}
+
+LandingPage.PUBLIC_ENTRY_PATHS = PUBLIC_ENTRY_PATHS;
+
+module.exports = LandingPage;
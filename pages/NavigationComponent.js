@@ -7,40 +7,14 @@
  */
 
 const BasePage = require('./BasePage');
+const JobsPage = require('./JobsPage');
 
 class NavigationComponent extends BasePage {
   constructor(page) {
     super(page);
 
     // Locators
-    this.locators = {
-      // Main navigation links
-      statsLink: '.nav-link[href="/"], a[href="/"]',
-      allJobsLink: '.nav-link[href="/all-jobs"], a[href="/all-jobs"]',
-      addJobLink: '.nav-link[href="/add-job"], a[href="/add-job"]',
-      activitiesLink: '.nav-link[href="/activities"], a[href="/activities"]',
-      timelineLink: '.nav-link[href="/timeline"], a[href="/timeline"]',
-      profileLink: '.nav-link[href="/profile"], a[href="/profile"]',
-
-      // Navigation containers
-      navigation: 'nav, .navigation, .navbar, .sidebar',
-      sidebar: '.sidebar, .nav-sidebar, .side-nav',
-
-      // Mobile navigation
-      mobileToggle: '.toggle-btn, [data-testid="mobile-toggle"], .mobile-menu-toggle, .hamburger-menu, button[aria-label*="menu"]',
-      mobileNav: '.mobile-nav, .sidebar, .nav-mobile, .show-sidebar',
-
-      // User info and logout
-      userInfo: '[data-testid="user-info"], .user-info, .nav-user',
-      userMenu: '[data-testid="user-menu"], .user-dropdown, .nav-user',
-      logoutButton: 'button:has-text("Logout"), a:has-text("Logout"), [data-testid="logout-button"]',
-
-      // App branding
-      logo: '[data-testid="logo"], .logo, img[alt*="logo"], .app-title, h1',
-
-      // Active states
-      activeLink: '.active, .nav-link.active'
-    };
+    this.locators = this.resolveLocators('navigation');
   }
 
   /**
@@ -52,7 +26,7 @@ class NavigationComponent extends BasePage {
     if (!(await statsLink.isVisible())) {
       // Try to open mobile navigation or sidebar
       await this.toggleMobileNav();
-      await this.waitForTimeout(1000);
+      await statsLink.waitFor({ state: 'visible', timeout: 3000 }).catch(() => {});
     }
 
     if (await statsLink.isVisible()) {
@@ -74,7 +48,7 @@ class NavigationComponent extends BasePage {
     if (!(await allJobsLink.isVisible())) {
       // Try to open mobile navigation or sidebar
       await this.toggleMobileNav();
-      await this.waitForTimeout(1000);
+      await allJobsLink.waitFor({ state: 'visible', timeout: 3000 }).catch(() => {});
     }
 
     if (await allJobsLink.isVisible()) {
@@ -296,7 +270,7 @@ class NavigationComponent extends BasePage {
    * @returns {boolean} True if active state is visible
    */
   async isActiveLinkHighlighted(expectedPath) {
-    const activeLink = this.page.locator(`${this.locators.activeLink}[href="${expectedPath}"]`);
+    const activeLink = this.page.locator(this.locators.activeLink).and(this.page.locator(`[href="${expectedPath}"]`));
     return await activeLink.isVisible();
   }
 
@@ -321,9 +295,14 @@ class NavigationComponent extends BasePage {
   }
 
   /**
-   * Test browser navigation (back/forward)
+   * Test browser navigation (back/forward). With `filters`, also checks
+   * that a filtered jobs list keeps its filters when the user goes to
+   * /add-job and back, steps back and forward through history, returns
+   * through the nav link and reloads, and whether the URL holds them.
+   * @param {Object} options - `{ filters }`, e.g. `{ status: 'interview' }`
+   * @returns {Object} Results; filter results only when `filters` is given
    */
-  async testBrowserNavigation() {
+  async testBrowserNavigation({ filters = null } = {}) {
     // Navigate through pages
     await this.goToAllJobs();
     await this.goToAddJob();
@@ -339,11 +318,58 @@ class NavigationComponent extends BasePage {
     await this.goForward();
     const backToAllJobs = this.page.url().includes('/all-jobs');
 
-    return {
+    const results = {
       backToAllJobs: isOnAllJobs,
       backToDashboard: isOnDashboard,
       forwardToAllJobs: backToAllJobs
     };
+
+    if (filters) {
+      Object.assign(results, await this.testFilterPersistence(filters));
+    }
+    return results;
+  }
+
+  /**
+   * Apply filters on /all-jobs, then leave and come back in every way
+   * testBrowserNavigation covers
+   * @param {Object} filters - Filters to apply
+   * @returns {Object} One boolean per scenario
+   */
+  async testFilterPersistence(filters) {
+    const jobsPage = new JobsPage(this.page);
+
+    await this.goToAllJobs();
+    await jobsPage.waitForJobsLoad();
+    await jobsPage.applyFilters(filters);
+    const expected = await jobsPage.getCurrentFilters();
+    const filtersInUrl = JobsPage.sameFilters(await jobsPage.getFiltersFromUrl(), expected);
+
+    // To /add-job and back through history
+    await this.goToAddJob();
+    await this.goBack();
+    const filtersKeptOnBack = await jobsPage.filtersMatch(expected);
+
+    // One step further back, then forward onto the filtered list again
+    await this.goBack();
+    await this.goForward();
+    const filtersKeptOnForward = await jobsPage.filtersMatch(expected);
+
+    // To /add-job and back through the nav link
+    await this.goToAddJob();
+    await this.goToAllJobs();
+    const filtersKeptOnReturn = await jobsPage.filtersMatch(expected);
+
+    await this.reload();
+    const filtersKeptOnReload = await jobsPage.filtersMatch(expected);
+
+    return {
+      filtersInUrl,
+      filtersKeptOnBack,
+      filtersKeptOnForward,
+      filtersKeptOnReturn,
+      filtersKeptOnReload
+    };
   }
 
   /**
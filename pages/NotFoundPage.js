@@ -0,0 +1,59 @@
+/**
+ * =====================================================
+ * NOT FOUND PAGE OBJECT
+ * =====================================================
+ *
+ * Page object for the error page the app renders for unknown routes
+ */
+
+const BasePage = require('./BasePage');
+
+class NotFoundPage extends BasePage {
+  constructor(page, options) {
+    super(page, options);
+
+    // Locators
+    this.locators = this.resolveLocators('notFound');
+  }
+
+  /**
+   * Open a route that does not exist
+   * @param {string} path - Unknown path
+   */
+  async navigateToUnknownRoute(path = '/this-page-does-not-exist') {
+    await this.navigate(path);
+  }
+
+  /**
+   * Check if the not found page is shown, waiting for the app's first
+   * render after navigation
+   * @param {number} timeout - How long to wait for the heading
+   * @returns {boolean} True if a heading saying "not found" appears
+   */
+  async isNotFoundShown(timeout = 5000) {
+    const heading = this.page.locator(this.locators.heading).filter({ hasText: /not found/i }).first();
+    try {
+      await heading.waitFor({ state: 'visible', timeout });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Get the not found heading
+   * @returns {string} Heading text
+   */
+  async getHeading() {
+    return (await this.page.locator(this.locators.heading).first().textContent()).trim();
+  }
+
+  /**
+   * Follow the "back home" link
+   */
+  async goBackHome() {
+    await this.page.locator(this.locators.backHomeLink).first().click();
+  }
+}
+
+module.exports = NotFoundPage;
@@ -0,0 +1,182 @@
+/**
+ * =====================================================
+ * PROFILE PAGE OBJECT
+ * =====================================================
+ *
+ * Page object for viewing and updating the logged-in user's profile
+ * (name, last name, email and location)
+ */
+
+const { expect } = require('@playwright/test');
+const BasePage = require('./BasePage');
+
+const UPDATE_USER_API = '/api/v1/auth/updateUser';
+
+// Form fields by profile key
+const FIELDS = {
+  name: 'nameInput',
+  lastName: 'lastNameInput',
+  email: 'emailInput',
+  location: 'locationInput'
+};
+
+class ProfilePage extends BasePage {
+  constructor(page, options) {
+    super(page, options);
+
+    // `{ request, response }` of the last profile save
+    this.lastProfileExchange = null;
+
+    // Locators
+    this.locators = this.resolveLocators('profile');
+  }
+
+  /**
+   * Navigate to profile page
+   */
+  async navigateToProfile() {
+    await this.navigate('/profile');
+    await this.waitForUrl('/profile');
+  }
+
+  /**
+   * Check if on profile page
+   * @returns {boolean} True if on profile page
+   */
+  async isOnProfilePage() {
+    return this.page.url().includes('/profile');
+  }
+
+  /**
+   * Get page title
+   * @returns {string} Page title text
+   */
+  async getPageTitle() {
+    return await this.getTextContent(this.locators.pageTitle);
+  }
+
+  /**
+   * Wait for the form to be filled from the current user
+   */
+  async waitForProfileLoad() {
+    await this.waitForElement(this.locators.nameInput, 5000);
+    await this.waitForElement(this.locators.submitButton, 5000);
+    await expect(this.page.locator(this.locators.emailInput)).not.toHaveValue('');
+  }
+
+  /**
+   * Get current form values
+   * @returns {Object} `{ name, lastName, email, location }`
+   */
+  async getProfileValues() {
+    const values = {};
+    for (const [field, locator] of Object.entries(FIELDS)) {
+      values[field] = await this.page.locator(this.locators[locator]).inputValue();
+    }
+    return values;
+  }
+
+  /**
+   * Fill the given profile fields; an empty string clears a field
+   * @param {Object} values - Any of `{ name, lastName, email, location }`
+   */
+  async fillProfileForm(values) {
+    for (const [field, locator] of Object.entries(FIELDS)) {
+      if (values[field] !== undefined) {
+        await this.fillInput(this.locators[locator], values[field]);
+      }
+    }
+  }
+
+  /**
+   * Submit the profile form
+   */
+  async submitForm() {
+    await this.clickElement(this.locators.submitButton);
+  }
+
+  /**
+   * Update the profile and wait for the save to finish
+   * @param {Object} values - Any of `{ name, lastName, email, location }`
+   * @returns {Promise<string>} Alert text shown after saving
+   */
+  async updateProfile(values) {
+    await this.fillProfileForm(values);
+    this.lastProfileExchange = await this.performAndCapture(() => this.submitForm(), UPDATE_USER_API, { method: 'PATCH' });
+    return await this.waitForAlertMessage();
+  }
+
+  /**
+   * Submit values the form should reject (e.g. an empty field)
+   * @param {Object} values - Any of `{ name, lastName, email, location }`
+   * @returns {Promise<string>} Validation alert text
+   */
+  async submitInvalidProfile(values) {
+    await this.fillProfileForm(values);
+    await this.submitForm();
+    return await this.waitForAlertMessage();
+  }
+
+  /**
+   * Assert the last save PATCHed these fields, e.g. `{ location: 'Denver' }`
+   * @param {Object} expected - Expected body fields
+   */
+  expectProfilePatched(expected) {
+    this.expectRequestToInclude(this.lastProfileExchange, expected);
+  }
+
+  /**
+   * Assert the server turned the last save down with a 4xx status
+   */
+  expectProfileRejected() {
+    expect(this.lastProfileExchange, 'no profile save was captured').toBeTruthy();
+    const status = this.lastProfileExchange.response.status();
+    expect(status >= 400 && status < 500, `PATCH ${UPDATE_USER_API} answered ${status}`).toBe(true);
+  }
+
+  /**
+   * Assert the form shows these values
+   * @param {Object} expected - Any of `{ name, lastName, email, location }`
+   */
+  async expectProfileValues(expected) {
+    for (const [field, value] of Object.entries(expected)) {
+      await expect(this.page.locator(this.locators[FIELDS[field]]), `profile ${field}`).toHaveValue(value);
+    }
+  }
+
+  /**
+   * Wait for the alert shown after a save
+   * @returns {Promise<string>} Alert text
+   */
+  async waitForAlertMessage() {
+    return await this.waitForAlert(this.locators.alertMessage);
+  }
+
+  /**
+   * Check if alert message is visible
+   * @returns {boolean} True if alert is visible
+   */
+  async isAlertVisible() {
+    return await this.isVisible(this.locators.alertMessage);
+  }
+
+  /**
+   * Verify profile page is properly loaded
+   * @returns {Object} Verification results
+   */
+  async verifyProfilePageLoaded() {
+    return {
+      isOnCorrectUrl: await this.isOnProfilePage(),
+      hasPageTitle: await this.isVisible(this.locators.pageTitle),
+      hasNameField: await this.isVisible(this.locators.nameInput),
+      hasLastNameField: await this.isVisible(this.locators.lastNameInput),
+      hasEmailField: await this.isVisible(this.locators.emailInput),
+      hasLocationField: await this.isVisible(this.locators.locationInput),
+      hasSubmitButton: await this.isVisible(this.locators.submitButton)
+    };
+  }
+}
+
+ProfilePage.FIELDS = Object.keys(FIELDS);
+
+module.exports = ProfilePage;
@@ -13,54 +13,7 @@ class TimelinePage extends BasePage {
     super(page);
 
     // Locators
-    this.locators = {
-      // Page elements
-      pageTitle: 'h3',
-
-      // Timeline controls
-      allActivitiesButton: 'button:has-text("All Activities")',
-      byJobButton: 'button:has-text("By Job")',
-      jobSelector: 'select#jobSelect',
-      jobSelectorLabel: 'label[for="jobSelect"]',
-      jobSelectorPlaceholder: 'select#jobSelect option[value=""]',
-
-      // Timeline preview
-      timelinePreview: '.timeline-preview',
-      timelinePreviewTitle: 'h5:has-text("Timeline Preview")',
-      previewTimelineItems: '.preview-timeline-item',
-      previewIcon: '.preview-icon',
-      previewContent: '.preview-content',
-      previewContentTitle: '.preview-content h6',
-      previewContentText: '.preview-content p',
-
-      // Timeline statistics
-      timelineStats: '.timeline-stats',
-      statCards: '.stat-card',
-      totalActivitiesStat: '.stat-card:has-text("Total Activities")',
-      pendingStat: '.stat-card:has-text("Pending")',
-      completedStat: '.stat-card:has-text("Completed")',
-
-      // Timeline controls preview
-      timelineControlsPreview: '.timeline-controls-preview',
-      previewControlsTitle: 'h5:has-text("Preview: Timeline Controls")',
-
-      // Coming soon section
-      comingSoonTitle: 'h4:has-text("Timeline View Coming Soon")',
-      featureDescription: 'text=Chronological view of all your job application activities',
-      visualTimelineDescription: 'text=Visual timeline with activity types and priorities',
-      filterDescription: 'text=Filter by specific jobs or view all activities',
-
-      // Info message
-      infoMessage: '.info-message',
-      featureBullets: '.info-message li',
-
-      // Empty state
-      noTimelineData: '.no-timeline-data',
-      noTimelineDataTitle: '.no-timeline-data h4',
-
-      // Active button states
-      primaryButton: '.btn-primary'
-    };
+    this.locators = this.resolveLocators('timeline');
   }
 
   /**
@@ -141,7 +94,7 @@ class TimelinePage extends BasePage {
    * @returns {number} Number of job options
    */
   async getJobSelectorOptionsCount() {
-    const options = this.page.locator(`${this.locators.jobSelector} option[value!=""]`);
+    const options = this.page.locator(this.locators.jobSelector).locator('option:not([value=""])');
     return await options.count();
   }
 
@@ -284,21 +237,6 @@ class TimelinePage extends BasePage {
     };
   }
 
-  /**
-   * Check if empty timeline state is handled
-   * @returns {Object} Empty state information
-   */
-  async checkEmptyTimelineState() {
-    const hasTimelineItems = await this.getPreviewItemsCount() > 0;
-    const hasEmptyState = await this.isVisible(this.locators.noTimelineData);
-
-    return {
-      hasTimelineItems,
-      hasEmptyState,
-      isEmptyStateCorrect: hasEmptyState ? await this.getTextContent(this.locators.noTimelineDataTitle).then(text => text.includes('No activities found')) : false
-    };
-  }
-
   /**
    * Check if timestamps are displayed in preview items
    * @returns {boolean} True if timestamps are visible
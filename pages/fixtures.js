@@ -0,0 +1,101 @@
+/**
+ * =====================================================
+ * PAGE OBJECT FIXTURES
+ * =====================================================
+ *
+ * `test.extend` fixtures that hand every test ready-made page objects,
+ * so specs no longer construct them in a beforeEach block. Fixtures are
+ * lazy: a page object is only created when a test asks for it.
+ *
+ *   const { test, expect } = require('../pages');
+ *
+ *   test('creates a job', async ({ addJobPage, jobsPage }) => { ... });
+ */
+
+const base = require('@playwright/test');
+const AuthPage = require('./AuthPage');
+const DashboardPage = require('./DashboardPage');
+const NavigationComponent = require('./NavigationComponent');
+const JobsPage = require('./JobsPage');
+const AddJobPage = require('./AddJobPage');
+const ActivitiesPage = require('./ActivitiesPage');
+const TimelinePage = require('./TimelinePage');
+const ProfilePage = require('./ProfilePage');
+const LandingPage = require('./LandingPage');
+const NotFoundPage = require('./NotFoundPage');
+const { TestNamespace } = require('../support/namespace');
+
+/**
+ * @typedef {Object} PageObjectFixtures
+ * @property {TestNamespace} namespace - Run/worker/test-scoped naming
+ * @property {AuthPage} authPage - Login/register page
+ * @property {DashboardPage} dashboardPage - Dashboard/stats page
+ * @property {JobsPage} jobsPage - All jobs listing page
+ * @property {AddJobPage} addJobPage - Add/edit job form
+ * @property {ActivitiesPage} activitiesPage - Activities page
+ * @property {TimelinePage} timelinePage - Timeline page
+ * @property {ProfilePage} profilePage - Profile page
+ * @property {LandingPage} landingPage - Public landing page
+ * @property {NotFoundPage} notFoundPage - Error page for unknown routes
+ * @property {NavigationComponent} navigation - Shared navigation
+ */
+
+/**
+ * @typedef {import('@playwright/test').PlaywrightTestArgs & import('@playwright/test').PlaywrightTestOptions} BaseTestArgs
+ * @typedef {import('@playwright/test').PlaywrightWorkerArgs & import('@playwright/test').PlaywrightWorkerOptions} BaseWorkerArgs
+ */
+
+/** @type {import('@playwright/test').Fixtures<PageObjectFixtures, {}, BaseTestArgs, BaseWorkerArgs>} */
+const pageObjectFixtures = {
+  namespace: async ({}, use, testInfo) => {
+    await use(TestNamespace.forTest(testInfo));
+  },
+
+  authPage: async ({ page, namespace }, use) => {
+    await use(new AuthPage(page, { namespace }));
+  },
+
+  dashboardPage: async ({ page, namespace }, use) => {
+    await use(new DashboardPage(page, { namespace }));
+  },
+
+  jobsPage: async ({ page, namespace }, use) => {
+    await use(new JobsPage(page, { namespace }));
+  },
+
+  addJobPage: async ({ page, namespace }, use) => {
+    await use(new AddJobPage(page, { namespace }));
+  },
+
+  activitiesPage: async ({ page }, use) => {
+    await use(new ActivitiesPage(page));
+  },
+
+  timelinePage: async ({ page }, use) => {
+    await use(new TimelinePage(page));
+  },
+
+  profilePage: async ({ page }, use) => {
+    await use(new ProfilePage(page));
+  },
+
+  landingPage: async ({ page }, use) => {
+    await use(new LandingPage(page));
+  },
+
+  notFoundPage: async ({ page }, use) => {
+    await use(new NotFoundPage(page));
+  },
+
+  navigation: async ({ page }, use) => {
+    await use(new NavigationComponent(page));
+  }
+};
+
+const test = base.test.extend(pageObjectFixtures);
+
+module.exports = {
+  test,
+  expect: base.expect,
+  pageObjectFixtures
+};
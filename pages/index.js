@@ -3,7 +3,8 @@
  * PAGE OBJECTS INDEX
  * =====================================================
  *
- * Central export file for all page objects
+ * Central export file for all page objects, plus the `test` with
+ * page object fixtures (see fixtures.js)
  */
 
 const BasePage = require('./BasePage');
@@ -11,9 +12,14 @@ const AuthPage = require('./AuthPage');
 const DashboardPage = require('./DashboardPage');
 const NavigationComponent = require('./NavigationComponent');
 const JobsPage = require('./JobsPage');
+const JobCard = require('./JobCard');
 const AddJobPage = require('./AddJobPage');
 const ActivitiesPage = require('./ActivitiesPage');
 const TimelinePage = require('./TimelinePage');
+const ProfilePage = require('./ProfilePage');
+const LandingPage = require('./LandingPage');
+const NotFoundPage = require('./NotFoundPage');
+const { test, expect } = require('./fixtures');
 
 module.exports = {
   BasePage,
@@ -21,7 +27,13 @@ module.exports = {
   DashboardPage,
   NavigationComponent,
   JobsPage,
+  JobCard,
   AddJobPage,
   ActivitiesPage,
-  TimelinePage
+  TimelinePage,
+  ProfilePage,
+  LandingPage,
+  NotFoundPage,
+  test,
+  expect
 };
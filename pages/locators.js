@@ -0,0 +1,550 @@
+/**
+ * =====================================================
+ * LOCATOR REGISTRY
+ * =====================================================
+ *
+ * Every selector the page objects use, by page and semantic name.
+ * Each entry prefers a data-testid and declares the selectors that
+ * work against today's markup as fallbacks:
+ *
+ *   jobCards: { testId: 'job-card', fallbacks: ['.jobs > article'] }
+ *
+ * resolves to one selector string, so page objects keep passing plain
+ * strings around. The data-testid wins: each fallback is guarded with
+ * `:scope:not(:has(<testid>))`, so fallbacks only match where the
+ * query's scope (the page, or the card a locator is chained from) has
+ * no element with the test id. `attributes` narrow the test id for
+ * states (`data-status="pending"`).
+ *
+ * With LOCATOR_FALLBACK_WARNINGS=1, the first use of each locator
+ * checks whether only a fallback matches and names the data-testid to
+ * add. `npm run locators:audit` reports the same for every locator, and
+ * `npm run locators:testids` prints every data-testid the frontend needs.
+ */
+
+const LOCATORS = {
+  auth: {
+    // Form elements
+    nameInput: { testId: 'auth-name-input', fallbacks: ['input[name="name"]'] },
+    emailInput: { testId: 'auth-email-input', fallbacks: ['input[name="email"]'] },
+    passwordInput: { testId: 'auth-password-input', fallbacks: ['input[name="password"]'] },
+    submitButton: { testId: 'auth-submit-button', fallbacks: ['button[type="submit"]'] },
+
+    // Mode toggle buttons
+    signUpButton: { testId: 'auth-register-toggle', fallbacks: ['button:has-text("Register Now")', 'button.member-btn:has-text("Register")'] },
+    signInButton: { testId: 'auth-login-toggle', fallbacks: ['button:has-text("Login Here")', 'button.member-btn:has-text("Login")'] },
+
+    // Page elements
+    pageTitle: { testId: 'page-title', fallbacks: ['h3'] },
+    alertMessage: { testId: 'alert', fallbacks: ['[class*="alert"]', '.error', '[role="alert"]'] },
+
+    // Navigation after auth - user info appears in different places
+    userInfo: { testId: 'user-info', fallbacks: ['.btn-container .btn', '.nav-center .btn', '.nav-links', '.sidebar .nav-links', '.big-sidebar .nav-links'] },
+    dashboardContent: { testId: 'dashboard', fallbacks: ['h1', 'h2', 'h3', '.logo-text'] },
+
+    // Logout elements: the navbar's user button opens a dropdown with logout
+    logoutButton: { testId: 'logout-button', fallbacks: ['.dropdown-btn', 'button:has-text("logout")', 'button:has-text("Sign Out")'] },
+    userMenu: { testId: 'user-menu', fallbacks: ['.user-dropdown', '.nav-user', '.btn-container .btn'] },
+    dropdownToggle: { testId: 'user-menu-toggle', fallbacks: ['.btn-container > .btn', '.btn-container .btn'] }
+  },
+
+  dashboard: {
+    // Page content
+    pageTitle: { testId: 'page-title', fallbacks: ['h1', 'h2', 'h3'] },
+    dashboardContent: { testId: 'dashboard', fallbacks: ['.dashboard'] },
+
+    // Statistics
+    statsContainer: { testId: 'stats-container', fallbacks: ['[class*="stats"]', '.stat-card', '.statistic'] },
+    statCards: { testId: 'stat-card', fallbacks: ['.stat-card'] },
+    pendingJobs: { testId: 'stat-card', attributes: { 'data-stat': 'pending' }, fallbacks: [':text-matches("pending", "i")'] },
+    interviewJobs: { testId: 'stat-card', attributes: { 'data-stat': 'interview' }, fallbacks: [':text-matches("interview", "i")'] },
+    declinedJobs: { testId: 'stat-card', attributes: { 'data-stat': 'declined' }, fallbacks: [':text-matches("declined", "i")'] },
+    statCount: { testId: 'stat-count', fallbacks: ['.count'] },
+
+    // Monthly applications chart
+    chartContainer: { testId: 'monthly-chart', fallbacks: ['.recharts-wrapper'] },
+    chartToggleButton: { testId: 'chart-toggle', fallbacks: ['button:text-matches("^(area|bar) chart$", "i")'] },
+    chartBars: { testId: 'chart-bars', fallbacks: ['.recharts-bar'] },
+    chartArea: { testId: 'chart-area', fallbacks: ['.recharts-area'] },
+    chartMonthLabels: { testId: 'chart-month', fallbacks: ['.recharts-xAxis .recharts-cartesian-axis-tick-value'] },
+    chartTooltip: { testId: 'chart-tooltip', fallbacks: ['.recharts-tooltip-wrapper'] },
+    chartTooltipValue: { testId: 'chart-tooltip-value', fallbacks: ['.recharts-tooltip-item-value'] },
+
+    // Welcome message
+    welcomeMessage: { testId: 'dashboard-title', fallbacks: ['h3:has-text("dashboard")', 'h1:has-text("Stats")', 'h2:has-text("Welcome")'] }
+  },
+
+  jobs: {
+    // Page elements
+    pageTitle: { testId: 'page-title', fallbacks: ['h2', 'h3'] },
+
+    // Search and filters
+    searchInput: { testId: 'job-search-input', fallbacks: ['input[name="search"]'] },
+    statusFilter: { testId: 'job-status-filter', fallbacks: ['select[name="searchStatus"]'] },
+    typeFilter: { testId: 'job-type-filter', fallbacks: ['select[name="searchType"]'] },
+    categoryFilter: { testId: 'job-category-filter', fallbacks: ['select[name="searchCategory"]'] },
+    priorityFilter: { testId: 'job-priority-filter', fallbacks: ['select[name="searchPriority"]'] },
+    sortSelect: { testId: 'job-sort-select', fallbacks: ['select[name="sort"]'] },
+    clearFiltersButton: { testId: 'clear-filters-button', fallbacks: ['button:has-text("Clear Filters")', 'button:has-text("Clear")'] },
+
+    // Result count and pagination
+    totalJobsHeading: { testId: 'jobs-total', fallbacks: ['h5:text-matches("jobs? found|no jobs", "i")'] },
+    pagination: { testId: 'pagination', fallbacks: ['.btn-container', 'nav[aria-label*="pagination" i]'] },
+    prevPageButton: { testId: 'pagination-prev', fallbacks: ['.prev-btn', 'button:text-matches("prev", "i")'] },
+    nextPageButton: { testId: 'pagination-next', fallbacks: ['.next-btn', 'button:text-matches("next", "i")'] },
+    pageButtons: { testId: 'pagination-page', fallbacks: ['.pageBtn', '.page-btn'] },
+    activePageButton: { testId: 'pagination-page', attributes: { 'aria-current': 'page' }, fallbacks: ['.pageBtn.active', '.page-btn.active'] },
+
+    // Job cards/items
+    // Card roots only: the list's direct children, never elements inside a card
+    jobCards: { testId: 'job-card', fallbacks: ['.jobs > article'] },
+
+    // Job card elements
+    jobPosition: { testId: 'job-position', fallbacks: ['.position', '[class*="position"]'] },
+    jobCompany: { testId: 'job-company', fallbacks: ['.company', '[class*="company"]'] },
+    jobLocation: { testId: 'job-location', fallbacks: ['.location', '[class*="location"]'] },
+    jobStatus: { testId: 'job-status', fallbacks: ['[class*="status"]'] },
+    jobSalary: { testId: 'job-salary', fallbacks: ['[class*="salary"]'] },
+    jobPriority: { testId: 'job-priority', fallbacks: ['[class*="priority"]', '.priority-high', '.priority-medium', '.priority-low'] },
+    jobPostingLink: { testId: 'job-posting-link', fallbacks: ['a[href*="http"]'] },
+
+    // Job actions
+    editButton: { testId: 'job-edit-button', fallbacks: ['button:has-text("Edit")', 'a:has-text("Edit")'] },
+    deleteButton: { testId: 'job-delete-button', fallbacks: ['button:has-text("Delete")'] },
+
+    // Job details in cards
+    jobDetails: {
+      position: { testId: 'job-position', fallbacks: ['[class*="position"]', '.job-title'] },
+      company: { testId: 'job-company', fallbacks: ['[class*="company"]', '.company-name'] },
+      location: { testId: 'job-location', fallbacks: ['[class*="location"]', '.job-location'] },
+      status: { testId: 'job-status', fallbacks: ['[class*="status"]', '.job-status'] },
+      type: { testId: 'job-type', fallbacks: ['[class*="type"]', '.job-type'] },
+      salary: { testId: 'job-salary', fallbacks: ['[class*="salary"]', '.salary-range'] },
+      priority: { testId: 'job-priority', fallbacks: ['[class*="priority"]', '.priority-badge'] },
+      postingUrl: { testId: 'job-posting-link', fallbacks: ['a[href*="http"]', '.posting-link'] },
+      category: { testId: 'job-category', fallbacks: ['[class*="category"]'] },
+      date: { testId: 'job-date', fallbacks: ['[class*="date"]', 'time'] },
+      tags: { testId: 'job-tag', fallbacks: ['.tag', '.job-tags > *'] }
+    }
+  },
+
+  addJob: {
+    // Page elements
+    pageTitle: { testId: 'page-title', fallbacks: ['h3'] },
+
+    // Basic job form fields
+    positionInput: { testId: 'job-form-position', fallbacks: ['input[name="position"]'] },
+    companyInput: { testId: 'job-form-company', fallbacks: ['input[name="company"]'] },
+    jobLocationInput: { testId: 'job-form-location', fallbacks: ['input[name="jobLocation"]'] },
+    jobTypeSelect: { testId: 'job-form-job-type', fallbacks: ['select[name="jobType"]'] },
+    statusSelect: { testId: 'job-form-status', fallbacks: ['select[name="status"]'] },
+
+    // Enhanced fields (Phase 1)
+    salaryMinInput: { testId: 'job-form-salary-min', fallbacks: ['.form-input[name="salaryMin"]'] },
+    salaryMaxInput: { testId: 'job-form-salary-max', fallbacks: ['.form-input[name="salaryMax"]'] },
+    salaryCurrencySelect: { testId: 'job-form-salary-currency', fallbacks: ['select[name="salaryCurrency"]'] },
+    jobDescriptionTextarea: { testId: 'job-form-description', fallbacks: ['.form-textarea[name="jobDescription"]'] },
+    companyWebsiteInput: { testId: 'job-form-company-website', fallbacks: ['.form-input[name="companyWebsite"]'] },
+    jobPostingUrlInput: { testId: 'job-form-posting-url', fallbacks: ['.form-input[name="jobPostingUrl"]'] },
+    applicationMethodSelect: { testId: 'job-form-application-method', fallbacks: ['select[name="applicationMethod"]'] },
+    notesTextarea: { testId: 'job-form-notes', fallbacks: ['.form-textarea[name="notes"]'] },
+
+    // Phase 2 fields
+    categorySelect: { testId: 'job-form-category', fallbacks: ['select[name="category"]'] },
+    tagsInput: { testId: 'job-form-tags', fallbacks: ['.form-input[name="tags"]'] },
+    prioritySelect: { testId: 'job-form-priority', fallbacks: ['select[name="priority"]'] },
+
+    // Form actions
+    submitButton: { testId: 'job-form-submit', fallbacks: ['.submit-btn', 'button[type="submit"]'] },
+    cancelButton: { testId: 'job-form-cancel', fallbacks: ['button:has-text("Cancel")', '.clear-btn'] },
+
+    // Messages
+    alertMessage: { testId: 'alert', fallbacks: ['[class*="alert"]', '.success', '.error'] }
+  },
+
+  activities: {
+    // Page elements
+    pageTitle: { testId: 'page-title', fallbacks: ['h3'] },
+
+    // Activities container
+    activitiesContainer: { testId: 'activities-container', fallbacks: ['.activities-container'] },
+    activityCards: { testId: 'activity-card', fallbacks: ['.activity-card'] },
+
+    // Filters
+    activityTypeFilter: { testId: 'activity-type-filter', fallbacks: ['select[name="activityType"]'] },
+    activityStatusFilter: { testId: 'activity-status-filter', fallbacks: ['select[name="activityStatus"]'] },
+    clearFiltersButton: { testId: 'clear-filters-button', fallbacks: ['button:has-text("Clear Filters")'] },
+
+    // Activity card elements
+    activityTitle: { testId: 'activity-title', fallbacks: ['.activity-title'] },
+    activityType: { testId: 'activity-type', fallbacks: ['.activity-type'] },
+    statusBadge: { testId: 'activity-status', fallbacks: ['.status-badge'] },
+    priorityBadge: { testId: 'activity-priority', fallbacks: ['.priority-badge'] },
+    createdDate: { testId: 'activity-created-date', fallbacks: ['.created-date'] },
+    scheduledDate: { testId: 'activity-scheduled-date', fallbacks: ['.scheduled-date'] },
+    completedDate: { testId: 'activity-completed-date', fallbacks: ['.completed-date'] },
+    jobReference: { testId: 'activity-job-reference', fallbacks: ['.job-reference'] },
+
+    // Activity actions
+    activityActions: { testId: 'activity-actions', fallbacks: ['.activity-actions'] },
+    markCompleteButton: { testId: 'activity-complete-button', fallbacks: ['button:has-text("Mark Complete")'] },
+    deleteButton: { testId: 'activity-delete-button', fallbacks: ['button:has-text("Delete")'] },
+
+    // Activity states
+    pendingActivity: { testId: 'activity-card', attributes: { 'data-status': 'pending' }, fallbacks: ['.activity-card.pending'] },
+    completedActivity: { testId: 'activity-card', attributes: { 'data-status': 'completed' }, fallbacks: ['.activity-card.completed'] },
+
+    // Priority classes
+    highPriorityCard: { testId: 'activity-card', attributes: { 'data-priority': 'high' }, fallbacks: ['.activity-card.priority-high'] },
+    mediumPriorityCard: { testId: 'activity-card', attributes: { 'data-priority': 'medium' }, fallbacks: ['.activity-card.priority-medium'] },
+    lowPriorityCard: { testId: 'activity-card', attributes: { 'data-priority': 'low' }, fallbacks: ['.activity-card.priority-low'] },
+
+    // Priority badges
+    highPriorityBadge: { testId: 'activity-priority', attributes: { 'data-priority': 'high' }, fallbacks: ['.priority-badge.priority-high'] },
+    mediumPriorityBadge: { testId: 'activity-priority', attributes: { 'data-priority': 'medium' }, fallbacks: ['.priority-badge.priority-medium'] },
+    lowPriorityBadge: { testId: 'activity-priority', attributes: { 'data-priority': 'low' }, fallbacks: ['.priority-badge.priority-low'] },
+
+    // Empty state
+    noActivities: { testId: 'activities-empty', fallbacks: ['.no-activities'] },
+    noActivitiesTitle: { testId: 'activities-empty-title', fallbacks: ['.no-activities h4'] },
+
+    // Activity count
+    activitiesCount: { testId: 'activities-count', fallbacks: ['.activities-count'] },
+
+    // Success/error messages
+    alertMessage: { testId: 'alert', fallbacks: ['[class*="alert"]', '.success'] }
+  },
+
+  timeline: {
+    // Page elements
+    pageTitle: { testId: 'page-title', fallbacks: ['h3'] },
+
+    // Timeline controls
+    allActivitiesButton: { testId: 'timeline-all-button', fallbacks: ['button:has-text("All Activities")'] },
+    byJobButton: { testId: 'timeline-by-job-button', fallbacks: ['button:has-text("By Job")'] },
+    jobSelector: { testId: 'timeline-job-select', fallbacks: ['select#jobSelect'] },
+    jobSelectorLabel: { testId: 'timeline-job-select-label', fallbacks: ['label[for="jobSelect"]'] },
+    jobSelectorPlaceholder: { testId: 'timeline-job-select-placeholder', fallbacks: ['select#jobSelect option[value=""]'] },
+
+    // Timeline preview
+    timelinePreview: { testId: 'timeline-preview', fallbacks: ['.timeline-preview'] },
+    timelinePreviewTitle: { testId: 'timeline-preview-title', fallbacks: ['h5:has-text("Timeline Preview")'] },
+    previewTimelineItems: { testId: 'timeline-preview-item', fallbacks: ['.preview-timeline-item'] },
+    previewIcon: { testId: 'timeline-preview-icon', fallbacks: ['.preview-icon'] },
+    previewContent: { testId: 'timeline-preview-content', fallbacks: ['.preview-content'] },
+    previewContentTitle: { testId: 'timeline-preview-content-title', fallbacks: ['.preview-content h6'] },
+    previewContentText: { testId: 'timeline-preview-content-text', fallbacks: ['.preview-content p'] },
+
+    // Timeline statistics
+    timelineStats: { testId: 'timeline-stats', fallbacks: ['.timeline-stats'] },
+    statCards: { testId: 'stat-card', fallbacks: ['.stat-card'] },
+    totalActivitiesStat: { testId: 'stat-card', attributes: { 'data-stat': 'total' }, fallbacks: ['.stat-card:has-text("Total Activities")'] },
+    pendingStat: { testId: 'stat-card', attributes: { 'data-stat': 'pending' }, fallbacks: ['.stat-card:has-text("Pending")'] },
+    completedStat: { testId: 'stat-card', attributes: { 'data-stat': 'completed' }, fallbacks: ['.stat-card:has-text("Completed")'] },
+
+    // Timeline controls preview
+    timelineControlsPreview: { testId: 'timeline-controls-preview', fallbacks: ['.timeline-controls-preview'] },
+    previewControlsTitle: { testId: 'timeline-controls-preview-title', fallbacks: ['h5:has-text("Preview: Timeline Controls")'] },
+
+    // Coming soon section
+    comingSoonTitle: { testId: 'timeline-coming-soon-title', fallbacks: ['h4:has-text("Timeline View Coming Soon")'] },
+    featureDescription: { testId: 'timeline-feature-chronological', fallbacks: [':text("Chronological view of all your job application activities")'] },
+    visualTimelineDescription: { testId: 'timeline-feature-visual', fallbacks: [':text("Visual timeline with activity types and priorities")'] },
+    filterDescription: { testId: 'timeline-feature-filter', fallbacks: [':text("Filter by specific jobs or view all activities")'] },
+
+    // Info message
+    infoMessage: { testId: 'timeline-info', fallbacks: ['.info-message'] },
+    featureBullets: { testId: 'timeline-info-item', fallbacks: ['.info-message li'] },
+
+    // Empty state
+    noTimelineData: { testId: 'timeline-empty', fallbacks: ['.no-timeline-data'] },
+    noTimelineDataTitle: { testId: 'timeline-empty-title', fallbacks: ['.no-timeline-data h4'] },
+
+    // Active button states
+    primaryButton: { testId: 'timeline-active-button', fallbacks: ['.btn-primary'] }
+  },
+
+  profile: {
+    // Page elements
+    pageTitle: { testId: 'page-title', fallbacks: ['h3'] },
+    profileForm: { testId: 'profile-form', fallbacks: ['form.form', 'form'] },
+
+    // Profile fields
+    nameInput: { testId: 'profile-name-input', fallbacks: ['input[name="name"]'] },
+    lastNameInput: { testId: 'profile-last-name-input', fallbacks: ['input[name="lastName"]'] },
+    emailInput: { testId: 'profile-email-input', fallbacks: ['input[name="email"]'] },
+    locationInput: { testId: 'profile-location-input', fallbacks: ['input[name="location"]'] },
+
+    // Form actions
+    submitButton: { testId: 'profile-submit-button', fallbacks: ['button[type="submit"]', 'button:has-text("save changes")'] },
+
+    // Success/error messages
+    alertMessage: { testId: 'alert', fallbacks: ['[class*="alert"]', '[role="alert"]'] }
+  },
+
+  landing: {
+    // Page content
+    logo: { testId: 'logo', fallbacks: ['.logo', 'img[alt*="logo"]'] },
+    headline: { testId: 'landing-headline', fallbacks: ['.info h1', 'main h1', 'h1'] },
+    description: { testId: 'landing-description', fallbacks: ['.info p', 'main p'] },
+    heroImage: { testId: 'landing-hero-image', fallbacks: ['img.main-img', 'main img:not(.logo)'] },
+
+    // Call to action into /register
+    ctaButton: { testId: 'landing-cta', fallbacks: ['a.btn-hero', 'a[href="/register"]', 'a:has-text("Login")'] }
+  },
+
+  notFound: {
+    // Error page shown for unknown routes
+    image: { testId: 'not-found-image', fallbacks: ['img[alt*="not found"]', '.full-page img'] },
+    heading: { testId: 'not-found-heading', fallbacks: ['h3:has-text("not found")', 'h3'] },
+    message: { testId: 'not-found-message', fallbacks: ['.full-page p', 'main p', 'p'] },
+    backHomeLink: { testId: 'not-found-home-link', fallbacks: ['a:has-text("back home")', 'a[href="/"]'] }
+  },
+
+  navigation: {
+    // Main navigation links
+    statsLink: { testId: 'nav-stats', fallbacks: ['.nav-link[href="/"]', 'a[href="/"]'] },
+    allJobsLink: { testId: 'nav-all-jobs', fallbacks: ['.nav-link[href="/all-jobs"]', 'a[href="/all-jobs"]'] },
+    addJobLink: { testId: 'nav-add-job', fallbacks: ['.nav-link[href="/add-job"]', 'a[href="/add-job"]'] },
+    activitiesLink: { testId: 'nav-activities', fallbacks: ['.nav-link[href="/activities"]', 'a[href="/activities"]'] },
+    timelineLink: { testId: 'nav-timeline', fallbacks: ['.nav-link[href="/timeline"]', 'a[href="/timeline"]'] },
+    profileLink: { testId: 'nav-profile', fallbacks: ['.nav-link[href="/profile"]', 'a[href="/profile"]'] },
+
+    // Navigation containers
+    navigation: { testId: 'navigation', fallbacks: ['nav', '.navigation', '.navbar', '.sidebar'] },
+    sidebar: { testId: 'sidebar', fallbacks: ['.sidebar', '.nav-sidebar', '.side-nav'] },
+
+    // Mobile navigation
+    mobileToggle: { testId: 'mobile-toggle', fallbacks: ['.toggle-btn', '.mobile-menu-toggle', '.hamburger-menu', 'button[aria-label*="menu"]'] },
+    mobileNav: { testId: 'mobile-nav', fallbacks: ['.mobile-nav', '.sidebar', '.nav-mobile', '.show-sidebar'] },
+
+    // User info and logout
+    userInfo: { testId: 'user-info', fallbacks: ['.user-info', '.nav-user'] },
+    userMenu: { testId: 'user-menu', fallbacks: ['.user-dropdown', '.nav-user'] },
+    logoutButton: { testId: 'logout-button', fallbacks: ['button:has-text("Logout")', 'a:has-text("Logout")'] },
+
+    // App branding
+    logo: { testId: 'logo', fallbacks: ['.logo', 'img[alt*="logo"]', '.app-title', 'h1'] },
+
+    // Active states
+    activeLink: { testId: 'nav-link', attributes: { 'aria-current': 'page' }, fallbacks: ['.active', '.nav-link.active'] }
+  }
+};
+
+/**
+ * Whether a registry value is one entry (rather than a nested group)
+ * @param {Object} value - Registry value
+ * @returns {boolean} True for `{ testId, fallbacks }`
+ */
+function isEntry(value) {
+  return Boolean(value) && Array.isArray(value.fallbacks);
+}
+
+/**
+ * The data-testid selector an entry prefers
+ * @param {Object} entry - `{ testId, attributes }`
+ * @returns {string} e.g. '[data-testid="activity-card"][data-status="pending"]'
+ */
+function preferredSelector(entry) {
+  const attributes = Object.entries(entry.attributes || {}).map(([name, value]) => `[${name}="${value}"]`).join('');
+  return `[data-testid="${entry.testId}"]${attributes}`;
+}
+
+/**
+ * A fallback that only applies where the data-testid matches nothing
+ * @param {Object} entry - Registry entry
+ * @param {string} fallback - One of the entry's fallbacks
+ * @returns {string} e.g. ':scope:not(:has([data-testid="job-card"])) .jobs > article'
+ */
+function guardedFallback(entry, fallback) {
+  return `:scope:not(:has(${preferredSelector(entry)})) ${fallback}`;
+}
+
+/**
+ * Selector for an entry: the data-testid, or else the fallbacks
+ * @param {Object} entry - Registry entry
+ * @returns {string} Comma-separated selector
+ */
+function selectorFor(entry) {
+  return [preferredSelector(entry), ...entry.fallbacks.map(fallback => guardedFallback(entry, fallback))].join(', ');
+}
+
+/**
+ * Split a comma union into its alternatives, ignoring commas inside
+ * quotes, brackets and parentheses (':text-matches("a", "i")')
+ * @param {string} selector - Selector union
+ * @returns {Array<string>} Alternatives, trimmed
+ */
+function splitSelectorUnion(selector) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (const char of selector) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      depth += 1;
+    } else if (char === ')' || char === ']') {
+      depth -= 1;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current.trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * Registry entry by dotted path
+ * @param {string} group - Page group, e.g. 'jobs'
+ * @param {string} name - Entry name, e.g. 'jobCards' or 'jobDetails.company'
+ * @returns {Object} Entry
+ */
+function entryFor(group, name) {
+  const entry = name.split('.').reduce((value, key) => (value ? value[key] : undefined), LOCATORS[group]);
+  if (!isEntry(entry)) {
+    throw new Error(`Unknown locator "${group}.${name}"`);
+  }
+  return entry;
+}
+
+/**
+ * Resolved selectors for one page group, shaped like the registry
+ * (nested groups stay nested). `onUse(name, entry)` is called on every
+ * read, which is how fallback usage is noticed.
+ * @param {string} group - Page group, e.g. 'jobs'
+ * @param {Object} options - `onUse` callback (optional)
+ * @returns {Object} Selector strings by name
+ */
+function locatorsFor(group, { onUse } = {}) {
+  if (!LOCATORS[group]) {
+    throw new Error(`Unknown locator group "${group}". Known groups: ${Object.keys(LOCATORS).join(', ')}`);
+  }
+
+  const resolve = (definitions, prefix) => {
+    const selectors = {};
+    for (const [name, value] of Object.entries(definitions)) {
+      selectors[name] = isEntry(value) ? selectorFor(value) : resolve(value, `${prefix}${name}.`);
+    }
+    if (!onUse) {
+      return selectors;
+    }
+    return new Proxy(selectors, {
+      get(target, name, receiver) {
+        if (typeof name === 'string' && isEntry(definitions[name])) {
+          onUse(`${prefix}${name}`, definitions[name]);
+        }
+        return Reflect.get(target, name, receiver);
+      }
+    });
+  };
+
+  return resolve(LOCATORS[group], '');
+}
+
+/**
+ * Every data-testid the registry prefers, with where it is used
+ * @returns {Array<Object>} `{ testId, attributes, usedBy }`, sorted by test id
+ */
+function requiredTestIds() {
+  const byTestId = new Map();
+  const visit = (definitions, path) => {
+    for (const [name, value] of Object.entries(definitions)) {
+      if (!isEntry(value)) {
+        visit(value, `${path}${name}.`);
+        continue;
+      }
+      const required = byTestId.get(value.testId) || { testId: value.testId, attributes: new Set(), usedBy: [] };
+      Object.keys(value.attributes || {}).forEach(attribute => required.attributes.add(attribute));
+      required.usedBy.push(`${path}${name}`);
+      byTestId.set(value.testId, required);
+    }
+  };
+  Object.entries(LOCATORS).forEach(([group, definitions]) => visit(definitions, `${group}.`));
+
+  return [...byTestId.values()]
+    .map(required => ({ ...required, attributes: [...required.attributes].sort() }))
+    .sort((a, b) => a.testId.localeCompare(b.testId));
+}
+
+/**
+ * Notices locators that resolved through a fallback and warns once
+ * per locator and process. Opt-in (LOCATOR_FALLBACK_WARNINGS=1), so
+ * spec output stays quiet; `npm run locators:audit` covers every
+ * locator at once.
+ */
+class FallbackMonitor {
+  constructor() {
+    // 'group.name' → { fallback, testId } for locators seen falling back
+    this.fallbacks = new Map();
+    // Locators already checked (or being checked)
+    this.checked = new Set();
+  }
+
+  get enabled() {
+    return process.env.LOCATOR_FALLBACK_WARNINGS === '1';
+  }
+
+  /**
+   * Check, in the background, which alternative of a locator matches
+   * on the page. Each locator is checked once, on its first use.
+   * @param {import('@playwright/test').Page} page - Page to check
+   * @param {string} key - 'group.name'
+   * @param {Object} entry - Registry entry
+   */
+  observe(page, key, entry) {
+    if (!this.enabled || this.checked.has(key)) {
+      return;
+    }
+    this.checked.add(key);
+    this.check(page, key, entry).catch(() => {});
+  }
+
+  async check(page, key, entry) {
+    if (await page.locator(preferredSelector(entry)).count() > 0) {
+      return;
+    }
+    for (const fallback of entry.fallbacks) {
+      if (await page.locator(fallback).count() > 0) {
+        this.fallbacks.set(key, { fallback, testId: entry.testId });
+        console.warn(`⚠️  Locator ${key} matched fallback '${fallback}'; add ${preferredSelector(entry)} to the frontend`);
+        return;
+      }
+    }
+  }
+}
+
+const fallbackMonitor = new FallbackMonitor();
+
+module.exports = {
+  LOCATORS,
+  isEntry,
+  preferredSelector,
+  guardedFallback,
+  selectorFor,
+  splitSelectorUnion,
+  entryFor,
+  locatorsFor,
+  requiredTestIds,
+  fallbackMonitor
+};
+
+if (require.main === module) {
+  const required = requiredTestIds();
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(required, null, 2));
+  } else {
+    console.log(`# data-testids required by the E2E page objects (${required.length})\n`);
+    required.forEach(({ testId, attributes, usedBy }) => {
+      const extra = attributes.length > 0 ? ` with ${attributes.join(', ')}` : '';
+      console.log(`- [ ] \`data-testid="${testId}"\`${extra} — ${usedBy.join(', ')}`);
+    });
+  }
+}
@@ -1,5 +1,31 @@
 // @ts-check
+const fs = require('fs');
+const path = require('path');
 const { defineConfig, devices } = require('@playwright/test');
+const { environment, skipTagsPattern } = require('./support/environment');
+const { harMode, HAR_ENVIRONMENT } = require('./support/har');
+
+// The real app lives next to this repo. Without it (or with USE_FAKE_API=1)
+// the in-repo fake API in ./fake-api stands in for the backend. Servers are
+// only started for profiles that ask for it (TEST_ENV=local by default).
+const APP_DIR = path.resolve(__dirname, '../JobTrack4UApp');
+const hasAppRepo = fs.existsSync(APP_DIR);
+const useFakeApi = process.env.USE_FAKE_API === '1' || !hasAppRepo;
+const frontendPort = Number(new URL(environment.baseURL).port || 80);
+const apiPort = Number(new URL(environment.apiURL).port || 80);
+
+// HAR record/replay (support/har.js) needs the same seed, run ID and
+// clock on every run, so the requests a replay sends are the recorded ones
+const har = harMode();
+if (har) {
+  Object.assign(process.env, HAR_ENVIRONMENT);
+}
+
+// Pin one test data seed for the whole run. Workers inherit the runner's
+// environment, so every worker's factories derive from the same value.
+process.env.TEST_SEED = process.env.TEST_SEED || String(Date.now() % 2147483647);
+// Same for the run ID that tags created records (see support/test-run.js)
+process.env.TEST_RUN_ID = process.env.TEST_RUN_ID || Date.now().toString(36);
 
 /**
  * =====================================================
@@ -31,6 +57,9 @@ module.exports = defineConfig({
   // Opt out of parallel tests on CI
   workers: process.env.CI ? 1 : undefined,
 
+  // Skip tests tagged as unsafe for this environment (e.g. @destructive on staging)
+  grepInvert: skipTagsPattern(environment.skipTags),
+
   // Reporter to use. See https://playwright.dev/docs/test-reporters
   reporter: [
     ['html', { outputFolder: 'playwright-report' }],
@@ -41,7 +70,7 @@ module.exports = defineConfig({
   // Shared settings for all the projects below
   use: {
     // Base URL to use in actions like `await page.goto('/')`
-    baseURL: 'http://localhost:3000',
+    baseURL: environment.baseURL,
 
     // Global test timeout
     actionTimeout: 30000,
@@ -62,56 +91,76 @@ module.exports = defineConfig({
 
   // Configure projects for major browsers
   projects: [
+    // Logs in once per user role and saves storageState (see support/auth-state.js)
+    {
+      name: 'setup',
+      testMatch: /.*\.setup\.js/,
+    },
+
     {
       name: 'chromium',
       use: { ...devices['Desktop Chrome'] },
+      dependencies: ['setup'],
     },
 
     {
       name: 'firefox',
       use: { ...devices['Desktop Firefox'] },
+      dependencies: ['setup'],
     },
 
     {
       name: 'webkit',
       use: { ...devices['Desktop Safari'] },
+      dependencies: ['setup'],
     },
 
     // Test against mobile viewports
     {
       name: 'Mobile Chrome',
       use: { ...devices['Pixel 5'] },
+      dependencies: ['setup'],
     },
 
     {
       name: 'Mobile Safari',
       use: { ...devices['iPhone 12'] },
+      dependencies: ['setup'],
     },
 
     // Test against branded browsers
     {
       name: 'Microsoft Edge',
       use: { ...devices['Desktop Edge'], channel: 'msedge' },
+      dependencies: ['setup'],
     },
   ],
 
   // Run your local dev server before starting the tests
-  webServer: [
-    {
+  webServer: environment.startWebServer ? [
+    // The frontend can only be started when the app repo is checked out
+    ...(hasAppRepo ? [{
       command: 'npm start',
-      cwd: '../JobTrack4UApp',
-      port: 3000,
+      cwd: APP_DIR,
+      port: frontendPort,
       reuseExistingServer: !process.env.CI,
       timeout: 120000,
-    },
-    {
+    }] : []),
+    // Replays serve the API from hars/, so no backend is started
+    ...(har === 'replay' ? [] : [useFakeApi ? {
+      command: 'node fake-api/server.js',
+      port: apiPort,
+      env: { FAKE_API_PORT: String(apiPort) },
+      reuseExistingServer: !process.env.CI,
+      timeout: 30000,
+    } : {
       command: 'npm run server',
-      cwd: '../JobTrack4UApp',
-      port: 5000,
+      cwd: APP_DIR,
+      port: apiPort,
       reuseExistingServer: !process.env.CI,
       timeout: 60000,
-    }
-  ],
+    }])
+  ] : undefined,
 
   // Global setup and teardown
   globalSetup: require.resolve('./global-setup.js'),
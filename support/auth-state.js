@@ -0,0 +1,67 @@
+/**
+ * =====================================================
+ * STORED AUTHENTICATION STATE
+ * =====================================================
+ *
+ * User roles the suite logs in as, and where each role's
+ * storageState is saved by tests/auth.setup.js. Specs reuse these
+ * files instead of typing credentials before every test.
+ *
+ * Every role with credentials in the vault (support/credentials.js)
+ * can get a stored session. Required roles always do; optional roles
+ * (demo, empty-account) only when global setup could log them in, so
+ * one missing optional account skips its own specs instead of the
+ * setup project every browser project depends on.
+ */
+
+const path = require('path');
+const { ROLES, REQUIRED_ROLES, hasCredentials, getCredentials } = require('./credentials');
+
+const AUTH_STATE_DIR = path.join(__dirname, '..', 'playwright', '.auth');
+
+const AUTH_ROLES = Object.fromEntries(
+  ROLES.filter(hasCredentials).map(role => [role, getCredentials(role)])
+);
+
+// Set by global-setup.js to the roles that logged in; workers inherit it
+const VERIFIED_ROLES_ENV = 'VERIFIED_AUTH_ROLES';
+
+/**
+ * Record the roles global setup logged in as
+ * @param {string[]} roles - Verified role names
+ */
+function setVerifiedRoles(roles) {
+  process.env[VERIFIED_ROLES_ENV] = roles.join(',');
+}
+
+/**
+ * Check if a role with credentials gets a stored session this run.
+ * Without a verified list (e.g. HAR replay skips the account checks)
+ * every one does.
+ * @param {string} role - Role name
+ * @returns {boolean} True if the setup project logs in as the role
+ */
+function hasSession(role) {
+  const verified = process.env[VERIFIED_ROLES_ENV];
+  return verified === undefined || REQUIRED_ROLES.includes(role) || verified.split(',').includes(role);
+}
+
+/**
+ * Get the storageState file for a role
+ * @param {string} role - Role name (key of AUTH_ROLES)
+ * @returns {string} Absolute path to the role's storageState JSON
+ */
+function authStatePath(role) {
+  if (!AUTH_ROLES[role]) {
+    throw new Error(`No stored session for role "${role}". Roles with credentials: ${Object.keys(AUTH_ROLES).join(', ')}`);
+  }
+  return path.join(AUTH_STATE_DIR, `${role}.json`);
+}
+
+module.exports = {
+  AUTH_STATE_DIR,
+  AUTH_ROLES,
+  setVerifiedRoles,
+  hasSession,
+  authStatePath
+};
@@ -0,0 +1,187 @@
+/**
+ * =====================================================
+ * CREDENTIALS VAULT
+ * =====================================================
+ *
+ * The only place specs, page objects and setup get logins from.
+ * Accounts are looked up by role:
+ * - primary:       default account for the POM specs
+ * - secondary:     account used by the legacy specs
+ * - empty-account: account with no jobs or activities
+ * - demo:          read-only demo account (writes are rejected)
+ *
+ * Each role is resolved from, in order:
+ * 1. E2E_<ROLE>_EMAIL / E2E_<ROLE>_PASSWORD (e.g. E2E_EMPTY_ACCOUNT_EMAIL)
+ * 2. support/credentials.local.json (git-ignored; see credentials.example.json),
+ *    or the file named by E2E_CREDENTIALS_FILE
+ * 3. the fake API seed accounts, only on profiles whose `credentials`
+ *    source is 'seed' (local, docker)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { environment } = require('./environment');
+const { SEED_USERS } = require('../fake-api/seed');
+
+const ROLES = ['primary', 'secondary', 'empty-account', 'demo'];
+
+// Roles the setup project logs in as; the suite cannot start without them
+const REQUIRED_ROLES = ['primary', 'secondary'];
+
+const LOCAL_FILE = process.env.E2E_CREDENTIALS_FILE ||
+  path.join(__dirname, 'credentials.local.json');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class CredentialsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CredentialsError';
+  }
+}
+
+/**
+ * Env var prefix for a role, e.g. 'empty-account' -> 'E2E_EMPTY_ACCOUNT'
+ * @param {string} role - Role name
+ * @returns {string} Prefix
+ */
+function envPrefix(role) {
+  return `E2E_${role.toUpperCase().replace(/-/g, '_')}`;
+}
+
+/**
+ * Read the local credentials file (roles at the top level, or under
+ * the environment name to keep several profiles in one file)
+ * @param {string} file - JSON file path
+ * @returns {Object} Role -> `{ email, password }`
+ */
+function readLocalFile(file) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new CredentialsError(`${file} is not valid JSON: ${error.message}`);
+  }
+  return data[environment.name] || data;
+}
+
+/**
+ * Resolve every role from env vars, the local file and seed accounts
+ * @returns {Object} Role -> `{ email, password, source }` (roles with no source are omitted)
+ */
+function loadCredentials() {
+  const fromFile = readLocalFile(LOCAL_FILE);
+  const accounts = {};
+
+  for (const role of ROLES) {
+    const prefix = envPrefix(role);
+    const seed = SEED_USERS.find(user => user.role === role);
+
+    if (process.env[`${prefix}_EMAIL`] || process.env[`${prefix}_PASSWORD`]) {
+      accounts[role] = {
+        email: process.env[`${prefix}_EMAIL`],
+        password: process.env[`${prefix}_PASSWORD`],
+        source: `${prefix}_EMAIL/_PASSWORD`
+      };
+    } else if (fromFile[role]) {
+      accounts[role] = { ...fromFile[role], source: path.basename(LOCAL_FILE) };
+    } else if (environment.credentials === 'seed' && seed) {
+      accounts[role] = { email: seed.email, password: seed.password, source: 'fake-api/seed.js' };
+    }
+  }
+
+  return accounts;
+}
+
+const accounts = loadCredentials();
+
+/**
+ * Problems with the configured accounts
+ * @param {string[]} requiredRoles - Roles that must be present
+ * @returns {string[]} Human-readable problems (empty when valid)
+ */
+function credentialProblems(requiredRoles = REQUIRED_ROLES) {
+  const problems = [];
+
+  for (const role of ROLES) {
+    const account = accounts[role];
+    if (!account) {
+      if (requiredRoles.includes(role)) {
+        problems.push(`${role}: not configured (set ${envPrefix(role)}_EMAIL/_PASSWORD or add it to ${path.basename(LOCAL_FILE)})`);
+      }
+      continue;
+    }
+    if (!account.email || !EMAIL_PATTERN.test(account.email)) {
+      problems.push(`${role}: missing or invalid email (from ${account.source})`);
+    }
+    if (!account.password) {
+      problems.push(`${role}: missing password (from ${account.source})`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Throw if any required role is missing or any configured role is malformed
+ * @param {string[]} requiredRoles - Roles that must be present
+ */
+function validateCredentials(requiredRoles = REQUIRED_ROLES) {
+  const problems = credentialProblems(requiredRoles);
+  if (problems.length > 0) {
+    throw new CredentialsError(
+      `Invalid test credentials for TEST_ENV "${environment.name}":\n  - ${problems.join('\n  - ')}`
+    );
+  }
+}
+
+/**
+ * Whether a role has an account configured
+ * @param {string} role - Role name
+ * @returns {boolean} True if configured
+ */
+function hasCredentials(role) {
+  return Boolean(accounts[role]);
+}
+
+/**
+ * Login for a role
+ * @param {string} role - Role name (primary, secondary, empty-account, demo)
+ * @returns {{ email: string, password: string }} Credentials
+ */
+function getCredentials(role) {
+  if (!ROLES.includes(role)) {
+    throw new CredentialsError(`Unknown credentials role "${role}". Known roles: ${ROLES.join(', ')}`);
+  }
+  if (!accounts[role]) {
+    throw new CredentialsError(`No credentials configured for "${role}" on TEST_ENV "${environment.name}"`);
+  }
+
+  const { email, password } = accounts[role];
+  return { email, password };
+}
+
+/**
+ * A role's email with a password that is guaranteed to be wrong
+ * @param {string} role - Role name
+ * @returns {{ email: string, password: string }} Credentials that must be rejected
+ */
+function withWrongPassword(role) {
+  const { email, password } = getCredentials(role);
+  return { email, password: `${password}-wrong` };
+}
+
+module.exports = {
+  ROLES,
+  REQUIRED_ROLES,
+  CredentialsError,
+  getCredentials,
+  hasCredentials,
+  withWrongPassword,
+  credentialProblems,
+  validateCredentials
+};
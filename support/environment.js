@@ -0,0 +1,93 @@
+/**
+ * =====================================================
+ * TEST ENVIRONMENT PROFILES
+ * =====================================================
+ *
+ * Named profiles selected with TEST_ENV (default: local). Each one
+ * defines where the frontend and API live, where login credentials
+ * come from, whether Playwright starts the servers itself, and which
+ * test tags to skip there. playwright.config.js, global-setup.js, the
+ * API client and the page objects all read from here.
+ *
+ *   TEST_ENV=docker npx playwright test
+ *
+ * BASE_URL / API_URL still override a profile's URLs for one-off runs.
+ */
+
+const PROFILES = {
+  // Dev servers on this machine, started by Playwright (or the fake API)
+  local: {
+    baseURL: 'http://localhost:3000',
+    apiURL: 'http://localhost:5000',
+    credentials: 'seed',
+    startWebServer: true,
+    skipTags: []
+  },
+
+  // docker compose stack; the suite runs in a container next to it
+  docker: {
+    baseURL: 'http://frontend:3000',
+    apiURL: 'http://backend:5000',
+    credentials: 'seed',
+    startWebServer: false,
+    skipTags: []
+  },
+
+  // Shared deployment: URLs and accounts must come from the environment,
+  // and tests that wipe or mass-create data stay off it
+  staging: {
+    baseURL: process.env.STAGING_BASE_URL,
+    apiURL: process.env.STAGING_API_URL,
+    credentials: 'env',
+    startWebServer: false,
+    skipTags: ['@destructive', '@load']
+  }
+};
+
+/**
+ * Resolve a profile, applying BASE_URL / API_URL overrides
+ * @param {string} name - Profile name (defaults to TEST_ENV or 'local')
+ * @returns {Object} `{ name, baseURL, apiURL, credentials, startWebServer, skipTags }`
+ */
+function loadEnvironment(name = process.env.TEST_ENV || 'local') {
+  const profile = PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown TEST_ENV "${name}". Known environments: ${Object.keys(PROFILES).join(', ')}`);
+  }
+
+  const environment = {
+    name,
+    ...profile,
+    baseURL: process.env.BASE_URL || profile.baseURL,
+    apiURL: process.env.API_URL || profile.apiURL
+  };
+
+  const missing = ['baseURL', 'apiURL'].filter(key => !environment[key]);
+  if (missing.length > 0) {
+    throw new Error(`TEST_ENV "${name}" has no ${missing.join(' or ')}; set BASE_URL / API_URL (or STAGING_BASE_URL / STAGING_API_URL)`);
+  }
+
+  return environment;
+}
+
+/**
+ * Regex for Playwright's grepInvert from a profile's skipTags
+ * @param {string[]} skipTags - Tags like '@destructive'
+ * @returns {RegExp|undefined} Pattern, or undefined when nothing is skipped
+ */
+function skipTagsPattern(skipTags) {
+  if (!skipTags || skipTags.length === 0) {
+    return undefined;
+  }
+  const escaped = skipTags.map(tag => tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(${escaped.join('|')})\\b`);
+}
+
+const environment = loadEnvironment();
+
+module.exports = {
+  PROFILES,
+  environment,
+  loadEnvironment,
+  skipTagsPattern
+};
@@ -0,0 +1,244 @@
+/**
+ * =====================================================
+ * JOBS FILTER MATRIX
+ * =====================================================
+ *
+ * Data-driven runner for combinations of the all-jobs filters. It
+ * generates pairwise combinations of filter values (every pair of
+ * values of any two filters appears in at least one combination),
+ * applies each through JobsPage, and compares the rendered cards with
+ * the result computed locally from the seeded jobs:
+ *
+ *   const matrix = new FilterMatrix(jobsPage, seededJobs, {
+ *     status: ['all', 'pending', 'interview'],
+ *     priority: ['all', 'high']
+ *   });
+ *   const { failures, minimal } = await matrix.run();
+ *
+ * When a combination fails, the runner resets one filter at a time to
+ * its default and keeps every reset that still fails, so the report
+ * names the smallest combination that reproduces the problem.
+ *
+ * Expected results mirror the backend's rules: exact matches on the
+ * select filters ('all' matches everything), a case-insensitive
+ * substring search over position and company, and the sort orders in
+ * job-sorting.js. The list must hold every job the filters can match.
+ */
+
+const JobsPage = require('../pages/JobsPage');
+const { sortJobs, sortKey } = require('./job-sorting');
+
+// Filter control → job field it matches
+const FILTER_FIELDS = {
+  status: 'status',
+  type: 'jobType',
+  category: 'category',
+  priority: 'priority'
+};
+
+/**
+ * Generate combinations that cover every pair of values across any two
+ * parameters. Greedy and deterministic: each combination starts from
+ * an uncovered pair and fills the other parameters with whichever
+ * value covers the most pairs not yet seen.
+ * @param {Object} parameters - Parameter name → list of values
+ * @returns {Object[]} Combinations, each parameter name → value
+ */
+function pairwiseCombinations(parameters) {
+  const names = Object.keys(parameters);
+  if (names.length < 2) {
+    return names.length === 0 ? [{}] : parameters[names[0]].map(value => ({ [names[0]]: value }));
+  }
+
+  const pairKey = (i, a, j, b) => (i < j ? `${i}:${a}|${j}:${b}` : `${j}:${b}|${i}:${a}`);
+
+  const uncovered = new Set();
+  names.forEach((_, i) => names.forEach((__, j) => {
+    if (i < j) {
+      parameters[names[i]].forEach((_a, a) => parameters[names[j]].forEach((_b, b) => uncovered.add(pairKey(i, a, j, b))));
+    }
+  }));
+
+  const combinations = [];
+  const newPairs = chosen => {
+    const pairs = [];
+    const entries = Object.entries(chosen);
+    entries.forEach(([i, a], x) => entries.slice(x + 1).forEach(([j, b]) => {
+      const key = pairKey(Number(i), a, Number(j), b);
+      if (uncovered.has(key)) pairs.push(key);
+    }));
+    return pairs;
+  };
+
+  while (uncovered.size > 0) {
+    const [first] = uncovered;
+    const [[i, a], [j, b]] = first.split('|').map(part => part.split(':').map(Number));
+    const chosen = { [i]: a, [j]: b };
+
+    names.forEach((name, k) => {
+      if (k in chosen) return;
+      let best = 0;
+      let bestCount = -1;
+      parameters[name].forEach((_, v) => {
+        const count = newPairs({ ...chosen, [k]: v }).length;
+        if (count > bestCount) {
+          best = v;
+          bestCount = count;
+        }
+      });
+      chosen[k] = best;
+    });
+
+    newPairs(chosen).forEach(key => uncovered.delete(key));
+    combinations.push(Object.fromEntries(names.map((name, k) => [name, parameters[name][chosen[k]]])));
+  }
+
+  return combinations;
+}
+
+/**
+ * Jobs a combination of filters should list, in list order
+ * @param {Object[]} jobs - Every job the account has (API records)
+ * @param {Object} filters - `{ search, status, type, category, priority, sort }`
+ * @returns {Object[]} Matching jobs, sorted
+ */
+function filterJobs(jobs, filters) {
+  let matching = jobs;
+
+  for (const [control, field] of Object.entries(FILTER_FIELDS)) {
+    const value = filters[control];
+    if (value && value !== 'all') {
+      matching = matching.filter(job => job[field] === value);
+    }
+  }
+
+  if (filters.search) {
+    const needle = filters.search.toLowerCase();
+    matching = matching.filter(job =>
+      job.position.toLowerCase().includes(needle) || job.company.toLowerCase().includes(needle));
+  }
+
+  return sortJobs(matching, filters.sort || 'latest');
+}
+
+/**
+ * One-line description of a combination, skipping unfiltered controls
+ * @param {Object} filters - Combination
+ * @param {Object} defaults - Unfiltered value per control
+ * @returns {string} e.g. 'status="interview", priority="high"'
+ */
+function describeCombination(filters, defaults = {}) {
+  const set = Object.entries(filters).filter(([name, value]) => value !== defaults[name]);
+  return set.length === 0 ? '(no filters)' : set.map(([name, value]) => `${name}=${JSON.stringify(value)}`).join(', ');
+}
+
+/**
+ * Compare listed jobs with the expected ones. Jobs with equal sort keys
+ * may be listed in either order.
+ * @param {string[]} listed - Companies of the rendered cards, in order
+ * @param {Object[]} expected - Expected jobs, in order
+ * @param {string} sort - Sort option
+ * @param {Map<string, Object>} byCompany - Every seeded job by company
+ * @returns {Object|null} `{ missing, unexpected, outOfOrder }`, or null on a match
+ */
+function compareListing(listed, expected, sort, byCompany) {
+  const expectedCompanies = new Set(expected.map(job => job.company));
+  const missing = [...expectedCompanies].filter(company => !listed.includes(company));
+  const unexpected = listed.filter(company => !expectedCompanies.has(company));
+
+  const keys = jobs => JSON.stringify(jobs.map(job => sortKey(job, sort)));
+  const outOfOrder = missing.length === 0 && unexpected.length === 0 &&
+    keys(listed.map(company => byCompany.get(company))) !== keys(expected);
+
+  return missing.length || unexpected.length || outOfOrder ? { missing, unexpected, outOfOrder } : null;
+}
+
+class FilterMatrix {
+  /**
+   * @param {import('../pages/JobsPage')} jobsPage - Jobs page, already on /all-jobs
+   * @param {Object[]} jobs - Every job the account has (API records)
+   * @param {Object} parameters - Filter control → values to combine; controls left
+   *   out stay at their default
+   */
+  constructor(jobsPage, jobs, parameters) {
+    this.jobsPage = jobsPage;
+    this.jobs = jobs;
+    this.byCompany = new Map(jobs.map(job => [job.company, job]));
+    this.defaults = JobsPage.DEFAULT_FILTERS;
+    this.combinations = pairwiseCombinations(parameters)
+      .map(combination => ({ ...this.defaults, ...combination }));
+  }
+
+  /**
+   * Apply one combination from a cleared list and compare the result
+   * @param {Object} filters - Combination
+   * @returns {Promise<Object|null>} Mismatch (see compareListing), or null
+   */
+  async check(filters) {
+    await this.jobsPage.clearFilters();
+    await this.jobsPage.applyFilters(filters);
+
+    const listed = [];
+    for await (const card of this.jobsPage.allCards()) {
+      listed.push(await card.getCompany());
+    }
+    return compareListing(listed, filterJobs(this.jobs, filters), filters.sort, this.byCompany);
+  }
+
+  /**
+   * Reset filters of a failing combination one at a time, keeping each
+   * reset that still fails
+   * @param {Object} filters - Failing combination
+   * @returns {Promise<Object>} Smallest combination found that still fails
+   */
+  async minimize(filters) {
+    let current = filters;
+    for (const [name, value] of Object.entries(this.defaults)) {
+      if (current[name] === value) continue;
+      const candidate = { ...current, [name]: value };
+      if (await this.check(candidate)) {
+        current = candidate;
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Check every combination
+   * @param {Object} options - `{ onResult(filters, mismatch) }`, called after each combination
+   * @returns {Promise<Object>} `{ combinations, failures, minimal }`; `minimal` is
+   *   null when nothing failed
+   */
+  async run({ onResult } = {}) {
+    const failures = [];
+    for (const filters of this.combinations) {
+      const mismatch = await this.check(filters);
+      if (onResult) {
+        await onResult(filters, mismatch);
+      }
+      if (mismatch) {
+        failures.push({ filters, mismatch });
+      }
+    }
+
+    const minimal = failures.length > 0 ? await this.minimize(failures[0].filters) : null;
+    return { combinations: this.combinations, failures, minimal };
+  }
+
+  /**
+   * Describe a combination
+   * @param {Object} filters - Combination
+   * @returns {string} e.g. 'status="interview", priority="high"'
+   */
+  describe(filters) {
+    return describeCombination(filters, this.defaults);
+  }
+}
+
+module.exports = {
+  FilterMatrix,
+  pairwiseCombinations,
+  filterJobs,
+  compareListing,
+  describeCombination
+};
@@ -0,0 +1,129 @@
+/**
+ * =====================================================
+ * AUTHENTICATED TEST FIXTURES
+ * =====================================================
+ *
+ * Custom `test` that starts every test already logged in, using the
+ * storageState saved by the `setup` project (tests/auth.setup.js).
+ *
+ * - `authRole`: which stored session to load ('primary' by default).
+ *   Specs that exercise login itself opt out with
+ *   `test.use({ authRole: null })`.
+ * - `authedPage`: the page, opened on the dashboard with the session.
+ * - `api`: JobTrackApiClient sending the same session, for seeding
+ *   and cleaning up data over HTTP. Jobs it creates are stamped with
+ *   the test's `namespace`, like those created through `addJobPage`.
+ * - `trackedResources` (automatic): ResourceTracker that deletes the
+ *   jobs, activities and users each test created, through the UI or
+ *   `api`, once the test ends. Set KEEP_TEST_DATA=1 to keep them.
+ * - `freshUser`: a newly registered account (`{ name, email, password,
+ *   _id, ... }`), for specs that change the user itself. `api` is logged
+ *   in as it; the browser is not. Deleted after the test like any
+ *   tracked user, even if the test changed its email.
+ * - `harSession` (automatic): with HAR_MODE=record|replay, records or
+ *   replays the test's /api/v1 traffic, from the page and from `api`
+ *   (see support/har.js). null otherwise.
+ *
+ * Builds on the page object fixtures from pages/fixtures.js, so
+ * `authPage`, `jobsPage`, `navigation`, etc. are available too.
+ */
+
+const { test: pageObjectTest, expect } = require('../pages');
+const { JobTrackApiClient } = require('../api');
+const { authStatePath, hasSession } = require('./auth-state');
+const { ResourceTracker } = require('./resource-tracker');
+const { keepTestData } = require('./test-run');
+const { HarSession, harTestKey, hash32, describeReport } = require('./har');
+const factories = require('../factories');
+
+const test = pageObjectTest.extend({
+  authRole: ['primary', { option: true }],
+
+  storageState: async ({ authRole, storageState }, use, testInfo) => {
+    testInfo.skip(Boolean(authRole) && !hasSession(authRole), `no stored session for "${authRole}" this run`);
+    await use(authRole ? authStatePath(authRole) : storageState);
+  },
+
+  authedPage: async ({ page, authRole }, use) => {
+    if (!authRole) {
+      throw new Error('authedPage requires an authRole; this spec opted out with test.use({ authRole: null })');
+    }
+
+    await page.goto('/');
+    await expect(page, `stored session for "${authRole}" was rejected; re-run the setup project`).toHaveURL('/');
+    await use(page);
+  },
+
+  harSession: [async ({ page }, use, testInfo) => {
+    const session = HarSession.forTest(testInfo);
+    if (!session) {
+      await use(null);
+      return;
+    }
+
+    // The same records in every run, whichever worker runs the test
+    const seed = hash32(harTestKey(testInfo));
+    [factories.jobs, factories.activities, factories.users].forEach(factory => factory.reseed(seed));
+    await session.attach(page);
+
+    await use(session);
+
+    const report = session.finish();
+    const summary = report && describeReport(report);
+    if (summary) {
+      testInfo.annotations.push({ type: 'har-replay', description: summary });
+      await testInfo.attach('har-replay-report', { body: JSON.stringify(report, null, 2), contentType: 'application/json' });
+    }
+  }, { auto: true }],
+
+  api: async ({ playwright, authRole, namespace, harSession }, use) => {
+    const client = await JobTrackApiClient.create(playwright.request, {
+      storageState: authRole ? authStatePath(authRole) : undefined,
+      namespace
+    });
+    if (harSession) {
+      client.request = harSession.wrapRequest(client.request);
+    }
+    await use(client);
+    await client.dispose();
+  },
+
+  freshUser: async ({ api, trackedResources, namespace }, use) => {
+    const userData = namespace.user(factories.users.build());
+    const { user } = await api.register(userData);
+    await use({ ...userData, _id: user._id });
+  },
+
+  trackedResources: [async ({ page, api, playwright, harSession }, use, testInfo) => {
+    const tracker = new ResourceTracker({
+      request: playwright.request,
+      fallbackClient: api,
+      apiURL: api.apiURL
+    });
+    api.tracker = tracker;
+    tracker.watch(page);
+
+    await use(tracker);
+
+    // Cleanup is not part of the recording, and replays created nothing
+    if (harSession) {
+      harSession.finish();
+    }
+    if (keepTestData() || (harSession && harSession.replaying)) {
+      return;
+    }
+    const { failed } = await tracker.cleanup();
+    if (failed.length > 0) {
+      // Leftovers are swept by global teardown; don't fail the test over them
+      testInfo.annotations.push({
+        type: 'cleanup',
+        description: failed.map(({ type, id, error }) => `${type} ${id}: ${error}`).join('; ')
+      });
+    }
+  }, { auto: true }]
+});
+
+module.exports = {
+  test,
+  expect
+};
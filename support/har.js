@@ -0,0 +1,460 @@
+/**
+ * =====================================================
+ * HAR RECORD / REPLAY
+ * =====================================================
+ *
+ * Runs the suite without a backend. Pick the mode with a flag; the
+ * rest of the arguments go to `playwright test`:
+ *
+ *   node support/har.js --record tests/jobs.pom.spec.js  # real backend, writes hars/
+ *   node support/har.js --replay tests/jobs.pom.spec.js  # /api/v1 served from hars/
+ *
+ * (`npm run test:record` / `npm run test:replay` wrap these.) The flag
+ * sets HAR_MODE for the run, because `playwright test` itself rejects
+ * unknown flags; setting HAR_MODE=record|replay by hand does the same.
+ *
+ * Each test gets its own pair of files under hars/<spec>/:
+ * - <test>.har      browser traffic, recorded and served by routeFromHAR
+ * - <test>.api.har  `api` fixture traffic (APIRequestContext is not
+ *                   routable, so it is recorded and served here)
+ *
+ * Replays must send exactly the recorded requests, so HAR modes pin the
+ * run ID, the data seed and the factory clock, reseed the shared
+ * factories per test, and build namespaces from the test's title
+ * instead of its worker. Repeated identical calls (GET /jobs before and
+ * after a create) are told apart by an x-har-sequence header, which
+ * routeFromHAR prefers when several entries match.
+ *
+ * After every replayed test a report lists requests with no recorded
+ * match and recorded entries the test no longer makes (stale), and
+ * flags recordings older than HAR_MAX_AGE_DAYS. Global teardown merges
+ * them into test-results/har-replay-report.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MODES = ['record', 'replay'];
+
+const HAR_DIR = process.env.HAR_DIR || path.join(__dirname, '..', 'hars');
+const REPORT_DIR = path.join(__dirname, '..', 'test-results', 'har-replay');
+const REPORT_FILE = path.join(__dirname, '..', 'test-results', 'har-replay-report.json');
+
+// Only API traffic is recorded; the frontend itself is always served live
+const API_URL_PATTERN = /\/api\/v1\//;
+const SEQUENCE_HEADER = 'x-har-sequence';
+
+// Pinned in HAR modes so recorded request bodies are reproducible
+const HAR_ENVIRONMENT = {
+  TEST_RUN_ID: 'har',
+  TEST_SEED: '20250101',
+  TEST_CLOCK: '2025-01-01T12:00:00.000Z'
+};
+
+const MAX_AGE_DAYS = Number(process.env.HAR_MAX_AGE_DAYS || 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Current HAR mode
+ * @returns {string|null} 'record', 'replay' or null
+ */
+function harMode() {
+  const mode = process.env.HAR_MODE;
+  if (!mode) {
+    return null;
+  }
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown HAR_MODE "${mode}". Known modes: ${MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Stable key for a test across runs, workers and browser projects
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @returns {string} e.g. 'jobs.pom.spec.js › Job Management - POM › should delete a job'
+ */
+function harTestKey(testInfo) {
+  return testInfo.titlePath.join(' › ');
+}
+
+/**
+ * 32-bit hash of a string (for per-test seeds and file names)
+ * @param {string} value - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hash32(value) {
+  return crypto.createHash('sha1').update(value).digest().readUInt32BE(0);
+}
+
+/**
+ * HAR and report locations for a test
+ * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+ * @returns {Object} `{ browser, api, report }` file paths
+ */
+function harPaths(testInfo) {
+  const spec = path.basename(testInfo.file).replace(/\.js$/, '');
+  const title = testInfo.titlePath.slice(1).join(' ');
+  const slug = `${title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60)}-${hash32(harTestKey(testInfo)).toString(16)}`;
+
+  return {
+    browser: path.join(HAR_DIR, spec, `${slug}.har`),
+    api: path.join(HAR_DIR, spec, `${slug}.api.har`),
+    report: path.join(REPORT_DIR, `${spec}-${slug}-${testInfo.project.name.replace(/\W+/g, '-')}.json`)
+  };
+}
+
+/**
+ * Key that identical requests share
+ * @param {string} method - HTTP method
+ * @param {string} url - Full URL
+ * @param {string} postData - Request body
+ * @returns {string} Key
+ */
+function requestKey(method, url, postData) {
+  return `${method} ${url} ${postData || ''}`;
+}
+
+/**
+ * Read a HAR file's entries with their request key and sequence
+ * @param {string} file - HAR path
+ * @returns {Object} `{ entries, recordedAt }`
+ */
+function readHar(file) {
+  const har = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const entries = har.log.entries.map(entry => {
+    const sequence = (entry.request.headers || []).find(header => header.name.toLowerCase() === SEQUENCE_HEADER);
+    const postData = entry.request.postData ? entry.request.postData.text : '';
+    return {
+      entry,
+      method: entry.request.method,
+      url: entry.request.url,
+      key: requestKey(entry.request.method, entry.request.url, postData),
+      sequence: sequence ? Number(sequence.value) : 1,
+      used: false
+    };
+  });
+  const times = entries.map(({ entry }) => Date.parse(entry.startedDateTime)).filter(Number.isFinite);
+  return { entries, recordedAt: times.length ? new Date(Math.min(...times)) : fs.statSync(file).mtime };
+}
+
+class HarSession {
+  /**
+   * @param {Object} options - Session options
+   * @param {string} options.mode - 'record' or 'replay'
+   * @param {string} options.name - Test key (see harTestKey)
+   * @param {Object} options.paths - From harPaths
+   */
+  constructor({ mode, name, paths }) {
+    this.mode = mode;
+    this.name = name;
+    this.paths = paths;
+    // Calls per request key, for the sequence header
+    this.counters = new Map();
+    this.unmatched = [];
+    this.apiEntries = [];
+    this.recordings = {};
+    this.finished = false;
+  }
+
+  /**
+   * Session for the running test, or null outside HAR modes
+   * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+   * @returns {HarSession|null} Session
+   */
+  static forTest(testInfo) {
+    const mode = harMode();
+    return mode ? new HarSession({ mode, name: harTestKey(testInfo), paths: harPaths(testInfo) }) : null;
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Next sequence number for a request key (1 for the first call)
+   * @param {string} key - Request key
+   * @returns {number} Sequence
+   */
+  nextSequence(key) {
+    const sequence = (this.counters.get(key) || 0) + 1;
+    this.counters.set(key, sequence);
+    return sequence;
+  }
+
+  /**
+   * Load a recording for replay
+   * @param {string} source - 'browser' or 'api'
+   * @returns {Object} `{ entries, recordedAt }`
+   */
+  recording(source) {
+    if (!this.recordings[source]) {
+      const file = this.paths[source];
+      if (!fs.existsSync(file)) {
+        throw new Error(`No HAR recording for "${this.name}" (${path.relative(process.cwd(), file)}). Run npm run test:record first.`);
+      }
+      this.recordings[source] = readHar(file);
+    }
+    return this.recordings[source];
+  }
+
+  /**
+   * Mark the recorded entry a replayed request maps to
+   * @param {string} source - 'browser' or 'api'
+   * @param {string} method - HTTP method
+   * @param {string} url - Full URL
+   * @param {string} key - Request key
+   * @param {number} sequence - Call number for the key
+   * @returns {Object|null} Entry, or null (reported as unmatched)
+   */
+  claim(source, method, url, key, sequence) {
+    const { entries } = this.recording(source);
+    // routeFromHAR compares bodies for POST only
+    const candidates = entries.filter(candidate => (method === 'POST' ? candidate.key === key : candidate.method === method && candidate.url === url));
+    const match = candidates.find(candidate => candidate.sequence === sequence);
+
+    if (!match) {
+      this.unmatched.push({
+        source,
+        method,
+        url,
+        sequence,
+        reason: candidates.length === 0 ? 'not recorded' : `recorded ${candidates.length} time(s), called again`
+      });
+      return null;
+    }
+    match.used = true;
+    return match;
+  }
+
+  /**
+   * Record or replay the page's /api/v1 traffic
+   * @param {import('@playwright/test').Page} page - Page to route
+   */
+  async attach(page) {
+    if (this.replaying) {
+      this.recording('browser');
+      await page.routeFromHAR(this.paths.browser, { url: API_URL_PATTERN, notFound: 'abort' });
+    } else {
+      fs.mkdirSync(path.dirname(this.paths.browser), { recursive: true });
+      await page.routeFromHAR(this.paths.browser, {
+        url: API_URL_PATTERN,
+        update: true,
+        updateContent: 'embed',
+        updateMode: 'minimal'
+      });
+    }
+
+    // Registered last, so it runs first and hands the header on to the HAR route
+    await page.route(API_URL_PATTERN, async (route, request) => {
+      const key = requestKey(request.method(), request.url(), request.postData());
+      const sequence = this.nextSequence(`browser ${key}`);
+      if (this.replaying && !this.finished) {
+        this.claim('browser', request.method(), request.url(), key, sequence);
+      }
+      await route.fallback({ headers: { ...request.headers(), [SEQUENCE_HEADER]: String(sequence) } });
+    });
+  }
+
+  /**
+   * Wrap an APIRequestContext so its calls are recorded or replayed
+   * @param {import('@playwright/test').APIRequestContext} context - Real context
+   * @returns {Object} Context with the same `fetch`/`dispose`
+   */
+  wrapRequest(context) {
+    return {
+      fetch: (url, options = {}) => this.fetch(context, url, options),
+      dispose: () => context.dispose(),
+      storageState: options => context.storageState(options)
+    };
+  }
+
+  /**
+   * One `api` fixture call: served from the recording, or sent and recorded
+   * @param {import('@playwright/test').APIRequestContext} context - Real context
+   * @param {string} url - URL without query
+   * @param {Object} options - `method`, `data`, `params`
+   * @returns {Promise<Object>} Response with `ok()`, `status()`, `text()`
+   */
+  async fetch(context, url, options) {
+    const method = options.method || 'GET';
+    const fullUrl = new URL(url);
+    Object.entries(options.params || {}).forEach(([name, value]) => fullUrl.searchParams.set(name, String(value)));
+    const postData = options.data === undefined ? '' : (typeof options.data === 'string' ? options.data : JSON.stringify(options.data));
+    const key = requestKey(method, fullUrl.href, postData);
+
+    // Cleanup after the test is neither recorded nor replayed
+    if (this.finished) {
+      return await context.fetch(url, options);
+    }
+
+    const sequence = this.nextSequence(`api ${key}`);
+
+    if (this.replaying) {
+      const match = this.claim('api', method, fullUrl.href, key, sequence);
+      const status = match ? match.entry.response.status : 503;
+      const text = match
+        ? match.entry.response.content.text || ''
+        : JSON.stringify({ msg: `HAR replay: no recorded response for ${method} ${fullUrl.href}` });
+      return { ok: () => status >= 200 && status < 300, status: () => status, text: async () => text };
+    }
+
+    const startedDateTime = new Date().toISOString();
+    const response = await context.fetch(url, options);
+    const text = await response.text();
+    this.apiEntries.push({
+      startedDateTime,
+      request: {
+        method,
+        url: fullUrl.href,
+        headers: [{ name: SEQUENCE_HEADER, value: String(sequence) }],
+        ...(postData ? { postData: { mimeType: 'application/json', text: postData } } : {})
+      },
+      response: {
+        status: response.status(),
+        headers: [],
+        content: { mimeType: 'application/json', text }
+      }
+    });
+    return { ok: () => response.ok(), status: () => response.status(), text: async () => text };
+  }
+
+  /**
+   * End the test's recording/replay. Writes the API HAR (record) or
+   * the replay report (replay). Calls made afterwards (cleanup) go
+   * straight to the network.
+   * @returns {Object|null} Replay report, or null when recording
+   */
+  finish() {
+    if (this.finished) {
+      return this.report || null;
+    }
+    this.finished = true;
+
+    if (!this.replaying) {
+      fs.mkdirSync(path.dirname(this.paths.api), { recursive: true });
+      fs.writeFileSync(this.paths.api, JSON.stringify({
+        log: { version: '1.2', creator: { name: 'jobtrack-e2e-tests', version: '1.0.0' }, entries: this.apiEntries }
+      }, null, 2));
+      return null;
+    }
+
+    const stale = [];
+    let recordedAt = null;
+    for (const source of ['browser', 'api']) {
+      if (!fs.existsSync(this.paths[source])) {
+        continue;
+      }
+      const recording = this.recording(source);
+      recording.entries
+        .filter(candidate => !candidate.used)
+        .forEach(({ method, url, sequence }) => stale.push({ source, method, url, sequence }));
+      if (!recordedAt || recording.recordedAt < recordedAt) {
+        recordedAt = recording.recordedAt;
+      }
+    }
+
+    const ageDays = recordedAt ? Math.floor((Date.now() - recordedAt.getTime()) / DAY_MS) : null;
+    this.report = {
+      test: this.name,
+      har: path.relative(process.cwd(), this.paths.browser),
+      recordedAt: recordedAt ? recordedAt.toISOString() : null,
+      ageDays,
+      outdated: ageDays !== null && ageDays > MAX_AGE_DAYS,
+      unmatched: this.unmatched,
+      stale
+    };
+
+    fs.mkdirSync(path.dirname(this.paths.report), { recursive: true });
+    fs.writeFileSync(this.paths.report, JSON.stringify(this.report, null, 2));
+    return this.report;
+  }
+}
+
+/**
+ * One-line summary of a replay report
+ * @param {Object} report - From HarSession.finish
+ * @returns {string} Summary
+ */
+function describeReport(report) {
+  const parts = [];
+  if (report.unmatched.length > 0) {
+    parts.push(`${report.unmatched.length} unmatched: ${report.unmatched.map(call => `${call.method} ${call.url} (${call.reason})`).join(', ')}`);
+  }
+  if (report.stale.length > 0) {
+    parts.push(`${report.stale.length} stale entr${report.stale.length === 1 ? 'y' : 'ies'}: ${report.stale.map(call => `${call.method} ${call.url}`).join(', ')}`);
+  }
+  if (report.outdated) {
+    parts.push(`recorded ${report.ageDays} days ago (limit ${MAX_AGE_DAYS})`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Remove the previous run's per-test replay reports
+ */
+function clearReplayReports() {
+  fs.rmSync(REPORT_DIR, { recursive: true, force: true });
+}
+
+/**
+ * Merge the per-test replay reports into REPORT_FILE
+ * @returns {Object|null} `{ tests, unmatched, stale, outdated }` totals, or null if nothing was replayed
+ */
+function writeReplayReport() {
+  if (!fs.existsSync(REPORT_DIR)) {
+    return null;
+  }
+  const reports = fs.readdirSync(REPORT_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(REPORT_DIR, file), 'utf8')));
+
+  const totals = {
+    tests: reports.length,
+    unmatched: reports.reduce((sum, report) => sum + report.unmatched.length, 0),
+    stale: reports.reduce((sum, report) => sum + report.stale.length, 0),
+    outdated: reports.filter(report => report.outdated).length
+  };
+  fs.writeFileSync(REPORT_FILE, JSON.stringify({ totals, reports }, null, 2));
+  return totals;
+}
+
+module.exports = {
+  HAR_DIR,
+  HAR_ENVIRONMENT,
+  REPORT_FILE,
+  SEQUENCE_HEADER,
+  HarSession,
+  harMode,
+  harTestKey,
+  hash32,
+  harPaths,
+  describeReport,
+  clearReplayReports,
+  writeReplayReport
+};
+
+if (require.main === module) {
+  const { spawnSync } = require('child_process');
+
+  const args = process.argv.slice(2);
+  const modes = MODES.filter(mode => args.includes(`--${mode}`));
+
+  if (modes.length !== 1) {
+    console.error('Usage: node support/har.js --record|--replay [playwright test arguments]');
+    process.exitCode = 1;
+  } else {
+    // Recordings are made and replayed on one browser, so one HAR serves each test
+    const playwrightArgs = args.filter(arg => arg !== `--${modes[0]}`);
+    if (!playwrightArgs.some(arg => arg.startsWith('--project'))) {
+      playwrightArgs.unshift('--project=chromium');
+    }
+
+    const result = spawnSync(process.execPath, [require.resolve('@playwright/test/cli'), 'test', ...playwrightArgs], {
+      stdio: 'inherit',
+      env: { ...process.env, HAR_MODE: modes[0] }
+    });
+    process.exitCode = result.status === null ? 1 : result.status;
+  }
+}
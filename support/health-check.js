@@ -0,0 +1,217 @@
+/**
+ * =====================================================
+ * READINESS PROBES
+ * =====================================================
+ *
+ * Checks the frontend, the API and the API's database separately,
+ * retrying each with exponential backoff until a shared deadline.
+ * On failure the diagnosis says which endpoint failed, its last
+ * status and error, and how long it was waited for.
+ *
+ * global-setup.js runs these before any test; `npm run doctor` runs
+ * the same checks on their own (plus the credentials validation).
+ */
+
+const { environment } = require('./environment');
+const { hasCredentials, getCredentials, credentialProblems } = require('./credentials');
+
+const DEFAULT_OPTIONS = {
+  // Total time all probes may take together
+  deadlineMs: Number(process.env.HEALTH_DEADLINE_MS || 60000),
+  // First retry delay, doubled after every failed attempt up to maxDelayMs
+  initialDelayMs: 250,
+  maxDelayMs: 5000,
+  // Per-request timeout
+  requestTimeoutMs: 5000,
+  // Probes to run; HAR replay needs only the frontend
+  probes: ['frontend', 'api', 'database']
+};
+
+class HealthCheckError extends Error {
+  constructor(results) {
+    super(`Environment "${environment.name}" is not ready:\n${formatDiagnosis(results)}`);
+    this.name = 'HealthCheckError';
+    this.results = results;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Frontend: the app shell answers with a non-error status
+ */
+function frontendProbe() {
+  return {
+    name: 'frontend',
+    url: environment.baseURL,
+    request: { method: 'GET' },
+    isReady: status => status >= 200 && status < 400
+  };
+}
+
+/**
+ * API: an authenticated route answers (401 without a session is fine)
+ */
+function apiProbe() {
+  return {
+    name: 'api',
+    url: `${environment.apiURL}/api/v1/auth/getCurrentUser`,
+    request: { method: 'GET' },
+    isReady: status => status === 200 || status === 401
+  };
+}
+
+/**
+ * Database: a login has to read the users collection. 200 (or 401 for
+ * an account that is missing) proves the query ran; 5xx or a hang
+ * means the API cannot reach its database.
+ */
+function databaseProbe() {
+  const credentials = hasCredentials('primary')
+    ? getCredentials('primary')
+    : { email: 'health-check@jobtrack.invalid', password: 'health-check' };
+
+  return {
+    name: 'database',
+    url: `${environment.apiURL}/api/v1/auth/login`,
+    request: {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(credentials)
+    },
+    isReady: status => status === 200 || status === 401,
+    describe: status => (status === 401 ? 'reachable, but the primary account cannot log in' : undefined)
+  };
+}
+
+/**
+ * Retry one probe with exponential backoff until it is ready or the deadline passes
+ * @param {Object} probe - `{ name, url, request, isReady, describe }`
+ * @param {Object} options - Backoff options plus `deadline` (epoch ms)
+ * @returns {Promise<Object>} `{ name, url, ok, attempts, waitedMs, lastStatus, lastError, note }`
+ */
+async function runProbe(probe, options) {
+  const startedAt = Date.now();
+  const result = { name: probe.name, url: probe.url, ok: false, attempts: 0, lastStatus: null, lastError: null };
+  let delay = options.initialDelayMs;
+
+  while (true) {
+    result.attempts += 1;
+    try {
+      // Never less than 1s, so the final attempt can still report a real error
+      const timeout = Math.max(1000, Math.min(options.requestTimeoutMs, options.deadline - Date.now()));
+      const response = await fetch(probe.url, { ...probe.request, redirect: 'manual', signal: AbortSignal.timeout(timeout) });
+      result.lastStatus = response.status;
+      result.lastError = null;
+      if (probe.isReady(response.status)) {
+        result.ok = true;
+        result.note = probe.describe ? probe.describe(response.status) : undefined;
+        break;
+      }
+      result.lastError = `unexpected status ${response.status}`;
+    } catch (error) {
+      result.lastError = error.cause ? `${error.message} (${error.cause.code || error.cause.message})` : error.message;
+    }
+
+    const remaining = options.deadline - Date.now();
+    if (remaining <= 0) {
+      break;
+    }
+    await sleep(Math.min(delay, remaining));
+    delay = Math.min(delay * 2, options.maxDelayMs);
+  }
+
+  result.waitedMs = Date.now() - startedAt;
+  return result;
+}
+
+/**
+ * Probe frontend and API in parallel, then the database once the API is up
+ * @param {Object} overrides - Override DEFAULT_OPTIONS
+ * @returns {Promise<Array<Object>>} One result per probe in `options.probes`
+ */
+async function checkHealth(overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  options.deadline = Date.now() + options.deadlineMs;
+  const wanted = name => options.probes.includes(name);
+
+  const [frontend, backend] = await Promise.all([
+    wanted('frontend') ? runProbe(frontendProbe(), options) : null,
+    (async () => {
+      if (!wanted('api')) {
+        return [];
+      }
+      const apiResult = await runProbe(apiProbe(), options);
+      if (!wanted('database')) {
+        return [apiResult];
+      }
+      if (!apiResult.ok) {
+        return [apiResult, { name: 'database', url: databaseProbe().url, ok: false, skipped: true, lastError: 'skipped: API not ready' }];
+      }
+      return [apiResult, await runProbe(databaseProbe(), options)];
+    })()
+  ]);
+
+  return [frontend, ...backend].filter(Boolean);
+}
+
+/**
+ * Human-readable diagnosis, one line per probe
+ * @param {Array<Object>} results - Results from checkHealth
+ * @returns {string} Diagnosis
+ */
+function formatDiagnosis(results) {
+  return results.map(result => {
+    const icon = result.ok ? '✅' : '❌';
+    if (result.skipped) {
+      return `  ${icon} ${result.name.padEnd(8)} ${result.url}\n       ${result.lastError}`;
+    }
+    const status = result.lastStatus === null ? 'no response' : `status ${result.lastStatus}`;
+    const details = [
+      `${status}`,
+      `${result.attempts} attempt${result.attempts === 1 ? '' : 's'} in ${(result.waitedMs / 1000).toFixed(1)}s`,
+      result.ok ? result.note : `last error: ${result.lastError}`
+    ].filter(Boolean).join(', ');
+    return `  ${icon} ${result.name.padEnd(8)} ${result.url}\n       ${details}`;
+  }).join('\n');
+}
+
+/**
+ * Throw a HealthCheckError unless every probe passes
+ * @param {Object} overrides - Override DEFAULT_OPTIONS
+ * @returns {Promise<Array<Object>>} Results (all ok)
+ */
+async function assertHealthy(overrides) {
+  const results = await checkHealth(overrides);
+  if (results.some(result => !result.ok)) {
+    throw new HealthCheckError(results);
+  }
+  return results;
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  HealthCheckError,
+  checkHealth,
+  assertHealthy,
+  formatDiagnosis
+};
+
+if (require.main === module) {
+  (async () => {
+    console.log(`🩺 JobTrack E2E doctor — environment "${environment.name}"`);
+    console.log(`   frontend ${environment.baseURL}, API ${environment.apiURL}\n`);
+
+    const problems = credentialProblems();
+    console.log(problems.length === 0
+      ? '  ✅ credentials: all required roles configured'
+      : `  ❌ credentials:\n       ${problems.join('\n       ')}`);
+
+    const results = await checkHealth();
+    console.log(formatDiagnosis(results));
+
+    const healthy = problems.length === 0 && results.every(result => result.ok);
+    console.log(healthy ? '\n✅ Ready to run the suite' : '\n❌ Fix the problems above before running the suite');
+    process.exitCode = healthy ? 0 : 1;
+  })();
+}
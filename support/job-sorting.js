@@ -0,0 +1,128 @@
+/**
+ * =====================================================
+ * JOB SORT ORDERS
+ * =====================================================
+ *
+ * The order each option of the all-jobs sort select should produce,
+ * written against job records (API shape) so a spec can compute the
+ * expected list from the jobs it seeded:
+ *
+ *   const expected = sortJobs(seededJobs, 'a-z');
+ *
+ * Strings compare by code point ("Zeta" before "alpha"), like the
+ * backend's default MongoDB collation; pass `{ ignoreCase: true }` for
+ * an app that sorts case-insensitively. Missing values (a job without
+ * a salary) sort lowest, as MongoDB does.
+ */
+
+const PRIORITY_RANK = { low: 0, medium: 1, high: 2 };
+
+const createdAt = job => Date.parse(job.createdAt);
+const position = job => job.position;
+const salaryMax = job => job.salaryMax ?? null;
+const salaryMin = job => job.salaryMin ?? null;
+const priority = job => (job.priority in PRIORITY_RANK ? PRIORITY_RANK[job.priority] : null);
+
+// Sort select value → { key, direction }
+const SORT_ORDERS = {
+  latest: { key: createdAt, direction: 'desc' },
+  oldest: { key: createdAt, direction: 'asc' },
+  'a-z': { key: position, direction: 'asc' },
+  'z-a': { key: position, direction: 'desc' },
+  'salary-high': { key: salaryMax, direction: 'desc' },
+  'salary-low': { key: salaryMin, direction: 'asc' },
+  'priority-high': { key: priority, direction: 'desc' },
+  'priority-low': { key: priority, direction: 'asc' }
+};
+
+// Other values apps use for the same orders
+const SORT_ALIASES = {
+  salary: 'salary-high',
+  'salary-desc': 'salary-high',
+  'salary-asc': 'salary-low',
+  priority: 'priority-high',
+  'priority-desc': 'priority-high',
+  'priority-asc': 'priority-low'
+};
+
+/**
+ * Look up a sort option
+ * @param {string} option - Sort select value
+ * @returns {Object} `{ key, direction }`
+ */
+function sortOrder(option) {
+  const order = SORT_ORDERS[SORT_ALIASES[option] || option];
+  if (!order) {
+    throw new Error(`No expected order for sort option "${option}". Known options: ${Object.keys(SORT_ORDERS).join(', ')}`);
+  }
+  return order;
+}
+
+/**
+ * Check if a sort option has an expected order
+ * @param {string} option - Sort select value
+ * @returns {boolean} True if sortOrder() knows it
+ */
+function isKnownSort(option) {
+  return Boolean(SORT_ORDERS[SORT_ALIASES[option] || option]);
+}
+
+/**
+ * The value a job is sorted by
+ * @param {Object} job - Job record
+ * @param {string} option - Sort select value
+ * @param {Object} options - `{ ignoreCase }`
+ * @returns {number|string|null} Sort key
+ */
+function sortKey(job, option, { ignoreCase = false } = {}) {
+  const key = sortOrder(option).key(job);
+  return ignoreCase && typeof key === 'string' ? key.toLowerCase() : key;
+}
+
+/**
+ * Compare two sort keys ascending; null sorts lowest
+ */
+function compareKeys(a, b) {
+  if (a === b) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Compare two jobs in an option's order. Jobs with equal keys compare
+ * as 0: their relative order is up to the backend.
+ * @param {string} option - Sort select value
+ * @param {Object} options - `{ ignoreCase }`
+ * @returns {Function} Comparator for Array#sort
+ */
+function compareJobs(option, options = {}) {
+  const { direction } = sortOrder(option);
+  return (a, b) => {
+    const result = compareKeys(sortKey(a, option, options), sortKey(b, option, options));
+    return direction === 'desc' ? -result : result;
+  };
+}
+
+/**
+ * Sort a copy of the jobs in an option's order (stable, so ties keep
+ * their input order)
+ * @param {Object[]} jobs - Job records
+ * @param {string} option - Sort select value
+ * @param {Object} options - `{ ignoreCase }`
+ * @returns {Object[]} Sorted jobs
+ */
+function sortJobs(jobs, option, options = {}) {
+  return [...jobs].sort(compareJobs(option, options));
+}
+
+module.exports = {
+  SORT_ORDERS,
+  SORT_ALIASES,
+  PRIORITY_RANK,
+  sortOrder,
+  isKnownSort,
+  sortKey,
+  compareJobs,
+  sortJobs
+};
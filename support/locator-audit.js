@@ -0,0 +1,287 @@
+/**
+ * =====================================================
+ * LOCATOR AUDIT
+ * =====================================================
+ *
+ * Opens every route the page objects know, logged in (or out, for
+ * /register and /landing), plus an unknown route for the 404 page,
+ * and evaluates each page object's
+ * `this.locators` there. For every selector it reports:
+ * - missing: nothing matched
+ * - ambiguous: one match contains another (e.g. a card union that also
+ *   matches elements nested inside the card)
+ * - multiple: several separate matches
+ * - which alternative of the comma union matched, and whether that was
+ *   the data-testid or a fallback
+ *
+ * A job and two activities are seeded over the API first, so list and
+ * card locators have something to match, and deleted afterwards.
+ *
+ *   npm run locators:audit                       # writes locator-audit/
+ *   npm run locators:audit -- --out reports/loc  # other output directory
+ *   npm run locators:audit -- --strict           # exit 1 on missing/ambiguous
+ *   npm run locators:audit -- --no-seed          # audit the account as it is
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { environment } = require('./environment');
+const { getCredentials } = require('./credentials');
+const { splitSelectorUnion } = require('../pages/locators');
+
+const DEFAULT_OUT_DIR = path.join(__dirname, '..', 'locator-audit');
+
+// Routes and the page objects whose locators belong there
+const ROUTES = [
+  { path: '/', authenticated: true, pageObjects: ['DashboardPage', 'NavigationComponent'] },
+  { path: '/all-jobs', authenticated: true, pageObjects: ['JobsPage'] },
+  { path: '/add-job', authenticated: true, pageObjects: ['AddJobPage'] },
+  { path: '/activities', authenticated: true, pageObjects: ['ActivitiesPage'] },
+  { path: '/timeline', authenticated: true, pageObjects: ['TimelinePage'] },
+  { path: '/profile', authenticated: true, pageObjects: ['ProfilePage'] },
+  { path: '/register', authenticated: false, pageObjects: ['AuthPage'] },
+  { path: '/landing', authenticated: false, pageObjects: ['LandingPage'] },
+  { path: '/this-page-does-not-exist', authenticated: true, pageObjects: ['NotFoundPage'] }
+];
+
+/**
+ * Flatten a page object's locators ('jobDetails.company' for nested ones)
+ * @param {Object} locators - Page object's `this.locators`
+ * @param {string} prefix - Name prefix for nested groups
+ * @returns {Array<Array<string>>} `[name, selector]` pairs
+ */
+function flattenLocators(locators, prefix = '') {
+  return Object.entries(locators).flatMap(([name, value]) => {
+    if (typeof value === 'string') {
+      return [[`${prefix}${name}`, value]];
+    }
+    if (value && typeof value === 'object') {
+      return flattenLocators(value, `${prefix}${name}.`);
+    }
+    return [];
+  });
+}
+
+/**
+ * Evaluate one selector on the current page
+ * @param {import('@playwright/test').Page} page - Page under audit
+ * @param {string} selector - Selector (may be a comma union)
+ * @returns {Promise<Object>} `{ count, nested, alternatives, status }`
+ */
+async function auditSelector(page, selector) {
+  const locator = page.locator(selector);
+  try {
+    const count = await locator.count();
+    // Matches that contain another match (a card and its own children)
+    const nested = count > 1
+      ? await locator.evaluateAll(elements => elements.filter(element => elements.some(other => other !== element && element.contains(other))).length)
+      : 0;
+
+    const alternatives = [];
+    for (const alternative of splitSelectorUnion(selector)) {
+      alternatives.push({ selector: alternative, count: await page.locator(alternative).count() });
+    }
+
+    let status = 'ok';
+    if (count === 0) status = 'missing';
+    else if (nested > 0) status = 'ambiguous';
+    else if (count > 1) status = 'multiple';
+
+    return { count, nested, alternatives, status };
+  } catch (error) {
+    return { count: 0, nested: 0, alternatives: [], status: 'invalid', error: error.message.split('\n')[0] };
+  }
+}
+
+/**
+ * Create the records that list and card locators need
+ * @param {import('@playwright/test').APIRequest} request - `request` from @playwright/test
+ * @param {Object} storageState - Logged-in browser storage state
+ * @returns {Promise<Function>} Removes the seeded records
+ */
+async function seedAuditData(request, storageState) {
+  const { JobTrackApiClient } = require('../api');
+  const { jobs, activities } = require('../factories');
+
+  const client = await JobTrackApiClient.create(request, { storageState });
+  const job = await client.createJob(jobs.build('interviewing', 'highPriority'));
+  const created = [
+    await client.createActivity(activities.build('pending', { jobId: job._id })),
+    await client.createActivity(activities.build('completed', { jobId: job._id }))
+  ];
+
+  return async () => {
+    for (const activity of created) {
+      await client.deleteActivity(activity._id).catch(() => {});
+    }
+    await client.deleteJob(job._id).catch(() => {});
+    await client.dispose();
+  };
+}
+
+/**
+ * Audit every route
+ * @param {Object} options - `routes` (defaults to ROUTES), `seed` (default true)
+ * @returns {Promise<Object>} `{ environment, generatedAt, routes, summary }`
+ */
+async function auditLocators({ routes = ROUTES, seed = true } = {}) {
+  // The audit reports fallbacks itself; don't also warn about each one
+  process.env.LOCATOR_FALLBACK_WARNINGS = '0';
+  const { chromium, request } = require('@playwright/test');
+  const pages = require('../pages');
+
+  const browser = await chromium.launch();
+  const loggedIn = await browser.newContext({ baseURL: environment.baseURL, ignoreHTTPSErrors: true });
+  const loggedOut = await browser.newContext({ baseURL: environment.baseURL, ignoreHTTPSErrors: true });
+  let cleanup = async () => {};
+
+  try {
+    const loginPage = await loggedIn.newPage();
+    await new pages.AuthPage(loginPage).performLogin(getCredentials('primary'));
+    await loginPage.close();
+
+    if (seed) {
+      cleanup = await seedAuditData(request, await loggedIn.storageState());
+    }
+
+    const results = [];
+    for (const route of routes) {
+      const page = await (route.authenticated ? loggedIn : loggedOut).newPage();
+      await page.goto(route.path);
+      await page.waitForLoadState('networkidle').catch(() => {});
+      await new pages.BasePage(page).waitForLoadingToFinish().catch(() => {});
+
+      const locators = [];
+      for (const pageObject of route.pageObjects) {
+        const instance = new pages[pageObject](page);
+        for (const [name, selector] of flattenLocators(instance.locators)) {
+          locators.push({ pageObject, name, selector, ...(await auditSelector(page, selector)) });
+        }
+      }
+
+      results.push({ path: route.path, authenticated: route.authenticated, finalUrl: new URL(page.url()).pathname, locators });
+      await page.close();
+    }
+
+    const all = results.flatMap(route => route.locators);
+    const summary = {
+      locators: all.length,
+      missing: all.filter(locator => locator.status === 'missing').length,
+      ambiguous: all.filter(locator => locator.status === 'ambiguous').length,
+      multiple: all.filter(locator => locator.status === 'multiple').length,
+      invalid: all.filter(locator => locator.status === 'invalid').length,
+      viaFallback: all.filter(locator => locator.alternatives.length > 0 && locator.count > 0 && locator.alternatives[0].count === 0).length
+    };
+
+    return { environment: environment.name, baseURL: environment.baseURL, generatedAt: new Date().toISOString(), routes: results, summary };
+  } finally {
+    await cleanup();
+    await browser.close();
+  }
+}
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' }[char]));
+
+/**
+ * Render the audit as an HTML table per route
+ * @param {Object} report - From auditLocators
+ * @returns {string} HTML document
+ */
+function renderHtml(report) {
+  const colours = { ok: '#e6f4ea', multiple: '#fff8e1', ambiguous: '#fdecea', missing: '#fdecea', invalid: '#fdecea' };
+  const sections = report.routes.map(route => {
+    const rows = route.locators.map(locator => {
+      const alternatives = locator.alternatives
+        .map((alternative, index) => {
+          const label = `${escapeHtml(alternative.selector)} <b>(${alternative.count})</b>`;
+          const kind = index === 0 ? ' <i>testid</i>' : '';
+          return alternative.count > 0 ? `<li><mark>${label}</mark>${kind}</li>` : `<li>${label}${kind}</li>`;
+        })
+        .join('');
+      return `<tr style="background:${colours[locator.status]}">
+  <td>${escapeHtml(locator.pageObject)}</td><td><code>${escapeHtml(locator.name)}</code></td>
+  <td>${locator.status}${locator.error ? `<br><small>${escapeHtml(locator.error)}</small>` : ''}</td>
+  <td>${locator.count}</td><td>${locator.nested}</td><td><ul>${alternatives}</ul></td>
+</tr>`;
+    }).join('\n');
+
+    const landed = route.finalUrl !== route.path ? ` (redirected to ${escapeHtml(route.finalUrl)})` : '';
+    return `<h2>${escapeHtml(route.path)}${route.authenticated ? '' : ' — logged out'}${landed}</h2>
+<table>
+<thead><tr><th>Page object</th><th>Locator</th><th>Status</th><th>Matches</th><th>Nested</th><th>Alternatives (matches)</th></tr></thead>
+<tbody>
+${rows || '<tr><td colspan="6">No page object locators for this route</td></tr>'}
+</tbody>
+</table>`;
+  }).join('\n');
+
+  const { summary } = report;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Locator audit — ${escapeHtml(report.environment)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+  ul { margin: 0; padding-left: 1rem; }
+  mark { background: #c8e6c9; }
+</style>
+</head>
+<body>
+<h1>Locator audit — ${escapeHtml(report.environment)} (${escapeHtml(report.baseURL)})</h1>
+<p>${report.generatedAt}: ${summary.locators} locators, ${summary.missing} missing, ${summary.ambiguous} ambiguous,
+${summary.multiple} multiple, ${summary.invalid} invalid, ${summary.viaFallback} matched only through a fallback.</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write report.json and index.html
+ * @param {Object} report - From auditLocators
+ * @param {string} outDir - Output directory
+ * @returns {Object} `{ json, html }` file paths
+ */
+function writeAuditReport(report, outDir = DEFAULT_OUT_DIR) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const json = path.join(outDir, 'report.json');
+  const html = path.join(outDir, 'index.html');
+  fs.writeFileSync(json, JSON.stringify(report, null, 2));
+  fs.writeFileSync(html, renderHtml(report));
+  return { json, html };
+}
+
+module.exports = {
+  ROUTES,
+  flattenLocators,
+  auditSelector,
+  auditLocators,
+  renderHtml,
+  writeAuditReport
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out');
+  const outDir = outIndex >= 0 ? path.resolve(args[outIndex + 1]) : DEFAULT_OUT_DIR;
+
+  console.log(`🔎 Auditing locators on ${environment.name} (${environment.baseURL})...`);
+  auditLocators({ seed: !args.includes('--no-seed') }).then(report => {
+    const files = writeAuditReport(report, outDir);
+    const { summary } = report;
+    console.log(`   ${summary.locators} locators: ${summary.missing} missing, ${summary.ambiguous} ambiguous, ${summary.multiple} multiple, ${summary.invalid} invalid, ${summary.viaFallback} via fallback`);
+    report.routes.forEach(route => route.locators
+      .filter(locator => ['missing', 'ambiguous', 'invalid'].includes(locator.status))
+      .forEach(locator => console.log(`   ${locator.status === 'missing' ? '❌' : '⚠️ '} ${route.path} ${locator.pageObject}.${locator.name}: ${locator.status}${locator.nested ? ` (${locator.nested} nested)` : ''}`)));
+    console.log(`📄 ${path.relative(process.cwd(), files.json)}, ${path.relative(process.cwd(), files.html)}`);
+
+    const problems = summary.missing + summary.ambiguous + summary.invalid;
+    process.exitCode = args.includes('--strict') && problems > 0 ? 1 : 0;
+  }).catch(error => {
+    console.error('❌ Locator audit failed:', error.message);
+    process.exitCode = 1;
+  });
+}
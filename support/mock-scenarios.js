@@ -0,0 +1,186 @@
+/**
+ * =====================================================
+ * API MOCK SCENARIOS
+ * =====================================================
+ *
+ * Named page.route() setups that put the UI into a state the real
+ * backend only produces by luck: an empty list, a failing endpoint,
+ * a slow response, an expired session or a huge account. Page objects
+ * apply one with a single call:
+ *
+ *   await jobsPage.mockScenario('empty-jobs');
+ *   await jobsPage.navigateToJobs();
+ *
+ * Only the routes a scenario names are intercepted; everything else
+ * still reaches the backend. Routes end with the page, or earlier
+ * through the returned handle's `remove()`.
+ */
+
+const JobFactory = require('../factories/JobFactory');
+const { seed } = require('../factories');
+
+const API = '/api/v1';
+
+// Responses shaped like the backend's (see fake-api/store.js)
+const EMPTY_JOBS = { jobs: [], totalJobs: 0, numOfPages: 0 };
+const EMPTY_ACTIVITIES = { activities: [], totalActivities: 0, numOfPages: 0 };
+const SERVER_ERROR = { msg: 'Something went wrong, try again later' };
+const UNAUTHENTICATED = { msg: 'Authentication Invalid' };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Matcher for one API path and method
+ * @param {string} pathname - Exact pathname, e.g. '/api/v1/jobs'
+ * @param {string} method - HTTP method, or null for any
+ * @returns {Object} `{ url, method }` route matcher
+ */
+function endpoint(pathname, method = 'GET') {
+  return { url: url => url.pathname === pathname, method };
+}
+
+/**
+ * Fulfil with a JSON body
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @returns {Function} Route handler
+ */
+function json(status, body) {
+  return route => route.fulfill({ status, contentType: 'application/json', body: JSON.stringify(body) });
+}
+
+/**
+ * One deterministic job of a generated account
+ * @param {number} index - 0-based position in the "latest" order
+ * @param {number} total - Account size
+ * @returns {Object} Job as the API returns it
+ */
+function generatedJob(index, total) {
+  const job = new JobFactory({ seed: seed + index }).build();
+  const createdAt = new Date(Date.UTC(2024, 0, 1) + (total - index) * 60000).toISOString();
+  return {
+    ...job,
+    _id: index.toString(16).padStart(24, '0'),
+    createdBy: 'mock-user',
+    createdAt,
+    updatedAt: createdAt
+  };
+}
+
+/**
+ * Scenario definitions. Each takes the options passed to
+ * applyScenario and returns the routes to install.
+ */
+const SCENARIOS = {
+  // The account has no jobs (list, search and filters all come back empty)
+  'empty-jobs': () => [
+    { ...endpoint(`${API}/jobs`), handle: json(200, EMPTY_JOBS) }
+  ],
+
+  // The account has no activities (activities page and timeline)
+  'empty-activities': () => [
+    { ...endpoint(`${API}/activities`), handle: json(200, EMPTY_ACTIVITIES) },
+    { ...endpoint(`${API}/activities/stats`), handle: json(200, { total: 0, pending: 0, completed: 0, byType: {} }) }
+  ],
+
+  // Dashboard and timeline statistics fail with a 500
+  'stats-error': ({ status = 500 } = {}) => [
+    { ...endpoint(`${API}/jobs/stats`), handle: json(status, SERVER_ERROR) },
+    { ...endpoint(`${API}/activities/stats`), handle: json(status, SERVER_ERROR) }
+  ],
+
+  // Activities answer only after `delayMs`, so the loading state stays visible
+  'slow-activities': ({ delayMs = 3000 } = {}) => [
+    {
+      url: url => url.pathname.startsWith(`${API}/activities`),
+      method: 'GET',
+      handle: async route => {
+        await sleep(delayMs);
+        await route.fallback();
+      }
+    }
+  ],
+
+  // The session expires: after `after` more API calls, every call but
+  // login/register answers 401
+  'session-expired': ({ after = 0 } = {}) => {
+    let remaining = after;
+    return [
+      {
+        url: url => url.pathname.startsWith(`${API}/`) &&
+          ![`${API}/auth/login`, `${API}/auth/register`].includes(url.pathname),
+        method: null,
+        handle: async route => {
+          if (remaining > 0) {
+            remaining -= 1;
+            await route.fallback();
+            return;
+          }
+          await json(401, UNAUTHENTICATED)(route);
+        }
+      }
+    ];
+  },
+
+  // An account with `total` jobs (default 10,000), paginated like the backend
+  'many-jobs': ({ total = 10000 } = {}) => [
+    {
+      ...endpoint(`${API}/jobs`),
+      handle: async (route, request) => {
+        const query = new URL(request.url()).searchParams;
+        const limit = Math.max(1, Number(query.get('limit')) || 10);
+        const page = Math.max(1, Number(query.get('page')) || 1);
+        const start = Math.min((page - 1) * limit, total);
+        const jobs = [];
+        for (let index = start; index < Math.min(start + limit, total); index += 1) {
+          jobs.push(generatedJob(index, total));
+        }
+        await json(200, { jobs, totalJobs: total, numOfPages: Math.ceil(total / limit) })(route);
+      }
+    }
+  ]
+};
+
+/**
+ * Install a named scenario on a page
+ * @param {import('@playwright/test').Page} page - Page to mock
+ * @param {string} name - Scenario name (see SCENARIOS)
+ * @param {Object} options - Scenario options, e.g. `{ delayMs: 5000 }`
+ * @returns {Promise<Object>} Handle: `{ name, calls, remove() }`; `calls` counts intercepted requests
+ */
+async function applyScenario(page, name, options = {}) {
+  const scenario = SCENARIOS[name];
+  if (!scenario) {
+    throw new Error(`Unknown mock scenario "${name}". Known scenarios: ${Object.keys(SCENARIOS).join(', ')}`);
+  }
+
+  const handle = { name, calls: 0, routes: [] };
+
+  for (const { url, method, handle: respond } of scenario(options)) {
+    const handler = async (route, request) => {
+      if (method && request.method() !== method) {
+        await route.fallback();
+        return;
+      }
+      handle.calls += 1;
+      await respond(route, request);
+    };
+    await page.route(url, handler);
+    handle.routes.push({ url, handler });
+  }
+
+  handle.remove = async () => {
+    for (const { url, handler } of handle.routes) {
+      await page.unroute(url, handler);
+    }
+    handle.routes = [];
+  };
+
+  return handle;
+}
+
+module.exports = {
+  SCENARIOS,
+  applyScenario,
+  generatedJob
+};
@@ -0,0 +1,104 @@
+/**
+ * =====================================================
+ * TEST NAMESPACE
+ * =====================================================
+ *
+ * Run/worker/test-scoped suffix for the values tests search by.
+ * With fullyParallel, two workers creating "TechCorp Inc" would find
+ * (and edit or delete) each other's jobs; stamped, they become
+ *
+ *   "TechCorp Inc ~lx2k9a.3.9f1c2e"   (run . worker . test)
+ *
+ * and JobsPage lookups only match the current test's stamp. Emails
+ * get the token as a plus-address: test+lx2k9a.3.9f1c2e@jobtrack.com
+ */
+
+const crypto = require('crypto');
+const { runId } = require('./test-run');
+const { harMode, harTestKey } = require('./har');
+
+class TestNamespace {
+  /**
+   * @param {Object} options - Namespace parts
+   * @param {string} options.runId - Run ID (defaults to the current run)
+   * @param {number} options.workerIndex - Playwright worker index
+   * @param {string} options.testId - Playwright test id
+   */
+  constructor({ runId: id = runId(), workerIndex = 0, testId = '' } = {}) {
+    const testHash = crypto.createHash('sha1').update(testId).digest('hex').slice(0, 6);
+    this.token = `${id}.${workerIndex}.${testHash}`;
+    this.suffix = ` ~${this.token}`;
+  }
+
+  /**
+   * Namespace for the running test. HAR record/replay runs use the
+   * test's title instead of its worker and id, so a replay sends the
+   * recorded names whichever worker or project runs it.
+   * @param {import('@playwright/test').TestInfo} testInfo - Current test info
+   * @returns {TestNamespace} Namespace
+   */
+  static forTest(testInfo) {
+    if (harMode()) {
+      return new TestNamespace({ workerIndex: 0, testId: harTestKey(testInfo) });
+    }
+    return new TestNamespace({ workerIndex: testInfo.workerIndex, testId: testInfo.testId });
+  }
+
+  /**
+   * Append the namespace suffix (idempotent; empty values pass through)
+   * @param {string} value - Company, position, etc.
+   * @returns {string} Stamped value
+   */
+  stamp(value) {
+    if (!value || this.owns(value)) {
+      return value;
+    }
+    return `${value}${this.suffix}`;
+  }
+
+  /**
+   * Whether a value carries this namespace's token
+   * @param {string} value - Text to check
+   * @returns {boolean} True if stamped by this test
+   */
+  owns(value) {
+    return typeof value === 'string' && value.includes(this.token);
+  }
+
+  /**
+   * Stamp a job's company and position (flat or nested shape)
+   * @param {Object} jobData - Job data
+   * @returns {Object} Copy with stamped company/position
+   */
+  job(jobData) {
+    return {
+      ...jobData,
+      ...(jobData.company ? { company: this.stamp(jobData.company) } : {}),
+      ...(jobData.position ? { position: this.stamp(jobData.position) } : {})
+    };
+  }
+
+  /**
+   * Add the token to an email as a plus-address (idempotent)
+   * @param {string} email - Email address
+   * @returns {string} Stamped email
+   */
+  email(email) {
+    if (!email || this.owns(email)) {
+      return email;
+    }
+    const [local, domain] = email.split('@');
+    return `${local}+${this.token}@${domain}`;
+  }
+
+  /**
+   * Stamp a user's email
+   * @param {Object} userData - `{ name, email, password }`
+   * @returns {Object} Copy with stamped email
+   */
+  user(userData) {
+    return { ...userData, email: this.email(userData.email) };
+  }
+}
+
+module.exports = { TestNamespace };
@@ -0,0 +1,211 @@
+/**
+ * =====================================================
+ * TRACKED TEST RESOURCES
+ * =====================================================
+ *
+ * Records every job, activity and user a test creates and deletes
+ * them when the test ends. Records come from two places:
+ * - JobTrackApiClient calls (the client reports to its `tracker`)
+ * - the browser: `watch(page)` listens for successful create
+ *   responses from the UI (POST /jobs, /activities, /auth/register)
+ *
+ * Deleting something during the test (UI or API) untracks it, and
+ * records that are already gone (404) count as cleaned up. Profile
+ * updates that change a tracked user's email update its credentials,
+ * so cleanup can still log in as that user.
+ */
+
+const { JobTrackApiClient, DEFAULT_API_URL } = require('../api');
+
+const API_PATH = /\/api\/v1\/(jobs|activities|auth\/register|auth\/updateUser)(?:\/([^/?]+))?\/?(?:\?|$)/;
+const TYPE_BY_SEGMENT = { jobs: 'job', activities: 'activity', 'auth/register': 'user', 'auth/updateUser': 'user' };
+
+class ResourceTracker {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {import('@playwright/test').APIRequest} options.request - Used to log in as tracked users during cleanup
+   * @param {JobTrackApiClient} options.fallbackClient - Tried when a record's own session can no longer delete it
+   * @param {string} options.apiURL - Backend origin
+   */
+  constructor({ request, fallbackClient = null, apiURL = DEFAULT_API_URL } = {}) {
+    this.request = request;
+    this.fallbackClient = fallbackClient;
+    this.apiURL = apiURL;
+    this.records = [];
+    this.pending = [];
+  }
+
+  /**
+   * Record a created resource
+   * @param {string} type - 'job', 'activity' or 'user'
+   * @param {string} id - Record id
+   * @param {Object} options - `client` that can delete it; `credentials` for users
+   */
+  track(type, id, { client = this.fallbackClient, credentials } = {}) {
+    if (!id || this.records.some(record => record.type === type && record.id === id)) {
+      return;
+    }
+    this.records.push({ type, id, client, credentials });
+  }
+
+  /**
+   * Merge changed credentials into a tracked user (e.g. a new email)
+   * @param {string} type - Always 'user'
+   * @param {string} id - User id
+   * @param {Object} options - `credentials` that changed
+   */
+  updateCredentials(type, id, { credentials = {} } = {}) {
+    const record = this.records.find(candidate => candidate.type === type && candidate.id === id);
+    if (record && record.credentials) {
+      record.credentials = { ...record.credentials, ...credentials };
+    }
+  }
+
+  /**
+   * Forget a resource (it was deleted by the test)
+   * @param {string} type - 'job', 'activity' or 'user'
+   * @param {string} id - Record id
+   */
+  untrack(type, id) {
+    this.records = this.records.filter(record => !(record.type === type && record.id === id));
+  }
+
+  /**
+   * Tracked records of one type
+   * @param {string} type - 'job', 'activity' or 'user'
+   * @returns {Array<Object>} `{ type, id }` entries
+   */
+  list(type) {
+    return this.records
+      .filter(record => !type || record.type === type)
+      .map(({ type: recordType, id }) => ({ type: recordType, id }));
+  }
+
+  /**
+   * Track records the page creates or deletes through the UI
+   * @param {import('@playwright/test').Page} page - Page to watch
+   */
+  watch(page) {
+    // The page's request context shares its cookies, so it can delete
+    // what the logged-in UI user created
+    const client = new JobTrackApiClient(page.context().request, { apiURL: this.apiURL });
+    page.on('response', response => {
+      this.pending.push(this.handleResponse(response, client));
+    });
+  }
+
+  /**
+   * Track/untrack from one browser response
+   * @param {import('@playwright/test').Response} response - Browser response
+   * @param {JobTrackApiClient} client - Client sharing the page's session
+   */
+  async handleResponse(response, client) {
+    const match = API_PATH.exec(response.url());
+    if (!match || !response.ok()) {
+      return;
+    }
+
+    const type = TYPE_BY_SEGMENT[match[1]];
+    const method = response.request().method();
+
+    try {
+      if (method === 'POST' && !match[2]) {
+        const body = await response.json();
+        const record = body.job || body.activity || body.user;
+        const credentials = type === 'user' ? response.request().postDataJSON() : undefined;
+        this.track(type, record && record._id, {
+          client,
+          credentials: credentials && { email: credentials.email, password: credentials.password }
+        });
+      } else if (method === 'PATCH' && match[1] === 'auth/updateUser') {
+        const { user } = await response.json();
+        this.updateCredentials(type, user && user._id, { credentials: { email: user && user.email } });
+      } else if (method === 'DELETE' && match[2]) {
+        this.untrack(type, match[2]);
+      }
+    } catch (error) {
+      // Body unavailable (page navigated or closed); nothing to record
+    }
+  }
+
+  /**
+   * Delete everything still tracked: activities, then jobs, then users
+   * @returns {Promise<Object>} `{ deleted, failed }` where failed lists `{ type, id, error }`
+   */
+  async cleanup() {
+    await Promise.allSettled(this.pending);
+
+    const order = ['activity', 'job', 'user'];
+    const records = [...this.records].sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
+    const summary = { deleted: 0, failed: [] };
+
+    for (const record of records) {
+      try {
+        await this.deleteRecord(record);
+        summary.deleted += 1;
+      } catch (error) {
+        summary.failed.push({ type: record.type, id: record.id, error: error.message });
+      }
+    }
+
+    this.records = [];
+    this.pending = [];
+    return summary;
+  }
+
+  /**
+   * Delete one record, trying its own session first, then the fallback
+   * @param {Object} record - Tracked record
+   */
+  async deleteRecord(record) {
+    if (record.type === 'user') {
+      await this.deleteUser(record);
+      return;
+    }
+
+    const clients = [record.client, this.fallbackClient].filter((client, i, all) => client && all.indexOf(client) === i);
+    let lastError = new Error(`No client can delete ${record.type} ${record.id}`);
+
+    for (const client of clients) {
+      try {
+        if (record.type === 'job') {
+          await client.deleteJob(record.id);
+        } else {
+          await client.deleteActivity(record.id);
+        }
+        return;
+      } catch (error) {
+        if (error.status === 404) {
+          return;
+        }
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Log in as a tracked user and delete the account
+   * @param {Object} record - Tracked user with credentials
+   */
+  async deleteUser(record) {
+    if (!record.credentials || !record.credentials.email) {
+      throw new Error(`No credentials recorded for user ${record.id}`);
+    }
+
+    const client = await JobTrackApiClient.create(this.request, { apiURL: this.apiURL });
+    try {
+      await client.login(record.credentials);
+      await client.deleteCurrentUser();
+    } catch (error) {
+      // 401 from login means the account is already gone
+      if (error.status !== 401 && error.status !== 404) {
+        throw error;
+      }
+    } finally {
+      await client.dispose();
+    }
+  }
+}
+
+module.exports = { ResourceTracker };
@@ -0,0 +1,115 @@
+/**
+ * =====================================================
+ * LEFTOVER TEST DATA SWEEP
+ * =====================================================
+ *
+ * Deletes jobs and activities stamped with a run tag (see
+ * support/test-run.js) from every suite account. Catches what the
+ * per-test tracker could not, e.g. after a crashed worker.
+ *
+ * Runs from global-teardown.js for the current run, or by hand for a
+ * run named on the command line (outside the runner there is no
+ * current run to default to):
+ *
+ *   npm run test:sweep -- --run lx2k9a      # one earlier run
+ *   npm run test:sweep -- --all             # every run tag
+ */
+
+const { JobTrackApiClient, DEFAULT_API_URL } = require('../api');
+const { AUTH_ROLES } = require('./auth-state');
+const { RUN_TAG_PREFIX, runId, runTag } = require('./test-run');
+
+/**
+ * Build the predicate for tagged records
+ * @param {Object} options - `runId` to match one run, or `allRuns`
+ * @returns {Function} (tags: string[]) => boolean
+ */
+function tagMatcher({ runId: id = runId(), allRuns = false } = {}) {
+  const tag = runTag(id);
+  return (tags = []) => tags.some(candidate => (allRuns ? candidate.startsWith(RUN_TAG_PREFIX) : candidate === tag));
+}
+
+/**
+ * Extract `run-*` tags from an activity description
+ * @param {string} description - Activity description
+ * @returns {string[]} Tags found
+ */
+function activityTags(description = '') {
+  const pattern = new RegExp(`\\[(${RUN_TAG_PREFIX}[^\\]]+)\\]`, 'g');
+  return [...description.matchAll(pattern)].map(match => match[1]);
+}
+
+/**
+ * Delete tagged jobs and activities from each account
+ * @param {import('@playwright/test').APIRequest} request - `request` from @playwright/test
+ * @param {Object} options - Sweep options
+ * @param {string} options.runId - Run to sweep (defaults to the current run)
+ * @param {boolean} options.allRuns - Sweep every run tag instead
+ * @param {Array<Object>} options.accounts - `{ email, password }` accounts to sweep
+ * @param {string} options.apiURL - Backend origin
+ * @returns {Promise<Object>} `{ jobs, activities, errors }`
+ */
+async function sweepRunData(request, {
+  runId: id = runId(),
+  allRuns = false,
+  accounts = Object.values(AUTH_ROLES),
+  apiURL = DEFAULT_API_URL
+} = {}) {
+  const isTagged = tagMatcher({ runId: id, allRuns });
+  const summary = { jobs: 0, activities: 0, errors: [] };
+
+  for (const account of accounts) {
+    const client = await JobTrackApiClient.create(request, { apiURL });
+    try {
+      await client.login(account);
+
+      const activities = await client.listAllActivities();
+      for (const activity of activities.filter(item => isTagged(activityTags(item.description)))) {
+        await client.deleteActivity(activity._id);
+        summary.activities += 1;
+      }
+
+      const jobs = await client.listAllJobs();
+      for (const job of jobs.filter(item => isTagged(item.tags))) {
+        await client.deleteJob(job._id);
+        summary.jobs += 1;
+      }
+    } catch (error) {
+      summary.errors.push(`${account.email}: ${error.message}`);
+    } finally {
+      await client.dispose();
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  sweepRunData,
+  activityTags
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const runIndex = args.indexOf('--run');
+  const options = {
+    allRuns: args.includes('--all'),
+    runId: runIndex >= 0 ? args[runIndex + 1] : undefined
+  };
+
+  if (!options.allRuns && (!options.runId || options.runId.startsWith('--'))) {
+    console.error('Usage: npm run test:sweep -- --run <id> | --all');
+    process.exitCode = 1;
+  } else {
+    const { request } = require('@playwright/test');
+    sweepRunData(request, options).then(({ jobs, activities, errors }) => {
+      const scope = options.allRuns ? 'all runs' : runTag(options.runId);
+      console.log(`🧹 Swept ${jobs} jobs and ${activities} activities tagged ${scope}`);
+      errors.forEach(error => console.warn(`⚠️  ${error}`));
+      process.exitCode = errors.length ? 1 : 0;
+    }).catch(error => {
+      console.error(`❌ Sweep failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+  }
+}
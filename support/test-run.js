@@ -0,0 +1,44 @@
+/**
+ * =====================================================
+ * TEST RUN IDENTITY
+ * =====================================================
+ *
+ * One ID per `playwright test` invocation. playwright.config.js pins
+ * TEST_RUN_ID before workers start, so every worker (and global
+ * teardown) sees the same value. Factories stamp `run-<id>` onto the
+ * records they build, which lets the sweep find leftovers later.
+ */
+
+const RUN_TAG_PREFIX = 'run-';
+
+/**
+ * ID of the current run
+ * @returns {string} Run ID (TEST_RUN_ID, or 'local' outside the runner)
+ */
+function runId() {
+  return process.env.TEST_RUN_ID || 'local';
+}
+
+/**
+ * Tag stamped on records created by this run
+ * @param {string} id - Run ID (defaults to the current run)
+ * @returns {string} Tag, e.g. 'run-lx2k9a'
+ */
+function runTag(id = runId()) {
+  return `${RUN_TAG_PREFIX}${id}`;
+}
+
+/**
+ * Whether created records should be left in place (KEEP_TEST_DATA=1)
+ * @returns {boolean} True to skip cleanup
+ */
+function keepTestData() {
+  return process.env.KEEP_TEST_DATA === '1';
+}
+
+module.exports = {
+  RUN_TAG_PREFIX,
+  runId,
+  runTag,
+  keepTestData
+};
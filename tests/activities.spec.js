@@ -12,21 +12,13 @@
  * - Activity search functionality
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../support/fixtures');
 
 test.describe('Activity Management', () => {
-  // Setup: Login before each test
-  test.beforeEach(async ({ page }) => {
-    await page.goto('/register');
-    await page.fill('input[name="email"]', 'test@jobtrack.com');
-    await page.fill('input[name="password"]', 'testpassword123');
-    await page.click('button[type="submit"]');
-
-    // Wait for dashboard to load
-    await expect(page).toHaveURL('/');
-  });
+  // Setup: start each test with the stored session of the account these specs use
+  test.use({ authRole: 'secondary' });
 
-  test('should navigate to activities page', async ({ page }) => {
+  test('should navigate to activities page', async ({ authedPage: page }) => {
     // Click on activities link in navigation
     await page.click('a[href="/activities"], button:has-text("Activities")');
 
@@ -41,7 +33,7 @@ test.describe('Activity Management', () => {
     await expect(page.locator('select[name="activityStatus"]')).toBeVisible();
   });
 
-  test('should display activities list', async ({ page }) => {
+  test('should display activities list', async ({ authedPage: page }) => {
     // Navigate to activities page
     await page.click('a[href="/activities"]');
 
@@ -55,13 +47,12 @@ test.describe('Activity Management', () => {
     expect(hasActivities || hasEmptyState).toBe(true);
   });
 
-  test('should filter activities by type', async ({ page }) => {
+  test('should filter activities by type', async ({ authedPage: page, activitiesPage }) => {
     // Navigate to activities page
     await page.click('a[href="/activities"]');
 
     // Select a specific activity type
-    await page.selectOption('select[name="activityType"]', 'email-sent');
-    await page.waitForTimeout(1000);
+    await activitiesPage.waitForActivitiesRefresh(() => page.selectOption('select[name="activityType"]', 'email-sent'), { activityType: 'email-sent' });
 
     // Should filter activities by the selected type
     const activityCards = page.locator('.activity-card');
@@ -73,13 +64,12 @@ test.describe('Activity Management', () => {
     }
   });
 
-  test('should filter activities by status', async ({ page }) => {
+  test('should filter activities by status', async ({ authedPage: page, activitiesPage }) => {
     // Navigate to activities page
     await page.click('a[href="/activities"]');
 
     // Filter by completed activities
-    await page.selectOption('select[name="activityStatus"]', 'completed');
-    await page.waitForTimeout(1000);
+    await activitiesPage.waitForActivitiesRefresh(() => page.selectOption('select[name="activityStatus"]', 'completed'), { activityStatus: 'completed' });
 
     // Should show only completed activities
     const activityCards = page.locator('.activity-card');
@@ -91,7 +81,7 @@ test.describe('Activity Management', () => {
     }
   });
 
-  test('should clear activity filters', async ({ page }) => {
+  test('should clear activity filters', async ({ authedPage: page }) => {
     // Navigate to activities page
     await page.click('a[href="/activities"]');
 
@@ -107,7 +97,14 @@ test.describe('Activity Management', () => {
     await expect(page.locator('select[name="activityStatus"]')).toHaveValue('all');
   });
 
-  test('should mark activity as complete', async ({ page }) => {
+  test('should mark activity as complete', async ({ authedPage: page, api }) => {
+    // Seed a pending activity so there is always one to complete
+    await api.createActivity({
+      title: 'Follow up with recruiter',
+      activityType: 'follow-up-sent',
+      status: 'pending'
+    });
+
     // Navigate to activities page
     await page.click('a[href="/activities"]');
 
@@ -126,7 +123,13 @@ test.describe('Activity Management', () => {
     }
   });
 
-  test('should delete activity with confirmation', async ({ page }) => {
+  test('should delete activity with confirmation', async ({ authedPage: page, api }) => {
+    // Seed an activity so there is always one to delete
+    await api.createActivity({
+      title: 'Send thank-you email',
+      activityType: 'email-sent'
+    });
+
     // Navigate to activities page
     await page.click('a[href="/activities"]');
 
@@ -154,7 +157,7 @@ test.describe('Activity Management', () => {
     }
   });
 
-  test('should show activity details in cards', async ({ page }) => {
+  test('should show activity details in cards', async ({ authedPage: page }) => {
     // Navigate to activities page
     await page.click('a[href="/activities"]');
 
@@ -182,7 +185,7 @@ test.describe('Activity Management', () => {
     }
   });
 
-  test('should display different activity types correctly', async ({ page }) => {
+  test('should display different activity types correctly', async ({ authedPage: page, activitiesPage }) => {
     // Navigate to activities page
     await page.click('a[href="/activities"]');
 
@@ -195,15 +198,14 @@ test.describe('Activity Management', () => {
     ];
 
     for (const type of activityTypes) {
-      await page.selectOption('select[name="activityType"]', type);
-      await page.waitForTimeout(500);
+      await activitiesPage.waitForActivitiesRefresh(() => page.selectOption('select[name="activityType"]', type), { activityType: type });
 
       // Should update the filter
       await expect(page.locator('select[name="activityType"]')).toHaveValue(type);
     }
   });
 
-  test('should show activity count when activities exist', async ({ page }) => {
+  test('should show activity count when activities exist', async ({ authedPage: page }) => {
     // Navigate to activities page
     await page.click('a[href="/activities"]');
 
@@ -215,7 +217,7 @@ test.describe('Activity Management', () => {
     }
   });
 
-  test('should display priority indicators correctly', async ({ page }) => {
+  test('should display priority indicators correctly', async ({ authedPage: page }) => {
     // Navigate to activities page
     await page.click('a[href="/activities"]');
 
@@ -240,27 +242,23 @@ test.describe('Activity Management', () => {
     }
   });
 
-  test('should handle empty state gracefully', async ({ page }) => {
+  test('should handle empty state gracefully', async ({ authedPage: page, activitiesPage }) => {
+    // The account has no activities, whatever the backend holds
+    await activitiesPage.mockScenario('empty-activities');
+
     // Navigate to activities page
     await page.click('a[href="/activities"]');
 
-    // Apply filters that might result in no activities
-    await page.selectOption('select[name="activityType"]', 'offer-received');
-    await page.selectOption('select[name="activityStatus"]', 'completed');
-    await page.waitForTimeout(1000);
-
-    // Should either show activities or empty state
-    const hasActivities = await page.locator('.activity-card').count() > 0;
-    const hasEmptyState = await page.locator('.no-activities').isVisible();
+    // Should show the empty state and no activity cards
+    await expect(page.locator('.no-activities h4')).toContainText('No activities found');
+    await expect(page.locator('.activity-card')).toHaveCount(0);
 
-    expect(hasActivities || hasEmptyState).toBe(true);
-
-    if (hasEmptyState) {
-      await expect(page.locator('.no-activities h4')).toContainText('No activities found');
-    }
+    // Filters stay usable on an empty list
+    await activitiesPage.waitForActivitiesRefresh(() => page.selectOption('select[name="activityType"]', 'offer-received'), { activityType: 'offer-received' });
+    await expect(page.locator('.no-activities')).toBeVisible();
   });
 
-  test('should show job reference in activity cards', async ({ page }) => {
+  test('should show job reference in activity cards', async ({ authedPage: page }) => {
     // Navigate to activities page
     await page.click('a[href="/activities"]');
 
@@ -279,7 +277,7 @@ test.describe('Activity Management', () => {
     }
   });
 
-  test('should display activity dates correctly', async ({ page }) => {
+  test('should display activity dates correctly', async ({ authedPage: page }) => {
     // Navigate to activities page
     await page.click('a[href="/activities"]');
 
@@ -307,7 +305,7 @@ test.describe('Activity Management', () => {
     }
   });
 
-  test('should handle activity actions properly', async ({ page }) => {
+  test('should handle activity actions properly', async ({ authedPage: page }) => {
     // Navigate to activities page
     await page.click('a[href="/activities"]');
 
@@ -12,10 +12,15 @@
  * ✅ Browser Compatibility Considerations
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../support/fixtures');
 const { AuthPage, DashboardPage, NavigationComponent } = require('../pages');
+const { getCredentials, withWrongPassword } = require('../support/credentials');
+const { users } = require('../factories');
 
 test.describe('Comprehensive Authentication Tests', () => {
+  // These specs exercise login itself, so they start without a stored session
+  test.use({ authRole: null });
+
   let authPage;
   let dashboardPage;
   let navigation;
@@ -33,10 +38,7 @@ test.describe('Comprehensive Authentication Tests', () => {
   test.describe('🔐 Valid Credentials Testing', () => {
 
     test('@smoke should login successfully with valid credentials', async ({ page }) => {
-      const credentials = {
-        email: 'aaaa@gmail.com',
-        password: 'aaaaaa'
-      };
+      const credentials = getCredentials('primary');
 
       await authPage.login(credentials);
 
@@ -49,10 +51,7 @@ test.describe('Comprehensive Authentication Tests', () => {
     });
 
     test('should create session and maintain login state', async ({ page }) => {
-      const credentials = {
-        email: 'aaaa@gmail.com',
-        password: 'aaaaaa'
-      };
+      const credentials = getCredentials('primary');
 
       await authPage.login(credentials);
       await expect(page).toHaveURL('/');
@@ -69,10 +68,7 @@ test.describe('Comprehensive Authentication Tests', () => {
   test.describe('❌ Invalid Credentials Testing', () => {
 
     test('should show error for wrong password with valid username', async ({ page }) => {
-      const invalidCredentials = {
-        email: 'aaaa@gmail.com',
-        password: 'wrongpassword'
-      };
+      const invalidCredentials = withWrongPassword('primary');
 
       await authPage.login(invalidCredentials);
 
@@ -80,7 +76,7 @@ test.describe('Comprehensive Authentication Tests', () => {
       expect(await authPage.isOnRegisterPage()).toBe(true);
 
       // Should show error message
-      await page.waitForTimeout(2000);
+      await authPage.waitForAlertMessage();
       const hasAlert = await authPage.isAlertVisible();
       expect(hasAlert).toBe(true);
 
@@ -93,7 +89,7 @@ test.describe('Comprehensive Authentication Tests', () => {
     test('should show error for wrong username with any password', async ({ page }) => {
       const invalidCredentials = {
         email: 'nonexistent@email.com',
-        password: 'anypassword'
+        password: users.build().password
       };
 
       await authPage.login(invalidCredentials);
@@ -102,7 +98,7 @@ test.describe('Comprehensive Authentication Tests', () => {
       expect(await authPage.isOnRegisterPage()).toBe(true);
 
       // Should show error message
-      await page.waitForTimeout(2000);
+      await authPage.waitForAlertMessage();
       const hasAlert = await authPage.isAlertVisible();
       expect(hasAlert).toBe(true);
     });
@@ -110,7 +106,7 @@ test.describe('Comprehensive Authentication Tests', () => {
     test('should show error when both username and password are wrong', async ({ page }) => {
       const invalidCredentials = {
         email: 'wrong@email.com',
-        password: 'wrongpassword'
+        password: users.build().password
       };
 
       await authPage.login(invalidCredentials);
@@ -119,19 +115,16 @@ test.describe('Comprehensive Authentication Tests', () => {
       expect(await authPage.isOnRegisterPage()).toBe(true);
 
       // Should show error message
-      await page.waitForTimeout(2000);
+      await authPage.waitForAlertMessage();
       const hasAlert = await authPage.isAlertVisible();
       expect(hasAlert).toBe(true);
     });
 
     test('should not specify which field is wrong for security', async ({ page }) => {
-      const invalidCredentials = {
-        email: 'aaaa@gmail.com',
-        password: 'wrongpassword'
-      };
+      const invalidCredentials = withWrongPassword('primary');
 
       await authPage.login(invalidCredentials);
-      await page.waitForTimeout(2000);
+      await authPage.waitForAlertMessage();
 
       const hasAlert = await authPage.isAlertVisible();
       if (hasAlert) {
@@ -157,7 +150,7 @@ test.describe('Comprehensive Authentication Tests', () => {
       // Try to login with empty email
       await authPage.fillLoginForm({
         email: '',
-        password: 'somepassword'
+        password: users.build().password
       });
 
       await authPage.submitForm();
@@ -212,7 +205,7 @@ test.describe('Comprehensive Authentication Tests', () => {
       for (const invalidEmail of invalidEmails) {
         await authPage.fillLoginForm({
           email: invalidEmail,
-          password: 'password123'
+          password: users.build().password
         });
 
         await authPage.submitForm();
@@ -232,7 +225,8 @@ test.describe('Comprehensive Authentication Tests', () => {
       const passwordInput = page.locator(authPage.locators.passwordInput);
 
       // Fill password
-      await authPage.fillInput(authPage.locators.passwordInput, 'testpassword');
+      const { password } = users.build();
+      await authPage.fillInput(authPage.locators.passwordInput, password);
 
       // Password field should be of type 'password'
       const inputType = await passwordInput.getAttribute('type');
@@ -240,7 +234,7 @@ test.describe('Comprehensive Authentication Tests', () => {
 
       // The actual value should not be visible in the DOM
       const displayValue = await passwordInput.inputValue();
-      expect(displayValue).toBe('testpassword'); // This is the actual value
+      expect(displayValue).toBe(password); // This is the actual value
 
       // But it should be masked in the UI (we can't directly test visual masking via automation)
     });
@@ -297,7 +291,7 @@ test.describe('Comprehensive Authentication Tests', () => {
         expect(await authPage.isOnRegisterPage()).toBe(true);
 
         // Should not cause application error or crash
-        await page.waitForTimeout(1000);
+        await authPage.waitForLoadingToFinish();
 
         // Page should still be functional
         expect(await page.locator('body').isVisible()).toBe(true);
@@ -320,14 +314,14 @@ test.describe('Comprehensive Authentication Tests', () => {
       for (const xssAttempt of xssAttempts) {
         await authPage.fillLoginForm({
           email: xssAttempt,
-          password: 'password'
+          password: users.build().password
         });
 
         await authPage.submitForm();
 
         // Should not execute the script
         // The page should still be functional and not show alert
-        await page.waitForTimeout(1000);
+        await authPage.waitForLoadingToFinish();
 
         // Check that no alert dialog appeared (this would throw if alert showed)
         try {
@@ -422,11 +416,11 @@ test.describe('Comprehensive Authentication Tests', () => {
     test('should display clear and helpful error messages', async ({ page }) => {
       const invalidCredentials = {
         email: 'test@invalid.com',
-        password: 'wrongpassword'
+        password: users.build().password
       };
 
       await authPage.login(invalidCredentials);
-      await page.waitForTimeout(2000);
+      await authPage.waitForAlertMessage();
 
       if (await authPage.isAlertVisible()) {
         const alertMessage = await authPage.getAlertMessage();
@@ -443,10 +437,7 @@ test.describe('Comprehensive Authentication Tests', () => {
     });
 
     test('should handle rapid form submissions gracefully', async ({ page }) => {
-      const credentials = {
-        email: 'aaaa@gmail.com',
-        password: 'aaaaaa'
-      };
+      const credentials = getCredentials('primary');
 
       await authPage.fillLoginForm(credentials);
 
@@ -464,7 +455,7 @@ test.describe('Comprehensive Authentication Tests', () => {
     test('should maintain form state during errors', async ({ page }) => {
       const invalidCredentials = {
         email: 'test@email.com',
-        password: 'wrongpassword'
+        password: users.build().password
       };
 
       await authPage.fillLoginForm(invalidCredentials);
@@ -514,7 +505,7 @@ test.describe('Comprehensive Authentication Tests', () => {
 
       await authPage.fillLoginForm({
         email: longEmail,
-        password: 'password123'
+        password: users.build().password
       });
 
       await authPage.submitForm();
@@ -540,7 +531,7 @@ test.describe('Comprehensive Authentication Tests', () => {
     test('should handle special characters in credentials', async ({ page }) => {
       const specialChars = {
         email: 'test+tag@email-domain.co.uk',
-        password: 'P@$$w0rd!#$%^&*()'
+        password: `${users.build().password}@$$!#%^&*()`
       };
 
       await authPage.fillLoginForm(specialChars);
@@ -557,10 +548,7 @@ test.describe('Comprehensive Authentication Tests', () => {
         setTimeout(() => route.continue(), 2000);
       });
 
-      const credentials = {
-        email: 'aaaa@gmail.com',
-        password: 'aaaaaa'
-      };
+      const credentials = getCredentials('primary');
 
       await authPage.fillLoginForm(credentials);
       await authPage.submitForm();
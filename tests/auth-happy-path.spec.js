@@ -16,10 +16,15 @@
  * ✅ Complete end-to-end authentication workflow
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../support/fixtures');
 const { AuthPage, DashboardPage, NavigationComponent } = require('../pages');
+const { environment } = require('../support/environment');
+const { getCredentials } = require('../support/credentials');
 
 test.describe('Authentication Happy Path - POM', () => {
+  // These specs exercise login itself, so they start without a stored session
+  test.use({ authRole: null });
+
   let authPage;
   let dashboardPage;
   let navigation;
@@ -44,17 +49,10 @@ test.describe('Authentication Happy Path - POM', () => {
       expect(await authPage.isOnRegisterPage()).toBe(true);
 
       // Generate unique test user data
-      const userData = {
-        name: 'Happy Path User',
-        email: authPage.generateTestEmail(),
-        password: 'SecurePassword123!'
-      };
-
-      // Fill and submit registration form
-      await authPage.register(userData);
+      const userData = authPage.generateTestUser({ name: 'Happy Path User' });
 
-      // Wait a moment to see if there are any errors
-      await page.waitForTimeout(2000);
+      // Fill and submit registration form, waiting for the API to answer
+      await authPage.waitForResponseAfter(() => authPage.register(userData), '/api/v1/auth/register', { method: 'POST' });
 
       // Check if there are any alert/error messages
       const hasAlert = await authPage.isAlertVisible();
@@ -78,11 +76,7 @@ test.describe('Authentication Happy Path - POM', () => {
     test('should display welcome content after successful registration', async ({ page }) => {
       await authPage.navigateToAuth();
 
-      const userData = {
-        name: 'Welcome Test User',
-        email: authPage.generateTestEmail(),
-        password: 'WelcomeTest123!'
-      };
+      const userData = authPage.generateTestUser({ name: 'Welcome Test User' });
 
       await authPage.register(userData);
 
@@ -100,11 +94,7 @@ test.describe('Authentication Happy Path - POM', () => {
     test('should show navigation menu after successful registration', async ({ page }) => {
       await authPage.navigateToAuth();
 
-      const userData = {
-        name: 'Navigation Test User',
-        email: authPage.generateTestEmail(),
-        password: 'NavTest123!'
-      };
+      const userData = authPage.generateTestUser({ name: 'Navigation Test User' });
 
       await authPage.register(userData);
       await dashboardPage.waitForDashboardLoad();
@@ -130,10 +120,7 @@ test.describe('Authentication Happy Path - POM', () => {
       expect(await authPage.isOnRegisterPage()).toBe(true);
 
       // Login with known valid credentials
-      const credentials = {
-        email: 'aaaa@gmail.com',
-        password: 'aaaaaa'
-      };
+      const credentials = getCredentials('primary');
 
       await authPage.login(credentials);
 
@@ -175,7 +162,7 @@ test.describe('Authentication Happy Path - POM', () => {
       await expect(page).toHaveURL('/', { timeout: 10000 });
 
       // Session should be maintained - we can still access protected routes
-      expect(page.url()).toBe('http://localhost:3000/');
+      expect(page.url()).toBe(new URL('/', environment.baseURL).href);
     });
 
     test('should persist authentication across page refreshes', async ({ page }) => {
@@ -201,10 +188,7 @@ test.describe('Authentication Happy Path - POM', () => {
     });
 
     test('should handle multiple consecutive login attempts successfully', async ({ page }) => {
-      const credentials = {
-        email: 'aaaa@gmail.com',
-        password: 'aaaaaa'
-      };
+      const credentials = getCredentials('primary');
 
       // Perform multiple login/logout cycles
       for (let i = 0; i < 3; i++) {
@@ -391,9 +375,6 @@ test.describe('Authentication Happy Path - POM', () => {
         // Should remain authenticated throughout - verify by not being redirected to landing
         expect(page.url()).not.toContain('/landing');
         expect(page.url()).not.toContain('/register');
-
-        // Small delay to simulate real user behavior
-        await page.waitForTimeout(500);
       }
 
       // Final verification - still logged in (not redirected to landing/register)
@@ -411,10 +392,7 @@ test.describe('Authentication Happy Path - POM', () => {
     test('should show appropriate loading states during authentication', async ({ page }) => {
       await authPage.navigateToAuth();
 
-      const credentials = {
-        email: 'aaaa@gmail.com',
-        password: 'aaaaaa'
-      };
+      const credentials = getCredentials('primary');
 
       // Fill form
       await authPage.fillLoginForm(credentials);
@@ -443,10 +421,7 @@ test.describe('Authentication Happy Path - POM', () => {
     test('should handle rapid user interactions gracefully', async ({ page }) => {
       await authPage.navigateToAuth();
 
-      const credentials = {
-        email: 'aaaa@gmail.com',
-        password: 'aaaaaa'
-      };
+      const credentials = getCredentials('primary');
 
       // Rapid form interactions
       await authPage.fillLoginForm(credentials);
@@ -12,24 +12,21 @@
  * - Redirect behavior for protected routes
  */
 
-const { test, expect } = require('@playwright/test');
-const { AuthPage, DashboardPage } = require('../pages');
+const { test, expect } = require('../support/fixtures');
+const { getCredentials } = require('../support/credentials');
+const { users } = require('../factories');
 
 test.describe('Authentication - POM', () => {
-  let authPage;
-  let dashboardPage;
-
-  test.beforeEach(async ({ page }) => {
-    // Initialize page objects
-    authPage = new AuthPage(page);
-    dashboardPage = new DashboardPage(page);
+  // These specs exercise login itself, so they start without a stored session
+  test.use({ authRole: null });
 
+  test.beforeEach(async ({ authPage }) => {
     // Start fresh for each test
     await authPage.clearCookies();
     await authPage.navigate('/');
   });
 
-  test('should redirect unauthenticated users to register page', async ({ page }) => {
+  test('should redirect unauthenticated users to register page', async ({ page, authPage }) => {
     // Visiting the root should redirect to register if not authenticated
     await expect(page).toHaveURL('/register');
 
@@ -38,15 +35,11 @@ test.describe('Authentication - POM', () => {
     expect(['Login', 'Register'].some(text => pageTitle.includes(text))).toBe(true);
   });
 
-  test('should register a new user successfully', async ({ page }) => {
+  test('should register a new user successfully', async ({ page, authPage, dashboardPage }) => {
     await authPage.navigateToAuth();
 
     // Generate unique user data
-    const userData = {
-      name: 'Test User',
-      email: authPage.generateTestEmail(),
-      password: 'testpassword123'
-    };
+    const userData = authPage.generateTestUser({ name: 'Test User' });
 
     // Register user
     await authPage.register(userData);
@@ -58,14 +51,11 @@ test.describe('Authentication - POM', () => {
     expect(await dashboardPage.isDashboardContentVisible()).toBe(true);
   });
 
-  test('should login existing user successfully', async ({ page }) => {
+  test('should login existing user successfully', async ({ page, authPage }) => {
     await authPage.navigateToAuth();
 
     // Login with test credentials
-    const credentials = {
-      email: 'aaaa@gmail.com',
-      password: 'aaaaaa'
-    };
+    const credentials = getCredentials('primary');
 
     await authPage.login(credentials);
 
@@ -76,13 +66,13 @@ test.describe('Authentication - POM', () => {
     expect(await authPage.isUserInfoVisible()).toBe(true);
   });
 
-  test('should show error for invalid login credentials', async ({ page }) => {
+  test('should show error for invalid login credentials', async ({ authPage }) => {
     await authPage.navigateToAuth();
 
     // Login with invalid credentials
     const invalidCredentials = {
       email: 'invalid@email.com',
-      password: 'wrongpassword'
+      password: users.build().password
     };
 
     await authPage.login(invalidCredentials);
@@ -94,7 +84,7 @@ test.describe('Authentication - POM', () => {
     expect(await authPage.isAlertVisible()).toBe(true);
   });
 
-  test('should toggle between login and register modes', async ({ page }) => {
+  test('should toggle between login and register modes', async ({ authPage }) => {
     await authPage.navigateToAuth();
 
     // Should initially show login form
@@ -122,7 +112,7 @@ test.describe('Authentication - POM', () => {
     expect(await authPage.isNameFieldVisible()).toBe(false);
   });
 
-  test('should logout user successfully', async ({ page }) => {
+  test('should logout user successfully', async ({ page, authPage, dashboardPage }) => {
     // First login
     await authPage.performLogin();
 
@@ -140,7 +130,7 @@ test.describe('Authentication - POM', () => {
     expect(['Login', 'Register'].some(text => pageTitle.includes(text))).toBe(true);
   });
 
-  test('should maintain authentication state across page refreshes', async ({ page }) => {
+  test('should maintain authentication state across page refreshes', async ({ page, authPage, dashboardPage }) => {
     // Login first
     await authPage.performLogin();
 
@@ -155,7 +145,7 @@ test.describe('Authentication - POM', () => {
     expect(await dashboardPage.isDashboardContentVisible()).toBe(true);
   });
 
-  test('should validate required fields in registration', async ({ page }) => {
+  test('should validate required fields in registration', async ({ authPage }) => {
     await authPage.navigateToAuth();
 
     // Switch to register mode
@@ -171,14 +161,14 @@ test.describe('Authentication - POM', () => {
     expect(await authPage.isOnRegisterPage()).toBe(true);
   });
 
-  test('should validate email format', async ({ page }) => {
+  test('should validate email format', async ({ authPage }) => {
     await authPage.navigateToAuth();
 
     // Fill form with invalid email
     const invalidUserData = {
       name: 'Test User',
       email: 'invalid-email',
-      password: 'password123'
+      password: users.build().password
     };
 
     await authPage.fillRegistrationForm(invalidUserData);
@@ -191,13 +181,10 @@ test.describe('Authentication - POM', () => {
     expect(validationMessage).toBeTruthy();
   });
 
-  test('should handle multiple login attempts', async ({ page }) => {
+  test('should handle multiple login attempts', async ({ page, authPage }) => {
     await authPage.navigateToAuth();
 
-    const credentials = {
-      email: 'aaaa@gmail.com',
-      password: 'aaaaaa'
-    };
+    const credentials = getCredentials('primary');
 
     // Perform multiple login attempts to ensure consistency
     for (let i = 0; i < 2; i++) {
@@ -218,13 +205,13 @@ test.describe('Authentication - POM', () => {
     }
   });
 
-  test('should clear form after switching modes', async ({ page }) => {
+  test('should clear form after switching modes', async ({ authPage }) => {
     await authPage.navigateToAuth();
 
     // Fill login form
     await authPage.fillLoginForm({
       email: 'test@example.com',
-      password: 'testpass'
+      password: users.build().password
     });
 
     // Switch to register mode
@@ -0,0 +1,40 @@
+/**
+ * =====================================================
+ * AUTHENTICATION SETUP PROJECT
+ * =====================================================
+ *
+ * Logs in once per user role through the UI and saves the resulting
+ * storageState to playwright/.auth/<role>.json. Every browser project
+ * depends on this project, so specs start already authenticated.
+ * Optional roles whose account global setup could not log in are
+ * skipped rather than failed (see support/auth-state.js).
+ * With HAR_MODE set the login is recorded or replayed like any spec's
+ * traffic (see support/har.js).
+ */
+
+const { test: setup, expect } = require('@playwright/test');
+const { AuthPage } = require('../pages');
+const { AUTH_ROLES, hasSession, authStatePath } = require('../support/auth-state');
+const { HarSession, describeReport } = require('../support/har');
+
+for (const [role, credentials] of Object.entries(AUTH_ROLES)) {
+  setup(`authenticate as ${role}`, async ({ page }, testInfo) => {
+    setup.skip(!hasSession(role), `${role} account ${credentials.email} could not log in during global setup`);
+
+    const harSession = HarSession.forTest(testInfo);
+    if (harSession) {
+      await harSession.attach(page);
+    }
+    const authPage = new AuthPage(page);
+
+    await authPage.performLogin(credentials);
+    await expect(page).toHaveURL('/');
+
+    await page.context().storageState({ path: authStatePath(role) });
+
+    const report = harSession && harSession.finish();
+    if (report && describeReport(report)) {
+      testInfo.annotations.push({ type: 'har-replay', description: describeReport(report) });
+    }
+  });
+}
@@ -11,9 +11,14 @@
  * - Redirect behavior for protected routes
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../support/fixtures');
+const { users } = require('../factories');
+const { getCredentials } = require('../support/credentials');
 
 test.describe('Authentication', () => {
+  // These specs exercise login itself, so they start without a stored session
+  test.use({ authRole: null });
+
   test.beforeEach(async ({ page }) => {
     // Start fresh for each test
     await page.context().clearCookies();
@@ -38,13 +43,12 @@ test.describe('Authentication', () => {
     }
 
     // Generate unique email for this test
-    const timestamp = Date.now();
-    const testEmail = `test${timestamp}@jobtrack.com`;
+    const { email: testEmail, password: testPassword } = users.build();
 
     // Fill registration form
     await page.fill('input[name="name"]', 'Test User');
     await page.fill('input[name="email"]', testEmail);
-    await page.fill('input[name="password"]', 'testpassword123');
+    await page.fill('input[name="password"]', testPassword);
 
     // Submit registration
     await page.click('button[type="submit"]');
@@ -66,8 +70,8 @@ test.describe('Authentication', () => {
     }
 
     // Fill login form with test credentials
-    await page.fill('input[name="email"]', 'test@jobtrack.com');
-    await page.fill('input[name="password"]', 'testpassword123');
+    await page.fill('input[name="email"]', getCredentials('secondary').email);
+    await page.fill('input[name="password"]', getCredentials('secondary').password);
 
     // Submit login
     await page.click('button[type="submit"]');
@@ -90,7 +94,7 @@ test.describe('Authentication', () => {
 
     // Fill form with invalid credentials
     await page.fill('input[name="email"]', 'invalid@email.com');
-    await page.fill('input[name="password"]', 'wrongpassword');
+    await page.fill('input[name="password"]', users.build().password);
 
     // Submit login
     await page.click('button[type="submit"]');
@@ -130,8 +134,8 @@ test.describe('Authentication', () => {
   test('should logout user successfully', async ({ page }) => {
     // First login
     await page.goto('/register');
-    await page.fill('input[name="email"]', 'test@jobtrack.com');
-    await page.fill('input[name="password"]', 'testpassword123');
+    await page.fill('input[name="email"]', getCredentials('secondary').email);
+    await page.fill('input[name="password"]', getCredentials('secondary').password);
     await page.click('button[type="submit"]');
 
     // Wait for dashboard to load
@@ -160,8 +164,8 @@ test.describe('Authentication', () => {
   test('should maintain authentication state across page refreshes', async ({ page }) => {
     // Login first
     await page.goto('/register');
-    await page.fill('input[name="email"]', 'test@jobtrack.com');
-    await page.fill('input[name="password"]', 'testpassword123');
+    await page.fill('input[name="email"]', getCredentials('secondary').email);
+    await page.fill('input[name="password"]', getCredentials('secondary').password);
     await page.click('button[type="submit"]');
 
     // Wait for dashboard
@@ -206,7 +210,7 @@ test.describe('Authentication', () => {
     // Fill form with invalid email
     await page.fill('input[name="name"]', 'Test User');
     await page.fill('input[name="email"]', 'invalid-email');
-    await page.fill('input[name="password"]', 'password123');
+    await page.fill('input[name="password"]', users.build().password);
 
     // Submit form
     await page.click('button[type="submit"]');
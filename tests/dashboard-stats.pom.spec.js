@@ -0,0 +1,134 @@
+/**
+ * =====================================================
+ * DASHBOARD STATS TESTS - POM VERSION
+ * =====================================================
+ *
+ * This test suite checks the numbers the dashboard shows against jobs
+ * seeded over HTTP with known statuses and creation months:
+ * - The pending, interview and declined stat card counts
+ * - The monthly applications chart: month labels and values, in both
+ *   the bar and the area view
+ * - Both after a job's status changes, through the API and the edit form
+ *
+ * Counts must be exact, so every test seeds its own account instead
+ * of sharing the suite accounts with other workers.
+ */
+
+const { test, expect } = require('../support/fixtures');
+const { jobs } = require('../factories');
+
+// Jobs per month; applied and offer jobs count in the chart but have no card
+const SEED = [
+  { month: '2024-11', statuses: ['pending'] },
+  { month: '2025-01', statuses: ['interview', 'interview', 'declined'] },
+  { month: '2025-02', statuses: ['pending', 'pending', 'pending'] },
+  { month: '2025-03', statuses: ['pending', 'declined', 'applied'] },
+  { month: '2025-04', statuses: ['interview', 'interview', 'offer'] }
+];
+
+const EXPECTED_COUNTS = { pending: 5, interview: 4, declined: 2 };
+
+// Months without jobs are left out of the chart
+const EXPECTED_CHART = [
+  { date: 'Nov 2024', count: 1 },
+  { date: 'Jan 2025', count: 3 },
+  { date: 'Feb 2025', count: 3 },
+  { date: 'Mar 2025', count: 3 },
+  { date: 'Apr 2025', count: 3 }
+];
+
+test.describe('Dashboard Stats - POM', { tag: '@destructive' }, () => {
+  test.use({ authRole: null });
+
+  let seeded;
+
+  test.beforeEach(async ({ api, authPage, dashboardPage, freshUser }) => {
+    seeded = [];
+    for (const { month, statuses } of SEED) {
+      for (const [index, status] of statuses.entries()) {
+        // Mid-month, so the month is the same in every timezone
+        const createdAt = `${month}-${String(10 + index).padStart(2, '0')}T12:00:00.000Z`;
+        seeded.push(await api.createJob(jobs.build({ status, createdAt })));
+      }
+    }
+
+    await authPage.performLogin(freshUser);
+    await dashboardPage.openDashboard();
+  });
+
+  test('should show the seeded count on every stat card', async ({ dashboardPage }) => {
+    expect(await dashboardPage.getStatCounts()).toEqual(EXPECTED_COUNTS);
+
+    const statistics = await dashboardPage.getStatistics();
+    expect(statistics.hasStats).toBe(true);
+    expect(statistics.counts).toEqual(EXPECTED_COUNTS);
+  });
+
+  test('should show the same counts as the stats API', async ({ api, dashboardPage }) => {
+    const { defaultStats } = await api.getJobStats();
+
+    expect(await dashboardPage.getStatCounts()).toEqual({
+      pending: defaultStats.pending,
+      interview: defaultStats.interview,
+      declined: defaultStats.declined
+    });
+  });
+
+  test('should chart one point per month with jobs', async ({ api, dashboardPage }) => {
+    expect(await dashboardPage.isChartVisible()).toBe(true);
+    expect(await dashboardPage.getChartMonths()).toEqual(EXPECTED_CHART.map(point => point.date));
+    expect(await dashboardPage.getChartData()).toEqual(EXPECTED_CHART);
+
+    const { monthlyApplications } = await api.getJobStats();
+    expect(monthlyApplications).toEqual(EXPECTED_CHART);
+  });
+
+  test('should show the same data in the bar and area charts', async ({ dashboardPage }) => {
+    const first = await dashboardPage.getChartType();
+    expect(['bar', 'area']).toContain(first);
+    expect(await dashboardPage.getChartData()).toEqual(EXPECTED_CHART);
+
+    const second = await dashboardPage.toggleChart();
+    expect(second).toBe(first === 'bar' ? 'area' : 'bar');
+    expect(await dashboardPage.getChartData()).toEqual(EXPECTED_CHART);
+
+    await dashboardPage.setChartType(first);
+    expect(await dashboardPage.getChartType()).toBe(first);
+    expect(await dashboardPage.getChartValues()).toEqual(EXPECTED_CHART.map(point => point.count));
+  });
+
+  test('should move a job between cards when its status changes through the API', async ({ api, dashboardPage }) => {
+    const job = seeded.find(candidate => candidate.status === 'pending');
+    await api.updateJob(job._id, { status: 'interview' });
+
+    await dashboardPage.openDashboard();
+
+    await dashboardPage.expectStatCounts({ pending: 4, interview: 5, declined: 2 });
+    // The chart counts jobs by creation month, whatever their status
+    expect(await dashboardPage.getChartData()).toEqual(EXPECTED_CHART);
+  });
+
+  test('should move a job between cards when it is edited', async ({ dashboardPage, jobsPage, addJobPage }) => {
+    const job = seeded.find(candidate => candidate.status === 'interview');
+
+    await jobsPage.navigateToJobs();
+    await jobsPage.editJobByCompany(job.company);
+    await addJobPage.waitForEditFormLoad();
+    await addJobPage.updateJob({ status: 'declined' });
+
+    await dashboardPage.openDashboard();
+
+    await dashboardPage.expectStatCounts({ pending: 5, interview: 3, declined: 3 });
+    expect(await dashboardPage.getChartData()).toEqual(EXPECTED_CHART);
+  });
+
+  test('should drop a deleted job from its card and month', async ({ api, dashboardPage }) => {
+    const job = seeded.find(candidate => candidate.createdAt.startsWith('2024-11'));
+    await api.deleteJob(job._id);
+
+    await dashboardPage.openDashboard();
+
+    await dashboardPage.expectStatCounts({ ...EXPECTED_COUNTS, pending: 4 });
+    expect(await dashboardPage.getChartData()).toEqual(EXPECTED_CHART.slice(1));
+  });
+});
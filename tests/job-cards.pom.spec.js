@@ -0,0 +1,99 @@
+/**
+ * =====================================================
+ * JOB CARD TESTS - POM VERSION
+ * =====================================================
+ *
+ * This test suite covers the job cards on /all-jobs using the JobCard
+ * component:
+ * - Every field parsed into typed values
+ * - Looking cards up by company and position
+ * - Per-card edit, delete and open-posting actions
+ */
+
+const { test, expect } = require('../support/fixtures');
+const { jobs } = require('../factories');
+
+test.describe('Job Cards - POM', () => {
+  let job;
+
+  test.beforeEach(async ({ authedPage, api, jobsPage, navigation }) => {
+    job = await api.createJob(jobs.build({
+      salaryMin: 95000,
+      salaryMax: 125000,
+      salaryCurrency: 'EUR',
+      priority: 'high',
+      tags: ['react', 'typescript']
+    }));
+
+    await navigation.goToAllJobs();
+    await jobsPage.waitForJobsLoad();
+  });
+
+  test('should parse every field of a card', async ({ jobsPage }) => {
+    const card = jobsPage.cardFor({ company: job.company });
+    const details = await card.details();
+
+    expect(details).toMatchObject({
+      position: job.position,
+      company: job.company,
+      location: job.jobLocation,
+      status: job.status,
+      jobType: job.jobType,
+      priority: 'high',
+      salary: { min: 95000, max: 125000, currency: 'EUR' },
+      postingUrl: job.jobPostingUrl
+    });
+    expect(details.tags).toEqual(expect.arrayContaining(['react', 'typescript']));
+    expect(details.dateApplied).toBeInstanceOf(Date);
+    expect(details.dateApplied.toDateString()).toBe(new Date(job.createdAt).toDateString());
+  });
+
+  test('should find a card by company and position', async ({ api, jobsPage }) => {
+    // Same company, different position
+    const sibling = await api.createJob(jobs.build({ company: job.company, position: 'Sibling Role' }));
+    await jobsPage.reload();
+    await jobsPage.waitForJobsLoad();
+
+    expect(await jobsPage.cardFor({ company: job.company, position: job.position }).getPosition()).toBe(job.position);
+    expect(await jobsPage.cardFor({ company: job.company, position: 'Sibling Role' }).getPosition()).toBe(sibling.position);
+    expect(await jobsPage.jobContainsInfo(job.company, { jobLocation: job.jobLocation })).toBe(true);
+  });
+
+  test('should return a card for every listed job', async ({ jobsPage }) => {
+    const cards = await jobsPage.cards();
+    expect(cards.length).toBe(await jobsPage.getJobCardsCount());
+
+    const companies = [];
+    for (const card of cards) {
+      companies.push(await card.getCompany());
+    }
+    expect(companies).toContain(job.company);
+  });
+
+  test('should edit from the card', async ({ jobsPage, addJobPage }) => {
+    await jobsPage.cardFor({ company: job.company }).edit();
+    await addJobPage.waitForEditFormLoad();
+
+    expect(await addJobPage.isFormPreFilled(job)).toBe(true);
+  });
+
+  test('should delete from the card', async ({ api, jobsPage }) => {
+    const card = jobsPage.cardFor({ company: job.company });
+    await card.delete();
+
+    expect(await card.isVisible()).toBe(false);
+    const { jobs: remaining } = await api.listJobs({ search: job.company });
+    expect(remaining).toHaveLength(0);
+  });
+
+  test('should open the job posting', async ({ context, jobsPage }) => {
+    // Serve the posting locally instead of reaching the example domain
+    await context.route(job.jobPostingUrl, route =>
+      route.fulfill({ contentType: 'text/html', body: '<h1>Job posting</h1>' }));
+
+    const posting = await jobsPage.cardFor({ company: job.company }).openPosting();
+
+    expect(posting.url()).toBe(job.jobPostingUrl);
+    await expect(posting.locator('h1')).toHaveText('Job posting');
+  });
+});
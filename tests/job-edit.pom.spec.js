@@ -0,0 +1,122 @@
+/**
+ * =====================================================
+ * JOB EDIT TESTS - POM VERSION
+ * =====================================================
+ *
+ * This test suite covers the add-job form in edit mode using POM:
+ * - Telling edit mode apart from create mode
+ * - Pre-filling every field of the job being edited
+ * - Replacing and clearing any field
+ * - Cancelling an edit without saving
+ * - Edited values round-tripping to the job card and the API
+ */
+
+const { test, expect } = require('../support/fixtures');
+const { jobs } = require('../factories');
+
+// Fields the form can leave empty
+const OPTIONAL_FIELDS = ['salaryMin', 'salaryMax', 'jobDescription', 'companyWebsite', 'jobPostingUrl', 'notes'];
+
+test.describe('Job Edit - POM', () => {
+  let job;
+
+  test.beforeEach(async ({ authedPage, api, jobsPage, navigation }) => {
+    // Arrange a job with every field set, so only the edit goes through the UI
+    job = await api.createJob(jobs.build());
+
+    await navigation.goToAllJobs();
+    await jobsPage.waitForJobsLoad();
+  });
+
+  test('should open the form in create mode from the navigation', async ({ addJobPage, navigation }) => {
+    await navigation.goToAddJob();
+    await addJobPage.waitForFormLoad();
+
+    expect(await addJobPage.isEditMode()).toBe(false);
+  });
+
+  test('should pre-fill every field of the edited job', async ({ jobsPage, addJobPage }) => {
+    await jobsPage.editJobByCompany(job.company);
+    await addJobPage.waitForEditFormLoad();
+
+    expect(await addJobPage.isEditMode()).toBe(true);
+    expect(await addJobPage.isFormPreFilled(job)).toBe(true);
+    expect((await addJobPage.getFormValues()).tags).toEqual(job.tags);
+  });
+
+  test('should replace every field and round-trip to the card and API', async ({ api, jobsPage, addJobPage, navigation }) => {
+    await jobsPage.editJobByCompany(job.company);
+    await addJobPage.waitForEditFormLoad();
+
+    // A second factory job gives a new value for every field
+    const updates = jobs.build();
+    const submitted = await addJobPage.updateJob(updates);
+
+    expect(await addJobPage.getAlertMessage()).toContain('Job Updated');
+    const { tags, ...scalarFields } = submitted;
+    addJobPage.expectJobPatched(scalarFields);
+
+    // Saved on the backend...
+    const saved = await api.getJob(job._id);
+    expect(saved).toMatchObject(submitted);
+
+    // ...shown on the job card...
+    await navigation.goToAllJobs();
+    await jobsPage.waitForJobsLoad();
+    expect(await jobsPage.jobContainsInfo(submitted.company, {
+      position: submitted.position,
+      jobLocation: submitted.jobLocation
+    })).toBe(true);
+
+    // ...and read back by the form on the next edit
+    await jobsPage.editJobByCompany(submitted.company);
+    await addJobPage.waitForEditFormLoad();
+    expect(await addJobPage.isFormPreFilled(saved)).toBe(true);
+  });
+
+  test('should clear optional fields', async ({ api, jobsPage, addJobPage, navigation }) => {
+    await jobsPage.editJobByCompany(job.company);
+    await addJobPage.waitForEditFormLoad();
+
+    await addJobPage.clearFields(...OPTIONAL_FIELDS);
+    await addJobPage.updateJob({});
+    addJobPage.expectJobPatched({ jobDescription: '', notes: '' });
+
+    const saved = await api.getJob(job._id);
+    for (const field of OPTIONAL_FIELDS) {
+      expect(saved[field] ?? '', field).toBe('');
+    }
+    expect(saved).toMatchObject({ position: job.position, company: job.company });
+
+    // Still empty when the job is edited again
+    await navigation.goToAllJobs();
+    await jobsPage.editJobByCompany(job.company);
+    await addJobPage.waitForEditFormLoad();
+    await addJobPage.expectFormValues(Object.fromEntries(OPTIONAL_FIELDS.map(field => [field, ''])));
+  });
+
+  test('should replace only the tags', async ({ api, jobsPage, addJobPage }) => {
+    await jobsPage.editJobByCompany(job.company);
+    await addJobPage.waitForEditFormLoad();
+
+    // Keep the run tag so the leftover sweep still finds the job
+    const tags = jobs.build({ tags: ['edited', 'tags-only'] }).tags;
+    await addJobPage.updateJob({ tags });
+
+    const saved = await api.getJob(job._id);
+    expect(saved.tags).toEqual(tags);
+    expect(saved).toMatchObject({ position: job.position, salaryMin: job.salaryMin, notes: job.notes });
+  });
+
+  test('should discard changes when an edit is cancelled', async ({ api, jobsPage, addJobPage }) => {
+    await jobsPage.editJobByCompany(job.company);
+    await addJobPage.waitForEditFormLoad();
+
+    await addJobPage.setFormFields({ position: 'Never Saved', notes: 'Never saved either' });
+    const patches = await addJobPage.cancelEdit();
+
+    expect(patches.map(request => request.url()), 'job PATCHes sent while cancelling').toEqual([]);
+    const saved = await api.getJob(job._id);
+    expect(saved).toMatchObject({ position: job.position, notes: job.notes });
+  });
+});
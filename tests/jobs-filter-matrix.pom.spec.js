@@ -0,0 +1,135 @@
+/**
+ * =====================================================
+ * JOBS FILTER MATRIX TESTS - POM VERSION
+ * =====================================================
+ *
+ * This test suite combines the /all-jobs filters instead of trying
+ * them one at a time:
+ * - Pairwise combinations of search, status, type, category, priority
+ *   and sort, each checked card-for-card against a result computed
+ *   from the seeded jobs (see support/filter-matrix.js)
+ * - The same local results checked against the API
+ * - Clear Filters resetting every control
+ *
+ * Results must be exact, so every test seeds its own account instead
+ * of sharing the suite accounts with other workers.
+ */
+
+const { test, expect } = require('../support/fixtures');
+const { jobs } = require('../factories');
+const { JobsPage } = require('../pages');
+const {
+  FilterMatrix,
+  pairwiseCombinations,
+  filterJobs,
+  compareListing,
+  describeCombination
+} = require('../support/filter-matrix');
+
+const POSITIONS = ['Software Engineer', 'Product Designer', 'Data Engineer', 'QA Analyst'];
+const STATUSES = ['pending', 'interview', 'declined', 'applied'];
+const TYPES = ['full-time', 'remote', 'part-time'];
+const CATEGORIES = ['software-engineering', 'design', 'data-science'];
+const PRIORITIES = ['high', 'low', 'medium'];
+const JOB_COUNT = 16;
+
+// Values to combine; 'all' and '' are the unfiltered defaults
+const PARAMETERS = {
+  search: ['', 'engineer', 'ACME'],
+  status: ['all', 'pending', 'interview', 'declined'],
+  type: ['all', 'full-time', 'remote'],
+  category: ['all', 'software-engineering', 'design'],
+  priority: ['all', 'high', 'low'],
+  sort: ['latest', 'a-z']
+};
+
+/**
+ * The seeded dataset: fields cycle at different rates, so most
+ * filter pairs match some jobs but not all of them
+ */
+function matrixJobs() {
+  const start = Date.parse('2025-02-01T08:00:00.000Z');
+  return Array.from({ length: JOB_COUNT }, (_, index) => jobs.build({
+    position: POSITIONS[index % POSITIONS.length],
+    company: `${index % 2 === 0 ? 'Acme' : 'Globex'} Matrix ${index}`,
+    status: STATUSES[Math.floor(index / 4) % STATUSES.length],
+    jobType: TYPES[index % TYPES.length],
+    category: CATEGORIES[Math.floor(index / 3) % CATEGORIES.length],
+    priority: PRIORITIES[(index * 2) % PRIORITIES.length],
+    createdAt: new Date(start + index * 3600000).toISOString()
+  }));
+}
+
+test.describe('Jobs Filter Matrix - POM', { tag: ['@destructive', '@load'] }, () => {
+  test.use({ authRole: null });
+
+  let seeded;
+
+  test.beforeEach(async ({ api, authPage, jobsPage, freshUser }) => {
+    seeded = [];
+    for (const job of matrixJobs()) {
+      seeded.push(await api.createJob(job));
+    }
+
+    await authPage.performLogin(freshUser);
+    await jobsPage.navigateToJobs();
+    await jobsPage.waitForJobsLoad();
+  });
+
+  test('should list exactly the expected jobs for every pairwise combination', async ({ jobsPage }, testInfo) => {
+    test.slow();
+
+    const matrix = new FilterMatrix(jobsPage, seeded, PARAMETERS);
+    const results = [];
+    const { combinations, failures, minimal } = await matrix.run({
+      onResult: (filters, mismatch) => results.push({ filters: matrix.describe(filters), mismatch })
+    });
+
+    await testInfo.attach('filter-matrix.json', {
+      body: JSON.stringify({ combinations: combinations.length, results }, null, 2),
+      contentType: 'application/json'
+    });
+
+    const report = failures.map(({ filters, mismatch }) => `${matrix.describe(filters)}: ${JSON.stringify(mismatch)}`);
+    expect(report, minimal ? `minimal failing combination: ${matrix.describe(minimal)}` : undefined).toEqual([]);
+  });
+
+  test('should compute the same results as the API', async ({ api }) => {
+    const byCompany = new Map(seeded.map(job => [job.company, job]));
+    const combinations = pairwiseCombinations(PARAMETERS).map(combination => ({ ...JobsPage.DEFAULT_FILTERS, ...combination }));
+
+    for (const filters of combinations) {
+      const listed = await api.listAllJobs({
+        search: filters.search,
+        status: filters.status,
+        jobType: filters.type,
+        category: filters.category,
+        priority: filters.priority,
+        sort: filters.sort
+      });
+      const mismatch = compareListing(listed.map(job => job.company), filterJobs(seeded, filters), filters.sort, byCompany);
+      expect(mismatch, describeCombination(filters, JobsPage.DEFAULT_FILTERS)).toBeNull();
+    }
+  });
+
+  test('should reset every control when filters are cleared', async ({ jobsPage }) => {
+    const filters = {
+      search: 'engineer',
+      status: 'interview',
+      type: 'remote',
+      category: 'design',
+      priority: 'low',
+      sort: 'a-z'
+    };
+    expect(Object.keys(filters).sort()).toEqual(Object.keys(await jobsPage.getCurrentFilters()).sort());
+
+    await jobsPage.applyFilters(filters);
+    expect(await jobsPage.getCurrentFilters()).toEqual(filters);
+
+    await jobsPage.clearFilters();
+
+    expect(await jobsPage.getCurrentFilters()).toEqual(JobsPage.DEFAULT_FILTERS);
+    expect(await jobsPage.hasDefaultFilters()).toBe(true);
+    expect(await jobsPage.getTotalJobsCount()).toBe(JOB_COUNT);
+  });
+});
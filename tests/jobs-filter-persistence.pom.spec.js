@@ -0,0 +1,122 @@
+/**
+ * =====================================================
+ * JOBS FILTER PERSISTENCE TESTS - POM VERSION
+ * =====================================================
+ *
+ * This test suite covers whether /all-jobs filters outlive the view
+ * they were set in:
+ * - Reflected in the URL query string, so a filtered view can be shared
+ * - Restored from a shared URL
+ * - Kept across reload, back/forward and a trip to /add-job
+ * - Removed from the URL by Clear Filters
+ */
+
+const { test, expect } = require('../support/fixtures');
+const { JobsPage } = require('../pages');
+
+const FILTERS = {
+  search: 'Engineer',
+  status: 'interview',
+  type: 'full-time',
+  priority: 'high',
+  sort: 'a-z'
+};
+
+test.describe('Jobs Filter Persistence - POM', () => {
+  test.beforeEach(async ({ authedPage, jobsPage, navigation }) => {
+    await navigation.goToAllJobs();
+    await jobsPage.waitForJobsLoad();
+  });
+
+  test('should reflect applied filters in the URL', async ({ jobsPage }) => {
+    await jobsPage.applyFilters(FILTERS);
+
+    await jobsPage.expectFilters(FILTERS);
+    await jobsPage.expectUrlMatchesFilters();
+    expect(await jobsPage.getFiltersFromUrl()).toEqual({ ...JobsPage.DEFAULT_FILTERS, ...FILTERS });
+  });
+
+  test('should restore filters from a shared URL', async ({ jobsPage }) => {
+    await jobsPage.openWithFilters(FILTERS);
+
+    await jobsPage.expectFilters(FILTERS);
+    await jobsPage.expectUrlMatchesFilters();
+    jobsPage.expectFilterSent({
+      search: FILTERS.search,
+      searchStatus: FILTERS.status,
+      searchType: FILTERS.type,
+      searchPriority: FILTERS.priority,
+      sort: FILTERS.sort
+    });
+  });
+
+  test('should accept the backend filter names in a shared URL', async ({ jobsPage }) => {
+    await jobsPage.navigate('/all-jobs?status=declined&jobType=remote');
+    await jobsPage.waitForJobsLoad();
+
+    expect(await jobsPage.getFiltersFromUrl()).toMatchObject({ status: 'declined', type: 'remote' });
+    await jobsPage.expectFilters({ status: 'declined', type: 'remote' });
+  });
+
+  test('should keep filters after a reload', async ({ jobsPage }) => {
+    await jobsPage.applyFilters(FILTERS);
+
+    await jobsPage.reload();
+
+    expect(await jobsPage.filtersMatch(FILTERS)).toBe(true);
+    await jobsPage.expectUrlMatchesFilters();
+  });
+
+  test('should keep filters across back and forward', async ({ jobsPage, navigation }) => {
+    await jobsPage.applyFilters(FILTERS);
+    await navigation.goToAddJob();
+
+    await jobsPage.goBack();
+    await expect(jobsPage.page).toHaveURL(/\/all-jobs/);
+    expect(await jobsPage.filtersMatch(FILTERS)).toBe(true);
+
+    await jobsPage.goForward();
+    await expect(jobsPage.page).toHaveURL(/\/add-job/);
+    await jobsPage.goBack();
+    expect(await jobsPage.filtersMatch(FILTERS)).toBe(true);
+    await jobsPage.expectUrlMatchesFilters();
+  });
+
+  test('should keep filters after visiting /add-job through the navigation', async ({ jobsPage, navigation }) => {
+    await jobsPage.applyFilters(FILTERS);
+
+    await navigation.goToAddJob();
+    await navigation.goToAllJobs();
+
+    expect(await jobsPage.filtersMatch(FILTERS)).toBe(true);
+    await jobsPage.expectUrlMatchesFilters();
+  });
+
+  test('should drop filters from the URL when they are cleared', async ({ jobsPage }) => {
+    await jobsPage.openWithFilters(FILTERS);
+
+    await jobsPage.clearFilters();
+
+    expect(await jobsPage.hasDefaultFilters()).toBe(true);
+    await jobsPage.expectUrlMatchesFilters();
+    expect(await jobsPage.getFiltersFromUrl()).toEqual(JobsPage.DEFAULT_FILTERS);
+  });
+
+  test('should pass every browser navigation scenario with filters', async ({ navigation }) => {
+    // The history checks step back to the dashboard
+    await navigation.goToStats();
+
+    const results = await navigation.testBrowserNavigation({ filters: { status: 'interview', sort: 'oldest' } });
+
+    expect(results).toEqual({
+      backToAllJobs: true,
+      backToDashboard: true,
+      forwardToAllJobs: true,
+      filtersInUrl: true,
+      filtersKeptOnBack: true,
+      filtersKeptOnForward: true,
+      filtersKeptOnReturn: true,
+      filtersKeptOnReload: true
+    });
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * =====================================================
+ * JOBS PAGINATION TESTS - POM VERSION
+ * =====================================================
+ *
+ * This test suite covers paging through /all-jobs using POM:
+ * - Page boundaries with next, previous and numbered buttons
+ * - The "N jobs found" total against the API
+ * - Filters resetting the list to page 1
+ * - Finding jobs that are not on the first page
+ *
+ * Counts must be exact, so every test seeds its own account instead
+ * of sharing the suite accounts with other workers.
+ */
+
+const { test, expect } = require('../support/fixtures');
+const { jobs } = require('../factories');
+
+// Jobs per page the app requests (the backend default limit)
+const PAGE_SIZE = 10;
+const JOB_COUNT = 23;
+const PENDING_COUNT = 15;
+
+test.describe('Jobs Pagination - POM', { tag: ['@destructive', '@load'] }, () => {
+  test.use({ authRole: null });
+
+  // Newest first, as the list shows them by default
+  let seeded;
+
+  test.beforeEach(async ({ api, authPage, jobsPage, freshUser }) => {
+    const start = Date.parse('2025-01-01T12:00:00.000Z');
+    seeded = [];
+    for (let index = 0; index < JOB_COUNT; index += 1) {
+      const job = await api.createJob(jobs.build({
+        status: index < PENDING_COUNT ? 'pending' : 'interview',
+        createdAt: new Date(start + index * 60000).toISOString()
+      }));
+      seeded.unshift(job);
+    }
+
+    await authPage.performLogin(freshUser);
+    await jobsPage.navigateToJobs();
+    await jobsPage.waitForJobsLoad();
+  });
+
+  test('should report the same total and page count as the API', async ({ api, jobsPage }) => {
+    const { totalJobs, numOfPages } = await api.listJobs();
+    expect(totalJobs).toBe(JOB_COUNT);
+
+    expect(await jobsPage.getTotalJobsCount()).toBe(totalJobs);
+    expect(await jobsPage.getPageCount()).toBe(numOfPages);
+    expect(await jobsPage.getCurrentPage()).toBe(1);
+    expect(await jobsPage.getJobCardsCount()).toBe(PAGE_SIZE);
+  });
+
+  test('should show each page boundary with next and previous', async ({ jobsPage }) => {
+    const pageCount = Math.ceil(JOB_COUNT / PAGE_SIZE);
+    expect(await jobsPage.hasPreviousPage()).toBe(false);
+
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber += 1) {
+      if (pageNumber > 1) {
+        await jobsPage.nextPage();
+      }
+      expect(await jobsPage.getCurrentPage()).toBe(pageNumber);
+
+      // Exactly this page's slice, in order
+      const expected = seeded.slice((pageNumber - 1) * PAGE_SIZE, pageNumber * PAGE_SIZE);
+      const companies = [];
+      for (const card of await jobsPage.cards()) {
+        companies.push(await card.getCompany());
+      }
+      expect(companies).toEqual(expected.map(job => job.company));
+    }
+
+    expect(await jobsPage.hasNextPage()).toBe(false);
+    await expect(jobsPage.nextPage()).rejects.toThrow('last page');
+
+    await jobsPage.previousPage();
+    expect(await jobsPage.getCurrentPage()).toBe(pageCount - 1);
+    expect(await jobsPage.cardFor({ company: seeded[PAGE_SIZE].company }).isVisible()).toBe(true);
+  });
+
+  test('should jump between numbered pages', async ({ jobsPage }) => {
+    const last = seeded[JOB_COUNT - 1];
+
+    await jobsPage.goToPage(3);
+    jobsPage.expectFilterSent({ page: '3' });
+    expect(await jobsPage.getJobCardsCount()).toBe(JOB_COUNT - 2 * PAGE_SIZE);
+    expect(await jobsPage.cardFor({ company: last.company }).isVisible()).toBe(true);
+
+    await jobsPage.goToPage(1);
+    expect(await jobsPage.getCurrentPage()).toBe(1);
+    expect(await jobsPage.cardFor({ company: seeded[0].company }).isVisible()).toBe(true);
+  });
+
+  test('should go back to page 1 when a filter changes', async ({ api, jobsPage }) => {
+    await jobsPage.goToPage(3);
+
+    await jobsPage.filterByStatus('pending');
+
+    expect(await jobsPage.getCurrentPage()).toBe(1);
+    const { totalJobs, numOfPages } = await api.listJobs({ status: 'pending' });
+    expect(totalJobs).toBe(PENDING_COUNT);
+    expect(await jobsPage.getTotalJobsCount()).toBe(totalJobs);
+    expect(await jobsPage.getPageCount()).toBe(numOfPages);
+    expect(await jobsPage.getJobCardsCount()).toBe(PAGE_SIZE);
+  });
+
+  test('should iterate over every card across pages', async ({ api, jobsPage }) => {
+    const companies = [];
+    for await (const card of jobsPage.allCards()) {
+      companies.push(await card.getCompany());
+    }
+
+    const everyJob = await api.listAllJobs();
+    expect(companies).toHaveLength(everyJob.length);
+    expect(companies).toEqual(everyJob.map(job => job.company));
+  });
+
+  test('should find and edit a job that is not on page 1', async ({ jobsPage, addJobPage }) => {
+    const oldest = seeded[JOB_COUNT - 1];
+
+    expect(await jobsPage.jobContainsInfo(oldest.company, { position: oldest.position })).toBe(true);
+    expect(await jobsPage.getCurrentPage()).toBe(3);
+
+    await jobsPage.editJobByCompany(oldest.company);
+    await addJobPage.waitForEditFormLoad();
+    expect(await addJobPage.isFormPreFilled(oldest)).toBe(true);
+  });
+});
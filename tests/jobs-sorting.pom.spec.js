@@ -0,0 +1,112 @@
+/**
+ * =====================================================
+ * JOBS SORTING TESTS - POM VERSION
+ * =====================================================
+ *
+ * This test suite checks the order /all-jobs shows for every option
+ * of the sort select, against jobs seeded over HTTP with known dates,
+ * names, salaries and priorities. The seed includes:
+ * - Two jobs created at the same instant, and two with the same position
+ * - Positions that differ only in case ("alpha Analyst" / "Alpha Analyst")
+ * - A job without a salary
+ *
+ * Names sort by code point, like the backend's MongoDB collation, so
+ * every capitalised name comes before every lower-case one.
+ *
+ * Orders must be exact, so every test seeds its own account instead of
+ * sharing the suite accounts with other workers.
+ */
+
+const { test, expect } = require('../support/fixtures');
+const { jobs } = require('../factories');
+const { isKnownSort, sortJobs } = require('../support/job-sorting');
+
+// Labels are the company names, before namespacing
+const SEED = [
+  { company: 'Sort A', position: 'alpha Analyst', createdAt: '2025-03-01T09:00:00.000Z', salaryMin: 50000, salaryMax: 90000, priority: 'low' },
+  { company: 'Sort B', position: 'Alpha Analyst', createdAt: '2025-03-05T09:00:00.000Z', salaryMin: 70000, salaryMax: 90000, priority: 'high' },
+  { company: 'Sort C', position: 'Beta Engineer', createdAt: '2025-02-10T09:00:00.000Z', priority: 'medium', traits: ['noSalary'] },
+  { company: 'Sort D', position: 'beta engineer', createdAt: '2025-03-05T09:00:00.000Z', salaryMin: 120000, salaryMax: 150000, priority: 'high' },
+  { company: 'Sort E', position: 'Gamma Lead', createdAt: '2025-01-20T09:00:00.000Z', salaryMin: 80000, salaryMax: 110000, priority: 'medium' },
+  { company: 'Sort F', position: 'Gamma Lead', createdAt: '2025-04-01T09:00:00.000Z', salaryMin: 60000, salaryMax: 70000, priority: 'low' },
+  { company: 'Sort G', position: 'Zeta Designer', createdAt: '2024-12-31T23:59:59.000Z', salaryMin: 95000, salaryMax: 130000, priority: 'high' }
+];
+
+// Expected order as groups of tied jobs; a group may come in any order
+const EXPECTED = {
+  latest: [['Sort F'], ['Sort B', 'Sort D'], ['Sort A'], ['Sort C'], ['Sort E'], ['Sort G']],
+  oldest: [['Sort G'], ['Sort E'], ['Sort C'], ['Sort A'], ['Sort B', 'Sort D'], ['Sort F']],
+  'a-z': [['Sort B'], ['Sort C'], ['Sort E', 'Sort F'], ['Sort G'], ['Sort A'], ['Sort D']],
+  'z-a': [['Sort D'], ['Sort A'], ['Sort G'], ['Sort E', 'Sort F'], ['Sort C'], ['Sort B']]
+};
+
+test.describe('Jobs Sorting - POM', { tag: '@destructive' }, () => {
+  test.use({ authRole: null });
+
+  let seeded;
+
+  test.beforeEach(async ({ api, authPage, jobsPage, freshUser }) => {
+    seeded = [];
+    for (const { traits = [], ...fields } of SEED) {
+      seeded.push(await api.createJob(jobs.build(...traits, fields)));
+    }
+
+    await authPage.performLogin(freshUser);
+    await jobsPage.navigateToJobs();
+    await jobsPage.waitForJobsLoad();
+  });
+
+  /**
+   * Labels of the listed cards, split into the expected tie groups with
+   * each group sorted, so tied jobs compare equal in either order
+   */
+  async function listedGroups(jobsPage, groups) {
+    const labels = [];
+    for (const card of await jobsPage.cards()) {
+      const company = await card.getCompany();
+      labels.push(SEED[seeded.findIndex(job => job.company === company)]?.company ?? company);
+    }
+
+    let start = 0;
+    return groups.map(group => {
+      const slice = labels.slice(start, start + group.length).sort();
+      start += group.length;
+      return slice;
+    });
+  }
+
+  for (const [option, groups] of Object.entries(EXPECTED)) {
+    test(`should sort by ${option}`, async ({ jobsPage }) => {
+      await jobsPage.sortJobs(option);
+
+      expect(await jobsPage.getJobCardsCount()).toBe(SEED.length);
+      expect(await listedGroups(jobsPage, groups)).toEqual(groups.map(group => [...group].sort()));
+      await jobsPage.expectSortedBy(option, seeded);
+    });
+  }
+
+  test('should match the expected order for every sort option offered', async ({ jobsPage }) => {
+    const options = await jobsPage.getSortOptions();
+    expect(options).toEqual(expect.arrayContaining(Object.keys(EXPECTED)));
+
+    for (const option of options) {
+      // A new option must get an expected order before it ships untested
+      expect(isKnownSort(option), `expected order for "${option}"`).toBe(true);
+
+      await jobsPage.sortJobs(option);
+      await jobsPage.expectSortedBy(option, seeded);
+    }
+  });
+
+  test('should put capitalised names first and keep case variants apart', async ({ jobsPage }) => {
+    await jobsPage.sortJobs('a-z');
+
+    const positions = [];
+    for (const card of await jobsPage.cards()) {
+      positions.push(await card.getPosition());
+    }
+    expect(positions).toEqual(sortJobs(seeded, 'a-z').map(job => job.position));
+    expect(positions.findIndex(name => name.startsWith('alpha')))
+      .toBeGreaterThan(positions.findIndex(name => name.startsWith('Zeta')));
+  });
+});
@@ -13,28 +13,12 @@
  * - Enhanced job fields (Phase 1 & 2)
  */
 
-const { test, expect } = require('@playwright/test');
-const { AuthPage, JobsPage, AddJobPage, NavigationComponent } = require('../pages');
+const { test, expect } = require('../support/fixtures');
+const { JobsPage } = require('../pages');
 
 test.describe('Job Management - POM', () => {
-  let authPage;
-  let jobsPage;
-  let addJobPage;
-  let navigation;
-
-  // Setup: Login before each test
-  test.beforeEach(async ({ page }) => {
-    // Initialize page objects
-    authPage = new AuthPage(page);
-    jobsPage = new JobsPage(page);
-    addJobPage = new AddJobPage(page);
-    navigation = new NavigationComponent(page);
-
-    // Login before each test
-    await authPage.performLogin();
-  });
-
-  test('should create a new job successfully', async ({ page }) => {
+  // authedPage starts each test on the dashboard with the stored primary session
+  test('should create a new job successfully', async ({ authedPage, addJobPage, navigation }) => {
     // Navigate to add job page
     await navigation.goToAddJob();
 
@@ -69,6 +53,15 @@ test.describe('Job Management - POM', () => {
 
     await addJobPage.createJob(jobData);
 
+    // The form values should reach the API unchanged
+    addJobPage.expectJobPosted({
+      position: jobData.position,
+      salaryMin: 120000,
+      salaryMax: 180000,
+      category: 'software-engineering',
+      priority: 'high'
+    });
+
     // Should show success message
     expect(await addJobPage.isSuccessMessageVisible()).toBe(true);
     const alertMessage = await addJobPage.getAlertMessage();
@@ -78,7 +71,7 @@ test.describe('Job Management - POM', () => {
     expect(await addJobPage.isFormCleared()).toBe(true);
   });
 
-  test('should display jobs in the job listing', async ({ page }) => {
+  test('should display jobs in the job listing', async ({ authedPage, jobsPage, navigation }) => {
     // Navigate to all jobs page
     await navigation.goToAllJobs();
 
@@ -100,7 +93,7 @@ test.describe('Job Management - POM', () => {
     }
   });
 
-  test('should search jobs by position and company', async ({ page }) => {
+  test('should search jobs by position and company', async ({ authedPage, jobsPage, addJobPage, navigation }) => {
     // First create a test job
     await navigation.goToAddJob();
 
@@ -128,12 +121,13 @@ test.describe('Job Management - POM', () => {
     expect(await jobsPage.jobCardContainsText('SearchTest Corp')).toBe(true);
   });
 
-  test('should filter jobs by status', async ({ page }) => {
+  test('should filter jobs by status', async ({ authedPage, jobsPage, navigation }) => {
     // Navigate to all jobs
     await navigation.goToAllJobs();
 
     // Filter by interview status
     await jobsPage.filterByStatus('interview');
+    jobsPage.expectFilterSent({ searchStatus: 'interview' });
 
     const jobCount = await jobsPage.getJobCardsCount();
 
@@ -144,7 +138,7 @@ test.describe('Job Management - POM', () => {
     }
   });
 
-  test('should filter jobs by type', async ({ page }) => {
+  test('should filter jobs by type', async ({ authedPage, jobsPage, navigation }) => {
     // Navigate to all jobs
     await navigation.goToAllJobs();
 
@@ -159,17 +153,13 @@ test.describe('Job Management - POM', () => {
     }
   });
 
-  test('should edit an existing job', async ({ page }) => {
-    // First create a job to edit
-    await navigation.goToAddJob();
-
-    const originalJobData = {
+  test('should edit an existing job', async ({ authedPage, api, jobsPage, addJobPage, navigation }) => {
+    // Arrange the job over HTTP so only the edit goes through the UI
+    const job = await api.createJob({
       position: 'Backend Developer',
       company: 'EditTest Inc',
       jobLocation: 'Austin, TX'
-    };
-
-    await addJobPage.createTestJob(originalJobData);
+    });
 
     // Navigate to all jobs
     await navigation.goToAllJobs();
@@ -179,18 +169,17 @@ test.describe('Job Management - POM', () => {
 
     // Should navigate to add-job page in edit mode
     expect(await addJobPage.isOnAddJobPage()).toBe(true);
+    await addJobPage.waitForEditFormLoad();
 
-    // Form should be pre-filled with job data
-    expect(await addJobPage.isFormPreFilled({
-      position: 'Backend Developer',
-      company: 'EditTest Inc'
-    })).toBe(false); // This depends on your app's edit implementation
+    // Form should be pre-filled with the complete job
+    expect(await addJobPage.isFormPreFilled(job)).toBe(true);
 
     // Update the job
     await addJobPage.updateJob({
       position: 'Senior Backend Developer',
       status: 'interview'
     });
+    addJobPage.expectJobPatched({ status: 'interview' });
 
     // Should show success message
     expect(await addJobPage.isSuccessMessageVisible()).toBe(true);
@@ -198,17 +187,13 @@ test.describe('Job Management - POM', () => {
     expect(alertMessage).toContain('Job Updated');
   });
 
-  test('should delete a job', async ({ page }) => {
-    // First create a job to delete
-    await navigation.goToAddJob();
-
-    const jobToDelete = {
+  test('should delete a job', async ({ authedPage, api, jobsPage, navigation }) => {
+    // Arrange the job over HTTP so only the deletion goes through the UI
+    await api.createJob({
       position: 'QA Engineer',
       company: 'DeleteTest LLC',
       jobLocation: 'Seattle, WA'
-    };
-
-    await addJobPage.createTestJob(jobToDelete);
+    });
 
     // Navigate to all jobs
     await navigation.goToAllJobs();
@@ -216,11 +201,11 @@ test.describe('Job Management - POM', () => {
     // Delete the job
     await jobsPage.deleteJobByCompany('DeleteTest LLC');
 
-    // Job should no longer be visible
-    expect(await jobsPage.jobCardContainsText('DeleteTest LLC')).toBe(false);
+    // This test's job should no longer be visible (other workers may have their own)
+    await expect(jobsPage.getJobCardByCompany('DeleteTest LLC')).toHaveCount(0);
   });
 
-  test('should sort jobs by different criteria', async ({ page }) => {
+  test('should sort jobs by different criteria', async ({ authedPage, jobsPage, navigation }) => {
     // Navigate to all jobs
     await navigation.goToAllJobs();
 
@@ -236,30 +221,31 @@ test.describe('Job Management - POM', () => {
     }
   });
 
-  test('should clear all filters', async ({ page }) => {
+  test('should clear all filters', async ({ authedPage, jobsPage, navigation }) => {
     // Navigate to all jobs
     await navigation.goToAllJobs();
 
-    // Apply multiple filters
+    // Apply every filter
     const filters = {
       search: 'Developer',
       status: 'interview',
-      type: 'remote'
+      type: 'remote',
+      category: 'software-engineering',
+      priority: 'high',
+      sort: 'a-z'
     };
 
     await jobsPage.applyFilters(filters);
+    expect(await jobsPage.getCurrentFilters()).toEqual(filters);
 
     // Clear filters
     await jobsPage.clearFilters();
 
-    // All filters should be reset
-    const currentFilters = await jobsPage.getCurrentFilters();
-    expect(currentFilters.search).toBe('');
-    expect(currentFilters.status).toBe('all');
-    expect(currentFilters.type).toBe('all');
+    // Every control getCurrentFilters reports should be reset
+    expect(await jobsPage.getCurrentFilters()).toEqual(JobsPage.DEFAULT_FILTERS);
   });
 
-  test('should validate required fields when creating job', async ({ page }) => {
+  test('should validate required fields when creating job', async ({ authedPage, addJobPage, navigation }) => {
     // Navigate to add job page
     await navigation.goToAddJob();
 
@@ -273,7 +259,7 @@ test.describe('Job Management - POM', () => {
     expect(await addJobPage.isOnAddJobPage()).toBe(true);
   });
 
-  test('should display enhanced job fields in job cards', async ({ page }) => {
+  test('should display enhanced job fields in job cards', async ({ authedPage, jobsPage, addJobPage, navigation }) => {
     // Create a job with enhanced fields
     await navigation.goToAddJob();
 
@@ -303,12 +289,13 @@ test.describe('Job Management - POM', () => {
     expect(enhancedFields.hasPostingLink).toBe(true);
   });
 
-  test('should filter by category (Phase 2)', async ({ page }) => {
+  test('should filter by category (Phase 2)', async ({ authedPage, jobsPage, navigation }) => {
     // Navigate to all jobs
     await navigation.goToAllJobs();
 
     // Filter by software engineering category
     await jobsPage.filterByCategory('software-engineering');
+    jobsPage.expectFilterSent({ searchCategory: 'software-engineering' });
 
     const jobCount = await jobsPage.getJobCardsCount();
 
@@ -318,7 +305,7 @@ test.describe('Job Management - POM', () => {
     }
   });
 
-  test('should filter by priority (Phase 2)', async ({ page }) => {
+  test('should filter by priority (Phase 2)', async ({ authedPage, jobsPage, navigation }) => {
     // Navigate to all jobs
     await navigation.goToAllJobs();
 
@@ -334,7 +321,7 @@ test.describe('Job Management - POM', () => {
     }
   });
 
-  test('should handle complex job creation workflow', async ({ page }) => {
+  test('should handle complex job creation workflow', async ({ authedPage, jobsPage, addJobPage, navigation }) => {
     // Navigate to add job page
     await navigation.goToAddJob();
 
@@ -385,7 +372,7 @@ test.describe('Job Management - POM', () => {
     })).toBe(true);
   });
 
-  test('should handle job workflow with navigation', async ({ page }) => {
+  test('should handle job workflow with navigation', async ({ authedPage, jobsPage, addJobPage, navigation }) => {
     // Test navigation between different job-related pages
 
     // Start at dashboard
@@ -13,21 +13,13 @@
  * - Enhanced job fields (Phase 1 & 2)
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../support/fixtures');
 
 test.describe('Job Management', () => {
-  // Setup: Login before each test
-  test.beforeEach(async ({ page }) => {
-    await page.goto('/register');
-    await page.fill('input[name="email"]', 'test@jobtrack.com');
-    await page.fill('input[name="password"]', 'testpassword123');
-    await page.click('button[type="submit"]');
-
-    // Wait for dashboard to load
-    await expect(page).toHaveURL('/');
-  });
+  // Setup: start each test with the stored session of the account these specs use
+  test.use({ authRole: 'secondary' });
 
-  test('should create a new job successfully', async ({ page }) => {
+  test('should create a new job successfully', async ({ authedPage: page }) => {
     // Navigate to add job page
     await page.click('a[href="/add-job"], button:has-text("Add Job")');
     await expect(page).toHaveURL('/add-job');
@@ -78,7 +70,7 @@ test.describe('Job Management', () => {
     await expect(page.locator('input[name="position"]')).toHaveValue('');
   });
 
-  test('should display jobs in the job listing', async ({ page }) => {
+  test('should display jobs in the job listing', async ({ authedPage: page }) => {
     // Navigate to all jobs page
     await page.click('a[href="/all-jobs"], button:has-text("All Jobs")');
     await expect(page).toHaveURL('/all-jobs');
@@ -99,7 +91,7 @@ test.describe('Job Management', () => {
     }
   });
 
-  test('should search jobs by position and company', async ({ page }) => {
+  test('should search jobs by position and company', async ({ authedPage: page, jobsPage }) => {
     // First create a test job
     await page.click('a[href="/add-job"]');
     await page.fill('input[name="position"]', 'Frontend Developer');
@@ -111,27 +103,24 @@ test.describe('Job Management', () => {
     await page.click('a[href="/all-jobs"]');
 
     // Search for the created job
-    await page.fill('input[name="search"]', 'Frontend');
-    await page.waitForTimeout(1000); // Wait for search to trigger
+    await jobsPage.waitForJobsRefresh(() => page.fill('input[name="search"]', 'Frontend'), { search: 'Frontend' });
 
     // Should show filtered results
     await expect(page.locator('[class*="job"], .job-card')).toContainText('Frontend Developer');
 
     // Test company search
-    await page.fill('input[name="search"]', 'SearchTest');
-    await page.waitForTimeout(1000);
+    await jobsPage.waitForJobsRefresh(() => page.fill('input[name="search"]', 'SearchTest'), { search: 'SearchTest' });
 
     // Should show the same job
     await expect(page.locator('[class*="job"], .job-card')).toContainText('SearchTest Corp');
   });
 
-  test('should filter jobs by status', async ({ page }) => {
+  test('should filter jobs by status', async ({ authedPage: page, jobsPage }) => {
     // Navigate to all jobs
     await page.click('a[href="/all-jobs"]');
 
     // Filter by interview status
-    await page.selectOption('select[name="searchStatus"]', 'interview');
-    await page.waitForTimeout(1000);
+    await jobsPage.waitForJobsRefresh(() => page.selectOption('select[name="searchStatus"]', 'interview'), { searchStatus: 'interview' });
 
     // Should show only interview jobs or no jobs message
     const jobCards = page.locator('[class*="job"], .job-card');
@@ -143,13 +132,12 @@ test.describe('Job Management', () => {
     }
   });
 
-  test('should filter jobs by type', async ({ page }) => {
+  test('should filter jobs by type', async ({ authedPage: page, jobsPage }) => {
     // Navigate to all jobs
     await page.click('a[href="/all-jobs"]');
 
     // Filter by remote jobs
-    await page.selectOption('select[name="searchType"]', 'remote');
-    await page.waitForTimeout(1000);
+    await jobsPage.waitForJobsRefresh(() => page.selectOption('select[name="searchType"]', 'remote'), { searchType: 'remote' });
 
     // Should filter results accordingly
     const jobCards = page.locator('[class*="job"], .job-card');
@@ -161,7 +149,7 @@ test.describe('Job Management', () => {
     }
   });
 
-  test('should edit an existing job', async ({ page }) => {
+  test('should edit an existing job', async ({ authedPage: page }) => {
     // First create a job to edit
     await page.click('a[href="/add-job"]');
     await page.fill('input[name="position"]', 'Backend Developer');
@@ -194,7 +182,7 @@ test.describe('Job Management', () => {
     await expect(page.locator('[class*="alert"], .success')).toContainText('Job Updated', { timeout: 5000 });
   });
 
-  test('should delete a job', async ({ page }) => {
+  test('should delete a job', async ({ authedPage: page }) => {
     // First create a job to delete
     await page.click('a[href="/add-job"]');
     await page.fill('input[name="position"]', 'QA Engineer');
@@ -218,34 +206,28 @@ test.describe('Job Management', () => {
       await dialog.accept();
     });
 
-    // Wait for deletion to complete
-    await page.waitForTimeout(2000);
-
-    // Job should no longer be visible
+    // Job should no longer be visible once the deletion completes
     await expect(page.locator('[class*="job"], .job-card').filter({ hasText: 'DeleteTest LLC' })).not.toBeVisible();
   });
 
-  test('should sort jobs by different criteria', async ({ page }) => {
+  test('should sort jobs by different criteria', async ({ authedPage: page, jobsPage }) => {
     // Navigate to all jobs
     await page.click('a[href="/all-jobs"]');
 
     // Test sorting by latest (default)
-    await page.selectOption('select[name="sort"]', 'latest');
-    await page.waitForTimeout(1000);
+    await jobsPage.sortJobs('latest');
 
     // Test sorting alphabetically
-    await page.selectOption('select[name="sort"]', 'a-z');
-    await page.waitForTimeout(1000);
+    await jobsPage.sortJobs('a-z');
 
     // Test sorting by oldest
-    await page.selectOption('select[name="sort"]', 'oldest');
-    await page.waitForTimeout(1000);
+    await jobsPage.sortJobs('oldest');
 
     // Should show jobs in different order (hard to test exact order without knowing data)
     await expect(page.locator('[class*="job"], .job-card')).toBeVisible();
   });
 
-  test('should clear all filters', async ({ page }) => {
+  test('should clear all filters', async ({ authedPage: page }) => {
     // Navigate to all jobs
     await page.click('a[href="/all-jobs"]');
 
@@ -263,7 +245,7 @@ test.describe('Job Management', () => {
     await expect(page.locator('select[name="searchType"]')).toHaveValue('all');
   });
 
-  test('should validate required fields when creating job', async ({ page }) => {
+  test('should validate required fields when creating job', async ({ authedPage: page }) => {
     // Navigate to add job page
     await page.click('a[href="/add-job"]');
 
@@ -277,7 +259,7 @@ test.describe('Job Management', () => {
     await expect(page).toHaveURL('/add-job');
   });
 
-  test('should show job statistics on dashboard', async ({ page }) => {
+  test('should show job statistics on dashboard', async ({ authedPage: page }) => {
     // Should be on dashboard
     await expect(page).toHaveURL('/');
 
@@ -288,7 +270,7 @@ test.describe('Job Management', () => {
     await expect(page.locator('text=/pending|interview|declined/i')).toBeVisible();
   });
 
-  test('should display enhanced job fields in job cards', async ({ page }) => {
+  test('should display enhanced job fields in job cards', async ({ authedPage: page }) => {
     // Create a job with enhanced fields
     await page.click('a[href="/add-job"]');
     await page.fill('input[name="position"]', 'Data Scientist');
@@ -316,13 +298,12 @@ test.describe('Job Management', () => {
     await expect(jobCard.locator('a[href*="datacorp.com"]')).toBeVisible();
   });
 
-  test('should filter by category (Phase 2)', async ({ page }) => {
+  test('should filter by category (Phase 2)', async ({ authedPage: page, jobsPage }) => {
     // Navigate to all jobs
     await page.click('a[href="/all-jobs"]');
 
     // Filter by software engineering category
-    await page.selectOption('select[name="searchCategory"]', 'software-engineering');
-    await page.waitForTimeout(1000);
+    await jobsPage.waitForJobsRefresh(() => page.selectOption('select[name="searchCategory"]', 'software-engineering'), { searchCategory: 'software-engineering' });
 
     // Should filter results by category
     const jobCards = page.locator('[class*="job"], .job-card');
@@ -334,13 +315,12 @@ test.describe('Job Management', () => {
     }
   });
 
-  test('should filter by priority (Phase 2)', async ({ page }) => {
+  test('should filter by priority (Phase 2)', async ({ authedPage: page, jobsPage }) => {
     // Navigate to all jobs
     await page.click('a[href="/all-jobs"]');
 
     // Filter by high priority
-    await page.selectOption('select[name="searchPriority"]', 'high');
-    await page.waitForTimeout(1000);
+    await jobsPage.waitForJobsRefresh(() => page.selectOption('select[name="searchPriority"]', 'high'), { searchPriority: 'high' });
 
     // Should show only high priority jobs
     const jobCards = page.locator('[class*="job"], .job-card');
@@ -11,21 +11,14 @@
  * - Navigation state management
  */
 
-const { test, expect } = require('@playwright/test');
+const { test, expect } = require('../support/fixtures');
+const { getCredentials } = require('../support/credentials');
 
 test.describe('Navigation', () => {
-  // Setup: Login before each test
-  test.beforeEach(async ({ page }) => {
-    await page.goto('/register');
-    await page.fill('input[name="email"]', 'test@jobtrack.com');
-    await page.fill('input[name="password"]', 'testpassword123');
-    await page.click('button[type="submit"]');
-
-    // Wait for dashboard to load
-    await expect(page).toHaveURL('/');
-  });
+  // Setup: start each test with the stored session of the account these specs use
+  test.use({ authRole: 'secondary' });
 
-  test('should display main navigation links', async ({ page }) => {
+  test('should display main navigation links', async ({ authedPage: page }) => {
     // Should show main navigation links
     await expect(page.locator('a[href="/"], a:has-text("Stats")')).toBeVisible();
     await expect(page.locator('a[href="/all-jobs"], a:has-text("All Jobs")')).toBeVisible();
@@ -35,7 +28,7 @@ test.describe('Navigation', () => {
     await expect(page.locator('a[href="/profile"], a:has-text("Profile")')).toBeVisible();
   });
 
-  test('should navigate to stats/dashboard page', async ({ page }) => {
+  test('should navigate to stats/dashboard page', async ({ authedPage: page }) => {
     // Click on stats/dashboard link
     await page.click('a[href="/"], a:has-text("Stats")');
 
@@ -46,7 +39,7 @@ test.describe('Navigation', () => {
     await expect(page.locator('h1, h2, h3, [data-testid="dashboard"]')).toBeVisible();
   });
 
-  test('should navigate to all jobs page', async ({ page }) => {
+  test('should navigate to all jobs page', async ({ authedPage: page }) => {
     // Click on all jobs link
     await page.click('a[href="/all-jobs"], a:has-text("All Jobs")');
 
@@ -57,7 +50,7 @@ test.describe('Navigation', () => {
     await expect(page.locator('h2, h3')).toContainText(['Jobs', 'All Jobs']);
   });
 
-  test('should navigate to add job page', async ({ page }) => {
+  test('should navigate to add job page', async ({ authedPage: page }) => {
     // Click on add job link
     await page.click('a[href="/add-job"], a:has-text("Add Job")');
 
@@ -69,7 +62,7 @@ test.describe('Navigation', () => {
     await expect(page.locator('input[name="position"]')).toBeVisible();
   });
 
-  test('should navigate to activities page', async ({ page }) => {
+  test('should navigate to activities page', async ({ authedPage: page }) => {
     // Click on activities link
     await page.click('a[href="/activities"], a:has-text("Activities")');
 
@@ -80,7 +73,7 @@ test.describe('Navigation', () => {
     await expect(page.locator('h3')).toContainText('Activity Management');
   });
 
-  test('should navigate to timeline page', async ({ page }) => {
+  test('should navigate to timeline page', async ({ authedPage: page }) => {
     // Click on timeline link
     await page.click('a[href="/timeline"], a:has-text("Timeline")');
 
@@ -91,7 +84,7 @@ test.describe('Navigation', () => {
     await expect(page.locator('h3')).toContainText('Activity Timeline');
   });
 
-  test('should navigate to profile page', async ({ page }) => {
+  test('should navigate to profile page', async ({ authedPage: page }) => {
     // Click on profile link
     await page.click('a[href="/profile"], a:has-text("Profile")');
 
@@ -102,7 +95,7 @@ test.describe('Navigation', () => {
     await expect(page.locator('h3, h2')).toContainText(['Profile', 'Update Profile']);
   });
 
-  test('should highlight active navigation item', async ({ page }) => {
+  test('should highlight active navigation item', async ({ authedPage: page }) => {
     // Check if navigation items have active states
     await page.click('a[href="/all-jobs"]');
 
@@ -115,7 +108,7 @@ test.describe('Navigation', () => {
     }
   });
 
-  test('should handle mobile navigation', async ({ page }) => {
+  test('should handle mobile navigation', async ({ authedPage: page }) => {
     // Set mobile viewport
     await page.setViewportSize({ width: 375, height: 667 });
 
@@ -138,7 +131,7 @@ test.describe('Navigation', () => {
     }
   });
 
-  test('should handle sidebar navigation', async ({ page }) => {
+  test('should handle sidebar navigation', async ({ authedPage: page }) => {
     // Look for sidebar navigation
     const sidebar = page.locator('.sidebar, .nav-sidebar, .side-nav');
 
@@ -154,17 +147,17 @@ test.describe('Navigation', () => {
     }
   });
 
-  test('should show user information in navigation', async ({ page }) => {
+  test('should show user information in navigation', async ({ authedPage: page }) => {
     // Should show user info in navigation area
     const userInfo = page.locator('[data-testid="user-info"], .user-info, .nav-user');
 
     if (await userInfo.isVisible()) {
       // Should show user name or email
-      await expect(userInfo).toContainText(['Test User', 'test@jobtrack.com']);
+      await expect(userInfo).toContainText(['Test User', getCredentials('secondary').email]);
     }
   });
 
-  test('should handle direct URL navigation', async ({ page }) => {
+  test('should handle direct URL navigation', async ({ authedPage: page }) => {
     // Test direct navigation to different pages
     await page.goto('/all-jobs');
     await expect(page).toHaveURL('/all-jobs');
@@ -187,7 +180,7 @@ test.describe('Navigation', () => {
     await expect(page.locator('h3, h2')).toContainText(['Profile', 'Update Profile']);
   });
 
-  test('should handle browser back/forward navigation', async ({ page }) => {
+  test('should handle browser back/forward navigation', async ({ authedPage: page }) => {
     // Start on dashboard
     await expect(page).toHaveURL('/');
 
@@ -212,7 +205,7 @@ test.describe('Navigation', () => {
     await expect(page).toHaveURL('/all-jobs');
   });
 
-  test('should maintain navigation state across page refreshes', async ({ page }) => {
+  test('should maintain navigation state across page refreshes', async ({ authedPage: page }) => {
     // Navigate to a specific page
     await page.click('a[href="/all-jobs"]');
     await expect(page).toHaveURL('/all-jobs');
@@ -225,7 +218,7 @@ test.describe('Navigation', () => {
     await expect(page.locator('h2, h3')).toContainText(['Jobs', 'All Jobs']);
   });
 
-  test('should show navigation consistently across pages', async ({ page }) => {
+  test('should show navigation consistently across pages', async ({ authedPage: page }) => {
     const pages = ['/', '/all-jobs', '/add-job', '/activities', '/timeline', '/profile'];
 
     for (const pageUrl of pages) {
@@ -241,7 +234,7 @@ test.describe('Navigation', () => {
     }
   });
 
-  test('should handle invalid routes', async ({ page }) => {
+  test('should handle invalid routes', async ({ authedPage: page }) => {
     // Navigate to invalid route
     await page.goto('/invalid-route');
 
@@ -259,7 +252,7 @@ test.describe('Navigation', () => {
     }
   });
 
-  test('should handle logout navigation', async ({ page }) => {
+  test('should handle logout navigation', async ({ authedPage: page }) => {
     // Find logout button/link
     const logoutButton = page.locator('button:has-text("Logout"), a:has-text("Logout"), [data-testid="logout-button"]');
 
@@ -284,7 +277,7 @@ test.describe('Navigation', () => {
     }
   });
 
-  test('should display app logo or title', async ({ page }) => {
+  test('should display app logo or title', async ({ authedPage: page }) => {
     // Should show app logo or title in navigation
     const logo = page.locator('[data-testid="logo"], .logo, img[alt*="logo"], .app-title, h1');
 
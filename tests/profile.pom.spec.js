@@ -0,0 +1,127 @@
+/**
+ * =====================================================
+ * PROFILE TESTS - POM VERSION
+ * =====================================================
+ *
+ * This test suite covers the profile page using POM:
+ * - Viewing the logged-in user's profile
+ * - Updating name, last name, email and location
+ * - Validation errors for empty fields and a taken email
+ * - Persistence across reload and re-login
+ *
+ * Every test runs as a freshly registered user, so changing the
+ * profile never touches the shared suite accounts.
+ */
+
+const { test, expect } = require('../support/fixtures');
+const { users } = require('../factories');
+const { ProfilePage } = require('../pages');
+const { getCredentials } = require('../support/credentials');
+
+test.describe('Profile - POM', { tag: '@destructive' }, () => {
+  // The fresh user logs in through the UI instead of a stored session
+  test.use({ authRole: null });
+
+  test.beforeEach(async ({ authPage, profilePage, freshUser }) => {
+    await authPage.performLogin(freshUser);
+    await profilePage.navigateToProfile();
+    await profilePage.waitForProfileLoad();
+  });
+
+  test('should show the current user profile', async ({ api, profilePage, freshUser }) => {
+    const verification = await profilePage.verifyProfilePageLoaded();
+    expect(verification).toEqual({
+      isOnCorrectUrl: true,
+      hasPageTitle: true,
+      hasNameField: true,
+      hasLastNameField: true,
+      hasEmailField: true,
+      hasLocationField: true,
+      hasSubmitButton: true
+    });
+
+    const { user } = await api.getCurrentUser();
+    expect(await profilePage.getProfileValues()).toEqual({
+      name: freshUser.name,
+      lastName: user.lastName,
+      email: freshUser.email.toLowerCase(),
+      location: user.location
+    });
+  });
+
+  test('should update name, last name and location', async ({ api, page, profilePage }) => {
+    const { name, lastName, location } = users.build();
+    const updates = { name, lastName, location };
+
+    const alert = await profilePage.updateProfile(updates);
+    expect(alert.toLowerCase()).toContain('updated');
+    profilePage.expectProfilePatched(updates);
+
+    // Saved on the backend...
+    const { user } = await api.getCurrentUser();
+    expect(user).toMatchObject(updates);
+
+    // ...and still shown after a reload
+    await page.reload();
+    await profilePage.waitForProfileLoad();
+    await profilePage.expectProfileValues(updates);
+  });
+
+  test('should update the email and log in with it', async ({ page, authPage, profilePage, namespace, freshUser }) => {
+    const email = namespace.email(users.build().email).toLowerCase();
+
+    await profilePage.updateProfile({ email });
+    profilePage.expectProfilePatched({ email });
+
+    await authPage.logout();
+    await authPage.performLogin({ email, password: freshUser.password });
+    await expect(page).toHaveURL('/');
+
+    await profilePage.navigateToProfile();
+    await profilePage.waitForProfileLoad();
+    await profilePage.expectProfileValues({ email });
+  });
+
+  test('should keep changes after logging out and back in', async ({ page, authPage, profilePage, freshUser }) => {
+    const location = 'Lisbon';
+
+    await profilePage.updateProfile({ location });
+
+    await authPage.logout();
+    await authPage.performLogin(freshUser);
+    await expect(page).toHaveURL('/');
+
+    await profilePage.navigateToProfile();
+    await profilePage.waitForProfileLoad();
+    await profilePage.expectProfileValues({ location });
+  });
+
+  for (const field of ProfilePage.FIELDS) {
+    test(`should reject an empty ${field}`, async ({ page, profilePage }) => {
+      const before = await profilePage.getProfileValues();
+
+      const alert = await profilePage.submitInvalidProfile({ [field]: '' });
+      expect(alert.toLowerCase()).toContain('provide all values');
+
+      // Nothing was saved
+      await page.reload();
+      await profilePage.waitForProfileLoad();
+      expect(await profilePage.getProfileValues()).toEqual(before);
+    });
+  }
+
+  test('should reject an email that belongs to another account', async ({ api, page, profilePage }) => {
+    const before = await profilePage.getProfileValues();
+
+    // The wording of the duplicate-key error differs per backend; the status does not
+    await profilePage.updateProfile({ email: getCredentials('primary').email });
+    profilePage.expectProfileRejected();
+
+    // Nothing was saved
+    const { user } = await api.getCurrentUser();
+    expect(user.email).toBe(before.email);
+    await page.reload();
+    await profilePage.waitForProfileLoad();
+    expect(await profilePage.getProfileValues()).toEqual(before);
+  });
+});
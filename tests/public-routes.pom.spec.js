@@ -0,0 +1,108 @@
+/**
+ * =====================================================
+ * PUBLIC ROUTE TESTS - POM VERSION
+ * =====================================================
+ *
+ * This test suite covers what logged-out visitors can reach:
+ * - Landing page content and its call to action into /register
+ * - Protected routes redirecting to the public entry pages
+ * - Deep links returning to the requested page after login
+ * - 404 handling for unknown routes
+ * - Logged-in users being sent away from /landing
+ */
+
+const { test, expect } = require('../support/fixtures');
+const { LandingPage } = require('../pages');
+const { getCredentials } = require('../support/credentials');
+
+const PROTECTED_ROUTES = ['/', '/all-jobs', '/add-job', '/activities', '/timeline', '/profile'];
+
+test.describe('Public Routes - POM', () => {
+  test.describe('logged out', () => {
+    test.use({ authRole: null });
+
+    test('should show the landing page content', async ({ landingPage }) => {
+      await landingPage.navigateToLanding();
+      await landingPage.waitForLandingLoad();
+
+      const verification = await landingPage.verifyLandingPageLoaded();
+      expect(verification).toEqual({
+        isOnCorrectUrl: true,
+        hasLogo: true,
+        hasHeadline: true,
+        hasDescription: true,
+        hasCta: true
+      });
+      expect(await landingPage.getHeadline()).not.toBe('');
+      expect(await landingPage.getDescription()).not.toBe('');
+    });
+
+    test('should lead from the landing CTA to /register', async ({ page, landingPage, authPage }) => {
+      await landingPage.navigateToLanding();
+      await landingPage.waitForLandingLoad();
+      expect(await landingPage.getCtaPath()).toBe('/register');
+
+      await landingPage.clickCta();
+
+      await expect(page).toHaveURL('/register');
+      const pageTitle = await authPage.getPageTitle();
+      expect(['Login', 'Register'].some(text => pageTitle.includes(text))).toBe(true);
+    });
+
+    test('should keep /register public', async ({ page, authPage }) => {
+      await authPage.navigateToAuth();
+
+      await expect(page).toHaveURL('/register');
+      expect(await authPage.isVisible(authPage.locators.emailInput)).toBe(true);
+    });
+
+    for (const route of PROTECTED_ROUTES) {
+      test(`should redirect ${route} to a public page`, async ({ page, landingPage }) => {
+        await page.goto(route);
+
+        await landingPage.waitForPublicRedirect();
+        expect(LandingPage.isPublicEntry(new URL(page.url()))).toBe(true);
+      });
+    }
+
+    for (const route of ['/all-jobs', '/activities', '/profile']) {
+      test(`should return to ${route} after logging in from a deep link`, async ({ page, landingPage, authPage }) => {
+        await page.goto(route);
+        await landingPage.waitForPublicRedirect();
+
+        // Log in from wherever the redirect landed, without navigating away
+        if (await landingPage.isOnLandingPage()) {
+          await landingPage.clickCta();
+        }
+        await authPage.login(getCredentials('primary'));
+
+        await expect(page).toHaveURL(route);
+      });
+    }
+
+    test('should show the not found page for an unknown route', async ({ page, notFoundPage }) => {
+      await notFoundPage.navigateToUnknownRoute();
+
+      expect(await notFoundPage.isNotFoundShown()).toBe(true);
+      await expect(page).toHaveURL('/this-page-does-not-exist');
+    });
+  });
+
+  test.describe('logged in', () => {
+    test('should send logged-in users from /landing to the dashboard', async ({ page, landingPage }) => {
+      await landingPage.navigateToLanding();
+
+      await expect(page).toHaveURL('/');
+    });
+
+    test('should show the not found page and lead back home', async ({ page, notFoundPage, dashboardPage }) => {
+      await notFoundPage.navigateToUnknownRoute('/all-jobs/does-not-exist/either');
+      expect(await notFoundPage.isNotFoundShown()).toBe(true);
+
+      await notFoundPage.goBackHome();
+
+      await expect(page).toHaveURL('/');
+      expect(await dashboardPage.isDashboardContentVisible()).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * =====================================================
+ * UI STATE TESTS - MOCKED API
+ * =====================================================
+ *
+ * Empty, error, loading and edge states that the real backend only
+ * produces by luck, reached on demand with the named mock scenarios
+ * from support/mock-scenarios.js:
+ * - Empty jobs and activities lists, and an empty timeline
+ * - Failing statistics endpoints
+ * - Slow activities (loading state)
+ * - Session expiring mid-test
+ * - An account with 10,000 jobs
+ */
+
+const { test, expect } = require('../support/fixtures');
+const { BasePage } = require('../pages');
+const { generatedJob } = require('../support/mock-scenarios');
+
+test.describe('UI States - Mocked API', () => {
+  test('should show no job cards when the account has no jobs', async ({ page, jobsPage }) => {
+    const mock = await jobsPage.mockScenario('empty-jobs');
+
+    await jobsPage.navigateToJobs();
+    await jobsPage.waitForJobsLoad();
+
+    await expect.poll(() => mock.calls).toBeGreaterThan(0);
+
+    const verification = await jobsPage.verifyJobsPageLoaded();
+    expect(verification.hasPageTitle).toBe(true);
+    expect(verification.hasSearchFilters).toBe(true);
+    await expect(page.locator(jobsPage.locators.editButton)).toHaveCount(0);
+  });
+
+  test('should show the empty state when the account has no activities', async ({ activitiesPage }) => {
+    await activitiesPage.mockScenario('empty-activities');
+
+    await activitiesPage.navigateToActivities();
+    await activitiesPage.waitForActivitiesLoad();
+
+    const state = await activitiesPage.getActivitiesState();
+    expect(state.hasActivities).toBe(false);
+    expect(state.hasEmptyState).toBe(true);
+    expect(await activitiesPage.isEmptyStateCorrect()).toBe(true);
+  });
+
+  test('should show the empty timeline when the account has no activities', async ({ page, timelinePage }) => {
+    await timelinePage.mockScenario('empty-activities');
+
+    await timelinePage.navigateToTimeline();
+    await timelinePage.waitForTimelineLoad();
+
+    await expect(page.locator(timelinePage.locators.noTimelineDataTitle)).toContainText('No activities found');
+    expect(await timelinePage.getPreviewItemsCount()).toBe(0);
+  });
+
+  test('should keep the dashboard usable when statistics fail', async ({ page, dashboardPage }) => {
+    const mock = await dashboardPage.mockScenario('stats-error');
+
+    await dashboardPage.navigateToDashboard();
+    await dashboardPage.waitForDashboardLoad();
+
+    await expect.poll(() => mock.calls).toBeGreaterThan(0);
+    await expect(page).toHaveURL('/');
+    expect(await dashboardPage.isOnDashboard()).toBe(true);
+  });
+
+  test('should show a loading state while activities are slow', async ({ page, activitiesPage }) => {
+    await activitiesPage.mockScenario('slow-activities', { delayMs: 3000 });
+
+    await page.goto('/activities');
+    await expect(page.locator(BasePage.LOADING_SELECTOR).first()).toBeVisible();
+
+    await activitiesPage.waitForLoadingToFinish();
+    const state = await activitiesPage.getActivitiesState();
+    expect(state.hasActivities || state.hasEmptyState).toBe(true);
+  });
+
+  test('should send the user back to login when the session expires', async ({ page, jobsPage }) => {
+    await jobsPage.navigateToJobs();
+    await jobsPage.waitForJobsLoad();
+
+    // Every API call from now on is rejected with 401
+    const mock = await jobsPage.mockScenario('session-expired');
+    // Raw action: the app navigates away, so there is no list to wait for
+    await page.selectOption(jobsPage.locators.statusFilter, 'interview');
+
+    await expect.poll(() => mock.calls).toBeGreaterThan(0);
+    await expect(page).toHaveURL(/\/(landing|register)/);
+  });
+
+  test('should render the first page of a 10,000 job account', { tag: '@load' }, async ({ page, jobsPage }) => {
+    const mock = await jobsPage.mockScenario('many-jobs', { total: 10000 });
+
+    await jobsPage.navigateToJobs();
+    await jobsPage.waitForJobsLoad();
+
+    await expect.poll(() => mock.calls).toBeGreaterThan(0);
+
+    // Generated jobs are not namespaced, so look them up by plain text
+    const firstJob = generatedJob(0, 10000);
+    await expect(page.locator(jobsPage.locators.jobCards).filter({ hasText: firstJob.company }).first()).toBeVisible();
+    expect(await jobsPage.getElementCount(jobsPage.locators.editButton)).toBeLessThan(10000);
+  });
+});